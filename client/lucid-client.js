@@ -0,0 +1,556 @@
+/**
+ * Client für den LUCID Lookup Service (/api/v2) - für das Hauptsystem und andere Anwendungen
+ *
+ * - LRU-Cache für Einzelprüfungen: ein Ergebnis wird nie älter als maxDataAgeMs (Alter des
+ *   Register-Stands laut Service plus Zeit im Cache) und verfällt, sobald der Service einen
+ *   neueren Register-Stand meldet
+ * - Timeout pro Versuch, Retry mit Backoff (Retry-After wird beachtet)
+ * - Circuit Breaker: nach failureThreshold Ausfällen in Folge wird der Service resetTimeoutMs
+ *   lang nicht gefragt, danach entscheidet eine einzelne Probe-Anfrage
+ * - failMode bei Ausfall (Netzwerk, Timeout, 5xx, 429, offener Breaker):
+ *     "open"   - Ergebnis mit status "unchecked" und registered null, der Aufrufer macht weiter
+ *     "closed" - Fehler mit error.code, der Aufrufer muss ablehnen oder später erneut prüfen
+ *   Fehler des Aufrufers (ungültiger Key, fehlender Scope, ungültige Anfrage) werfen immer.
+ *
+ * Beispiel:
+ *   const lucid = createLucidClient({ baseUrl: 'https://lucid.example.de', apiKey, failMode: 'open' });
+ *   const result = await lucid.validate('DE1234567890123');
+ *   if (result.checked && !result.registered) ...
+ */
+
+import axios from 'axios';
+import { normalizeLucid } from '../src/lucid-number.js';
+
+/**
+ * Stand des Registers, gegen den geprüft wurde
+ * @typedef {Object} LucidDataset
+ * @property {string|null} version - Register-Version (wechselt mit jedem Refresh)
+ * @property {string|null} updatedAt - ISO-Zeitpunkt des Register-Stands
+ * @property {number|null} ageSeconds - Alter des Register-Stands (inkl. Zeit im Client-Cache)
+ */
+
+/**
+ * Grund für ein negatives Ergebnis
+ * @typedef {Object} LucidReason
+ * @property {string|null} field
+ * @property {string} code - z.B. digit_count, not_registered, mismatch
+ * @property {string} message - in der Sprache des Clients
+ */
+
+/**
+ * Fehler, der zu einem ungeprüften Ergebnis geführt hat (nur bei failMode "open")
+ * @typedef {Object} LucidFailure
+ * @property {string} code - circuit_open, timeout, network_error, rate_limited, cache_loading, ...
+ * @property {string} message
+ */
+
+/**
+ * Ergebnis einer Einzelprüfung
+ * @typedef {Object} LucidLookupResult
+ * @property {string} lucid - Eingabe
+ * @property {string} normalized - vereinheitlichte Nummer
+ * @property {'registered'|'not_found'|'invalid_format'|'unchecked'} status
+ * @property {boolean|null} registered - null wenn nicht geprüft werden konnte
+ * @property {boolean} checked - false wenn der Service nicht erreichbar war (failMode "open")
+ * @property {string|null} company
+ * @property {Object|null} producer - Register-Eintrag
+ * @property {LucidReason|null} reason
+ * @property {string|null} suggestion - Korrekturvorschlag für ungültige Eingaben
+ * @property {string[]} didYouMean - vorhandene Nummern einen Tippfehler entfernt
+ * @property {string|null} auditId - Prüfprotokoll des Service (Quittung: /api/v2/lucid/receipts/{auditId})
+ * @property {string|null} checkedAt - ISO-Zeitpunkt der Prüfung im Service
+ * @property {LucidDataset|null} dataset
+ * @property {'service'|'cache'|'fallback'} source
+ * @property {LucidFailure|null} error
+ */
+
+/**
+ * Ergebnis einer Batch-Prüfung (Ergebnisse in Reihenfolge der Eingabe)
+ * @typedef {Object} LucidBatchResult
+ * @property {{ total: number, registered: number, notFound: number, invalidFormat: number, unchecked: number }} summary
+ * @property {LucidLookupResult[]} results
+ */
+
+/**
+ * Ergebnis der Verkäufer-Prüfung
+ * @typedef {Object} LucidVerifyResult
+ * @property {string} lucid
+ * @property {'verified'|'review'|'mismatch'|'not_registered'|'invalid_format'|'unchecked'} verdict
+ * @property {boolean|null} registered
+ * @property {boolean} checked
+ * @property {LucidReason[]} reasons
+ * @property {Object<string, { provided: string, registered: string|null, match: string, score: number|null }>} fields
+ * @property {string|null} company
+ * @property {string|null} auditId
+ * @property {string|null} checkedAt
+ * @property {LucidDataset|null} dataset
+ * @property {'service'|'fallback'} source
+ * @property {LucidFailure|null} error
+ */
+
+/**
+ * Ergebnis der Produzenten-Suche
+ * @typedef {Object} LucidSearchResult
+ * @property {number} total
+ * @property {number} offset
+ * @property {number} limit
+ * @property {{ lucid: string, score: number, company: string, producer: Object }[]} results
+ * @property {LucidDataset} dataset
+ */
+
+const DEFAULTS = {
+  timeoutMs: 3000,
+  retries: 2,
+  retryBaseMs: 200,
+  // Längere Retry-After Angaben werden nicht abgewartet
+  maxRetryDelayMs: 5000,
+  failMode: 'open',
+  language: 'de',
+  batchSize: 1000,
+  cache: {
+    maxEntries: 10000,
+    ttlMs: 60 * 60 * 1000,
+    // Nicht gefunden / ungültig: kürzer, damit neue Registrierungen schnell sichtbar werden
+    negativeTtlMs: 10 * 60 * 1000,
+    // Register wird täglich aktualisiert - ein Ergebnis darf höchstens so alt sein
+    maxDataAgeMs: 25 * 60 * 60 * 1000
+  },
+  breaker: {
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+  }
+};
+
+// Ausfälle des Service - nur bei diesen greifen failMode, Retry und Circuit Breaker
+const UNAVAILABLE_CODES = new Set([
+  'circuit_open', 'timeout', 'network_error', 'rate_limited', 'cache_loading', 'cache_unavailable',
+  'internal_error', 'server_error', 'changelog_unavailable'
+]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry-After Header (Sekunden oder HTTP-Datum) in Millisekunden umrechnen
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value).trim())) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function clientError(code, message, { status = null, requestId = null, retryAfterMs = null, details } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.requestId = requestId;
+  error.retryAfterMs = retryAfterMs;
+  if (details) error.details = details;
+  error.unavailable = UNAVAILABLE_CODES.has(code);
+  return error;
+}
+
+/**
+ * Antwort oder Axios-Fehler in einen Client-Fehler umwandeln
+ */
+function toClientError(response, requestError) {
+  if (requestError) {
+    if (requestError.code === 'ECONNABORTED' || requestError.code === 'ETIMEDOUT') {
+      return clientError('timeout', 'LUCID Service antwortet nicht (Timeout)');
+    }
+    return clientError('network_error', `LUCID Service nicht erreichbar: ${requestError.message}`);
+  }
+
+  const body = response.data && typeof response.data === 'object' ? response.data.error : null;
+  const code = body?.code || (response.status >= 500 ? 'server_error' : `http_${response.status}`);
+  return clientError(code, body?.message || `LUCID Service antwortet mit HTTP ${response.status}`, {
+    status: response.status,
+    requestId: body?.requestId || response.headers?.['x-request-id'] || null,
+    retryAfterMs: parseRetryAfter(response.headers?.['retry-after']),
+    details: body?.details
+  });
+}
+
+/**
+ * Circuit Breaker: closed -> (failureThreshold Ausfälle) -> open -> (resetTimeoutMs) -> half_open
+ * Im Zustand half_open darf genau eine Anfrage durch; Erfolg schließt, Ausfall öffnet wieder
+ */
+function createCircuitBreaker({ failureThreshold, resetTimeoutMs, onStateChange }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function setState(next) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onStateChange(next, previous);
+  }
+
+  // Nach Ablauf der Sperre wird wieder geprobt
+  function checkReset() {
+    if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) setState('half_open');
+  }
+
+  return {
+    /**
+     * Darf eine Anfrage raus? Liefert false solange der Breaker offen ist
+     */
+    allow() {
+      checkReset();
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !probing) {
+        probing = true;
+        return true;
+      }
+      return false;
+    },
+    success() {
+      failures = 0;
+      probing = false;
+      openedAt = null;
+      setState('closed');
+    },
+    failure() {
+      failures++;
+      probing = false;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        openedAt = Date.now();
+        setState('open');
+      }
+    },
+    status() {
+      checkReset();
+      return {
+        state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null
+      };
+    }
+  };
+}
+
+/**
+ * LRU-Cache (Map hält die Einfügereihenfolge - Zugriff setzt den Eintrag ans Ende)
+ */
+function createLruCache(maxEntries) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    delete: key => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size
+  };
+}
+
+/**
+ * Client anlegen
+ * options: { baseUrl, apiKey, timeoutMs, retries, retryBaseMs, maxRetryDelayMs, failMode,
+ *            language, batchSize, cache: { maxEntries, ttlMs, negativeTtlMs, maxDataAgeMs } | false,
+ *            breaker: { failureThreshold, resetTimeoutMs }, onStateChange(state, previous), http }
+ * http: eigene Axios-Instanz (Proxy, Agent, Tests)
+ */
+export function createLucidClient(options = {}) {
+  const { baseUrl, apiKey } = options;
+  if (!baseUrl) throw new Error('LUCID Client: baseUrl fehlt');
+  if (options.failMode && !['open', 'closed'].includes(options.failMode)) {
+    throw new Error(`LUCID Client: failMode muss "open" oder "closed" sein (nicht "${options.failMode}")`);
+  }
+
+  const settings = { ...DEFAULTS, ...options };
+  const cacheSettings = options.cache === false ? null : { ...DEFAULTS.cache, ...options.cache };
+  const http = options.http || axios.create();
+  const breaker = createCircuitBreaker({
+    ...DEFAULTS.breaker,
+    ...options.breaker,
+    onStateChange: options.onStateChange || (() => {})
+  });
+  const cache = cacheSettings ? createLruCache(cacheSettings.maxEntries) : null;
+  const stats = { requests: 0, failures: 0, cacheHits: 0, cacheMisses: 0, fallbacks: 0 };
+  // Neuester vom Service gemeldeter Register-Stand - ältere Cache-Einträge sind ungültig
+  let latestVersion = null;
+
+  function noteDataset(dataset) {
+    if (dataset?.version && (!latestVersion || dataset.version > latestVersion)) {
+      latestVersion = dataset.version;
+    }
+  }
+
+  /**
+   * Eine Anfrage an den Service mit Breaker, Timeout und Retry
+   * Liefert die JSON-Antwort oder wirft einen Client-Fehler (error.code, error.unavailable)
+   */
+  async function request(method, path, { params, data } = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= settings.retries; attempt++) {
+      if (!breaker.allow()) {
+        throw clientError('circuit_open', 'LUCID Service vorübergehend nicht gefragt (Circuit Breaker offen)');
+      }
+
+      stats.requests++;
+      let response = null;
+      let requestError = null;
+      try {
+        response = await http.request({
+          method,
+          url: `${baseUrl.replace(/\/+$/, '')}/api/v2${path}`,
+          params,
+          data,
+          timeout: settings.timeoutMs,
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            'Accept-Language': settings.language
+          },
+          validateStatus: () => true
+        });
+      } catch (error) {
+        requestError = error;
+      }
+
+      if (response && response.status < 400) {
+        breaker.success();
+        noteDataset(response.data?.dataset);
+        return response.data;
+      }
+
+      lastError = toClientError(response, requestError);
+      stats.failures++;
+
+      // Fehler des Aufrufers: kein Retry, zählt nicht gegen den Service
+      if (!lastError.unavailable) {
+        breaker.success();
+        throw lastError;
+      }
+
+      // Rate Limit betrifft nur diesen Key, nicht die Verfügbarkeit des Service
+      if (lastError.code === 'rate_limited') breaker.success(); else breaker.failure();
+
+      if (attempt === settings.retries) break;
+      const backoff = settings.retryBaseMs * 2 ** attempt * (0.5 + Math.random());
+      const delay = lastError.retryAfterMs ?? backoff;
+      if (delay > settings.maxRetryDelayMs) break;
+      await sleep(delay);
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Ausfall behandeln: failMode "closed" wirft, "open" liefert das ungeprüfte Ergebnis
+   */
+  function fallback(error, unchecked) {
+    if (!error.unavailable || settings.failMode === 'closed') throw error;
+    stats.fallbacks++;
+    return { ...unchecked, checked: false, source: 'fallback', error: { code: error.code, message: error.message } };
+  }
+
+  function toLookupResult(data, source = 'service') {
+    return {
+      lucid: data.lucid,
+      normalized: data.normalized,
+      status: data.status,
+      registered: data.registered,
+      checked: true,
+      company: data.company ?? null,
+      producer: data.producer ?? null,
+      reason: data.reason ?? null,
+      suggestion: data.suggestion ?? null,
+      didYouMean: data.didYouMean || [],
+      auditId: data.auditId ?? null,
+      checkedAt: data.checkedAt ?? null,
+      dataset: data.dataset ?? null,
+      source,
+      error: null
+    };
+  }
+
+  function uncheckedLookup(lucid) {
+    return {
+      lucid,
+      normalized: normalizeLucid(lucid),
+      status: 'unchecked',
+      registered: null,
+      company: null,
+      producer: null,
+      reason: null,
+      suggestion: null,
+      didYouMean: [],
+      auditId: null,
+      checkedAt: null,
+      dataset: null
+    };
+  }
+
+  /**
+   * Cache-Eintrag lesen - verfallen, zu alte Daten oder älterer Register-Stand zählen als Fehlschlag
+   */
+  function cached(lucid) {
+    if (!cache) return null;
+    const key = normalizeLucid(lucid);
+    const entry = cache.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now() || (latestVersion && entry.result.dataset?.version < latestVersion)) {
+      if (entry) cache.delete(key);
+      stats.cacheMisses++;
+      return null;
+    }
+
+    stats.cacheHits++;
+    const { dataset } = entry.result;
+    const ageSeconds = dataset?.ageSeconds != null
+      ? dataset.ageSeconds + Math.floor((Date.now() - entry.storedAt) / 1000)
+      : null;
+    return { ...entry.result, lucid, dataset: dataset && { ...dataset, ageSeconds }, source: 'cache' };
+  }
+
+  function remember(result) {
+    if (!cache || !result.dataset) return;
+    const ttl = result.status === 'registered' ? cacheSettings.ttlMs : cacheSettings.negativeTtlMs;
+    // Das Ergebnis darf im Cache nicht älter werden als maxDataAgeMs
+    const dataAgeMs = (result.dataset.ageSeconds ?? 0) * 1000;
+    const lifetime = Math.min(ttl, cacheSettings.maxDataAgeMs - dataAgeMs);
+    if (lifetime <= 0) return;
+
+    const now = Date.now();
+    cache.set(result.normalized, { result, storedAt: now, expiresAt: now + lifetime });
+  }
+
+  /**
+   * Eine LUCID-Nummer prüfen
+   * @param {string} lucid
+   * @returns {Promise<LucidLookupResult>}
+   */
+  async function validate(lucid) {
+    const hit = cached(lucid);
+    if (hit) return hit;
+
+    try {
+      const data = await request('get', '/lucid/validate', { params: { lucid } });
+      const result = toLookupResult(data);
+      remember(result);
+      return result;
+    } catch (error) {
+      return fallback(error, uncheckedLookup(lucid));
+    }
+  }
+
+  /**
+   * Viele LUCID-Nummern prüfen - Treffer aus dem Cache, der Rest in Blöcken von batchSize
+   * @param {string[]} lucids
+   * @returns {Promise<LucidBatchResult>}
+   */
+  async function validateBatch(lucids) {
+    const results = lucids.map(lucid => cached(lucid));
+    const missing = [];
+    results.forEach((result, i) => { if (!result) missing.push(i); });
+
+    for (let start = 0; start < missing.length; start += settings.batchSize) {
+      const chunk = missing.slice(start, start + settings.batchSize);
+      try {
+        const data = await request('post', '/lucid/validate-batch', { data: { lucids: chunk.map(i => lucids[i]) } });
+        data.results.forEach((item, j) => {
+          const result = toLookupResult({ ...item, checkedAt: data.checkedAt, dataset: data.dataset });
+          remember(result);
+          results[chunk[j]] = result;
+        });
+      } catch (error) {
+        for (const i of chunk) results[i] = fallback(error, uncheckedLookup(lucids[i]));
+      }
+    }
+
+    const summary = { total: results.length, registered: 0, notFound: 0, invalidFormat: 0, unchecked: 0 };
+    for (const result of results) {
+      if (result.status === 'registered') summary.registered++;
+      else if (result.status === 'not_found') summary.notFound++;
+      else if (result.status === 'invalid_format') summary.invalidFormat++;
+      else summary.unchecked++;
+    }
+
+    return { summary, results };
+  }
+
+  /**
+   * Verkäufer-Angaben prüfen (nicht gecacht - das Urteil hängt von den Angaben ab)
+   * @param {{ lucid: string, vat_number?: string, tax_number?: string, company_name?: string,
+   *           address?: string, postal_code?: string, city?: string }} claim
+   * @returns {Promise<LucidVerifyResult>}
+   */
+  async function verify(claim) {
+    try {
+      const data = await request('post', '/lucid/verify', { data: claim });
+      return {
+        lucid: data.lucid,
+        verdict: data.verdict,
+        registered: data.registered,
+        checked: true,
+        reasons: data.reasons || [],
+        fields: data.fields || {},
+        company: data.company ?? null,
+        auditId: data.auditId ?? null,
+        checkedAt: data.checkedAt ?? null,
+        dataset: data.dataset ?? null,
+        source: 'service',
+        error: null
+      };
+    } catch (error) {
+      return fallback(error, {
+        lucid: normalizeLucid(claim?.lucid),
+        verdict: 'unchecked',
+        registered: null,
+        reasons: [],
+        fields: {},
+        company: null,
+        auditId: null,
+        checkedAt: null,
+        dataset: null
+      });
+    }
+  }
+
+  /**
+   * Produzenten suchen - wirft bei Ausfall immer (eine leere Trefferliste wäre irreführend)
+   * @param {{ vat?: string, tax?: string, name?: string, postal_code?: string, city?: string,
+   *           limit?: number, offset?: number }} query
+   * @returns {Promise<LucidSearchResult>}
+   */
+  async function search(query) {
+    const { total, offset, limit, results, dataset } = await request('get', '/lucid/search', { params: query });
+    return { total, offset, limit, results, dataset };
+  }
+
+  /**
+   * Zustand für Monitoring: Breaker, Cache, Zähler
+   */
+  function status() {
+    return {
+      breaker: breaker.status(),
+      cache: cache ? { entries: cache.size(), maxEntries: cacheSettings.maxEntries } : null,
+      latestVersion,
+      ...stats
+    };
+  }
+
+  return {
+    validate,
+    validateBatch,
+    verify,
+    search,
+    status,
+    clearCache: () => cache?.clear()
+  };
+}
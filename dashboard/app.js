@@ -0,0 +1,430 @@
+/**
+ * Admin-Oberfläche: Prüfen, Datenbestand, Refresh, Verbindungstest
+ *
+ * Nutzt ausschließlich die vorhandenen Routen des Service (/api/v2, /api/stats, /admin/*) mit dem
+ * eingegebenen API-Key. Der Key liegt nur im sessionStorage dieses Tabs. Inhalte aus Antworten
+ * werden immer als Text eingesetzt (textContent), nie als HTML.
+ */
+
+const KEY_STORAGE = 'lucid-dashboard-key';
+// Nummern pro Anfrage bei der Mehrfachprüfung
+const BULK_CHUNK = 1000;
+const POLL_RUNNING_MS = 2000;
+const POLL_IDLE_MS = 15000;
+
+const $ = (id) => document.getElementById(id);
+
+let apiKey = sessionStorage.getItem(KEY_STORAGE);
+let pollTimer = null;
+let bulkRows = [];
+
+/**
+ * DOM-Element bauen: el('td', { className: 'muted' }, 'Text', child)
+ */
+function el(tag, attributes = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.assign(node, attributes);
+  for (const child of children.flat()) {
+    if (child === null || child === undefined || child === false) continue;
+    node.append(child instanceof Node ? child : String(child));
+  }
+  return node;
+}
+
+function badge(text, tone) {
+  return el('span', { className: `badge ${tone}` }, text);
+}
+
+function definitionList(entries) {
+  return el('dl', {}, entries
+    .filter(([, value]) => value !== undefined)
+    .flatMap(([term, value]) => [el('dt', {}, term), el('dd', {}, value ?? '–')]));
+}
+
+function table(headers, rows) {
+  return el('table', {},
+    el('thead', {}, el('tr', {}, headers.map(header => el('th', {}, header)))),
+    el('tbody', {}, rows.map(cells => el('tr', {}, cells.map(cell => el('td', {}, cell ?? '–'))))));
+}
+
+function show(container, ...children) {
+  container.replaceChildren(...children.flat().filter(Boolean));
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString('de-DE') : '–';
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '–';
+  if (seconds < 120) return `${Math.round(seconds)} s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 172800) return `${(seconds / 3600).toFixed(1)} h`;
+  return `${Math.round(seconds / 86400)} d`;
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '–';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// === API ===
+
+/**
+ * Anfrage mit API-Key - liefert { ok, status, data }
+ * 401 meldet ab (Key ungültig oder abgelaufen)
+ */
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = { Authorization: `Bearer ${apiKey}`, 'Accept-Language': 'de' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  let response;
+  try {
+    response = await fetch(path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  } catch (error) {
+    return { ok: false, status: 0, data: null, message: `Service nicht erreichbar (${error.message})` };
+  }
+
+  const data = await response.json().catch(() => null);
+  if (response.status === 401) logout('API-Key ungültig oder abgelaufen');
+
+  return { ok: response.ok, status: response.status, data, message: errorMessage(response, data) };
+}
+
+/**
+ * Fehlertext aus v1 ({ error: "..." }) oder v2 ({ error: { message } }) Antworten
+ */
+function errorMessage(response, data) {
+  if (response.ok) return null;
+  const error = data?.error;
+  const text = typeof error === 'string' ? error : error?.message || `HTTP ${response.status}`;
+  if (response.status === 403) return `${text} - dieser API-Key darf das nicht`;
+  return text;
+}
+
+function errorBox(message) {
+  return el('p', { className: 'error' }, message);
+}
+
+// === Anmeldung und Navigation ===
+
+async function login(key) {
+  apiKey = key;
+  // /api/stats braucht "admin" - 403 heißt: Key gültig, aber nur für Prüfungen
+  const result = await api('/api/stats');
+  if (result.status === 401 || result.status === 0) {
+    apiKey = null;
+    return result.message;
+  }
+
+  sessionStorage.setItem(KEY_STORAGE, key);
+  $('login').hidden = true;
+  $('app').hidden = false;
+  $('logout').hidden = false;
+  if (result.ok) {
+    const { instance } = result.data;
+    $('instance').textContent = `Instanz ${instance.instanceId} (${instance.role})`;
+  }
+  return null;
+}
+
+function logout(message = null) {
+  apiKey = null;
+  sessionStorage.removeItem(KEY_STORAGE);
+  clearTimeout(pollTimer);
+  $('app').hidden = true;
+  $('logout').hidden = true;
+  $('login').hidden = false;
+  $('instance').textContent = '';
+  $('login-error').hidden = !message;
+  $('login-error').textContent = message || '';
+}
+
+function openPage(page) {
+  for (const button of document.querySelectorAll('nav button')) {
+    button.classList.toggle('active', button.dataset.page === page);
+  }
+  for (const section of document.querySelectorAll('.page')) {
+    section.hidden = section.id !== `page-${page}`;
+  }
+
+  clearTimeout(pollTimer);
+  if (page === 'cache') loadCacheState();
+  if (page === 'refresh') loadRefresh();
+}
+
+// === Prüfen ===
+
+const STATUS_LABELS = {
+  registered: ['registriert', 'ok'],
+  not_found: ['nicht registriert', 'bad'],
+  invalid_format: ['ungültiges Format', 'warn']
+};
+
+function statusBadge(status) {
+  const [label, tone] = STATUS_LABELS[status] || [status, 'warn'];
+  return badge(label, tone);
+}
+
+function hint(result) {
+  const parts = [];
+  if (result.reason && result.status !== 'not_found') parts.push(result.reason.message);
+  if (result.suggestion) parts.push(`Vorschlag: ${result.suggestion}`);
+  if (result.didYouMean?.length > 0) parts.push(`Meinten Sie: ${result.didYouMean.join(', ')}`);
+  return parts.join(' · ');
+}
+
+async function checkSingle(event) {
+  event.preventDefault();
+  const lucid = $('single-lucid').value.trim();
+  const result = await api(`/api/v2/lucid/validate?lucid=${encodeURIComponent(lucid)}`);
+
+  if (!result.ok) return show($('single-result'), errorBox(result.message));
+
+  const data = result.data;
+  const producer = data.producer || {};
+  show($('single-result'),
+    el('p', {}, statusBadge(data.status), ' ', data.normalized),
+    definitionList([
+      ['Firma', data.company],
+      ['Anschrift', [producer.address, [producer.postal_code, producer.city].filter(Boolean).join(' ')].filter(Boolean).join(', ') || null],
+      ['USt-IdNr', producer.vat_number],
+      ['Steuernummer', producer.tax_number],
+      ['Hinweis', hint(data) || null],
+      ['Register-Stand', `${formatTime(data.dataset.updatedAt)} (vor ${formatDuration(data.dataset.ageSeconds)})`],
+      ['Prüf-ID', data.auditId]
+    ]));
+}
+
+/**
+ * Eingabe der Mehrfachprüfung: eine Nummer pro Zeile, erste Spalte bei CSV/Excel, Kopfzeile wird übersprungen
+ */
+function parseBulkInput(text) {
+  const values = text.split(/\r?\n/)
+    .map(line => line.split(/[;,\t]/)[0].trim().replace(/^"(.*)"$/, '$1'))
+    .filter(value => value !== '');
+  if (values.length > 0 && /^(lucid|lucid[-_ ]?nummer|registration_number)$/i.test(values[0])) values.shift();
+  return values;
+}
+
+async function checkBulk(event) {
+  event.preventDefault();
+  const lucids = parseBulkInput($('bulk-input').value);
+  const container = $('bulk-result');
+  const button = event.submitter;
+  if (lucids.length === 0) return show(container, errorBox('Keine LUCID-Nummern gefunden'));
+
+  button.disabled = true;
+  $('bulk-download').hidden = true;
+  bulkRows = [];
+  const summary = { registered: 0, notFound: 0, invalidFormat: 0 };
+
+  try {
+    for (let start = 0; start < lucids.length; start += BULK_CHUNK) {
+      show(container, el('p', { className: 'muted' }, `Prüfe ${start + 1}-${Math.min(start + BULK_CHUNK, lucids.length)} von ${lucids.length} …`));
+      const result = await api('/api/v2/lucid/validate-batch', { method: 'POST', body: { lucids: lucids.slice(start, start + BULK_CHUNK) } });
+      if (!result.ok) {
+        const details = result.data?.error?.details?.map(detail => `${detail.field}: ${detail.message}`) || [];
+        return show(container, errorBox([result.message, ...details].join(' - ')));
+      }
+      for (const key of Object.keys(summary)) summary[key] += result.data.summary[key];
+      bulkRows.push(...result.data.results);
+    }
+  } finally {
+    button.disabled = false;
+  }
+
+  $('bulk-download').hidden = false;
+  show(container,
+    el('p', {},
+      badge(`${summary.registered} registriert`, 'ok'), ' ',
+      badge(`${summary.notFound} nicht registriert`, 'bad'), ' ',
+      badge(`${summary.invalidFormat} ungültig`, 'warn')),
+    table(['#', 'Eingabe', 'Status', 'Firma', 'Hinweis'], bulkRows.map((row, i) => [
+      i + 1, row.lucid, statusBadge(row.status), row.company, hint(row) || null
+    ])));
+}
+
+/**
+ * Ergebnis als CSV für Excel (Semikolon, BOM)
+ */
+function downloadBulk() {
+  const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = [['LUCID', 'Normalisiert', 'Status', 'Firma', 'Hinweis', 'Prüf-ID'].map(quote).join(';')];
+  for (const row of bulkRows) {
+    lines.push([row.lucid, row.normalized, row.status, row.company, hint(row), row.auditId].map(quote).join(';'));
+  }
+
+  const url = URL.createObjectURL(new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }));
+  el('a', { href: url, download: `lucid-pruefung-${new Date().toISOString().slice(0, 10)}.csv` }).click();
+  URL.revokeObjectURL(url);
+}
+
+// === Datenbestand ===
+
+function describeLastRefresh(last) {
+  const detail = last.error || describeReason(last.reasons);
+  return detail ? ` (${detail})` : '';
+}
+
+async function loadCacheState() {
+  const [stats, ready] = await Promise.all([
+    api('/api/stats'),
+    fetch('/readyz').then(response => response.json()).catch(() => null)
+  ]);
+  const container = $('cache-state');
+  if (!stats.ok) return show(container, errorBox(stats.message));
+
+  const { cache, instance, refresh, mapping } = stats.data;
+  const last = refresh.last;
+  const ageSeconds = cache.lastUpdate ? (Date.now() - cache.lastUpdate) / 1000 : null;
+
+  show(container,
+    el('p', {},
+      ready?.ready ? badge('bereit', 'ok') : badge('nicht bereit', 'bad'), ' ',
+      cache.isLoading ? badge('wird geladen', 'warn') : null),
+    ready && !ready.ready ? el('ul', {}, ready.failures.map(failure => el('li', { className: 'error' }, failure.message))) : null,
+    definitionList([
+      ['Einträge', cache.entries.toLocaleString('de-DE')],
+      ['Register-Stand', cache.lastUpdateISO ? `${formatTime(cache.lastUpdateISO)} (vor ${formatDuration(ageSeconds)})` : 'nie geladen'],
+      ['Version', cache.version],
+      ['Speicher', `${formatBytes(cache.memory.bytes)} (${cache.memory.bytesPerEntry ?? '–'} Bytes pro Eintrag, Budget ${formatBytes(cache.memory.budgetBytes)})`],
+      ['Letzter Refresh', last ? `${formatTime(last.at)}: ${last.status}${describeLastRefresh(last)}` : null],
+      ['Zuletzt abgelehnt', refresh.lastRejected ? formatTime(refresh.lastRejected.at) : null],
+      ['Rate-Limit-Sperre', refresh.rateLimitCooldown ? `bis ${formatTime(refresh.rateLimitCooldown.until)}` : 'keine'],
+      ['Zeitplan', `${refresh.schedule.cron} (${refresh.schedule.timezone})`],
+      ['Instanz', `${instance.instanceId} - ${instance.role}${instance.leader ? `, Leader: ${instance.leader.instanceId}` : ''}`],
+      ['Feld-Mapping', `${mapping.source || 'Standard'} (${mapping.fields.length} Felder)`]
+    ]));
+}
+
+// === Refresh ===
+
+const OUTCOME_TONES = { accepted: 'ok', skipped: 'warn', rejected: 'bad', failed: 'bad' };
+
+function describeReason(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(item => item.message || item.check || JSON.stringify(item)).join(', ');
+  return JSON.stringify(value);
+}
+
+async function loadRefresh() {
+  clearTimeout(pollTimer);
+  const result = await api('/admin/jobs?limit=20');
+  const current = $('refresh-current');
+  const history = $('refresh-history');
+
+  if (!result.ok) {
+    show(current, errorBox(result.message));
+    show(history);
+    return;
+  }
+
+  const running = result.data.jobs.find(job => job.status === 'running');
+  $('refresh-start').disabled = !!running;
+
+  if (running) {
+    show(current,
+      el('p', {}, badge('läuft', 'warn'), ` seit ${formatTime(running.startedAt)} - Phase: ${running.phase}`,
+        running.attempt ? `, Versuch ${running.attempt}` : ''),
+      running.percent !== null ? el('progress', { max: 100, value: running.percent }) : null,
+      definitionList([
+        ['Geladen', `${formatBytes(running.bytes)}${running.totalBytes ? ` von ${formatBytes(running.totalBytes)}` : ''}`],
+        ['Produzenten gelesen', running.producers.toLocaleString('de-DE')]
+      ]));
+  } else {
+    show(current, el('p', { className: 'muted' }, 'Kein Refresh aktiv.'));
+  }
+
+  show(history, table(['Start', 'Auslöser', 'Quelle', 'Dauer', 'Ergebnis', 'Einträge', 'Grund'],
+    result.data.jobs.map(job => [
+      formatTime(job.startedAt),
+      job.trigger,
+      job.source,
+      job.durationMs !== null ? formatDuration(job.durationMs / 1000) : null,
+      job.outcome ? badge(job.outcome, OUTCOME_TONES[job.outcome] || 'warn') : badge('läuft', 'warn'),
+      job.entries !== null ? job.entries.toLocaleString('de-DE') : null,
+      job.error || describeReason(job.reason)
+    ])));
+
+  // Nur weiter abfragen solange die Seite offen ist
+  if (!$('page-refresh').hidden) {
+    pollTimer = setTimeout(loadRefresh, running ? POLL_RUNNING_MS : POLL_IDLE_MS);
+  }
+}
+
+async function startRefresh() {
+  if (!confirm('Register jetzt neu von der LUCID API laden? Der Download kann einige Minuten dauern.')) return;
+
+  $('refresh-start').disabled = true;
+  const result = await api('/admin/refresh', { method: 'POST' });
+  if (!result.ok) {
+    $('refresh-start').disabled = false;
+    show($('refresh-current'), errorBox(result.message));
+    return;
+  }
+  loadRefresh();
+}
+
+// === Verbindungstest ===
+
+async function testConnection() {
+  const button = $('connection-test');
+  const container = $('connection-result');
+  button.disabled = true;
+  show(container, el('p', { className: 'muted' }, 'Teste Verbindung …'));
+
+  const result = await api('/admin/test-api');
+  button.disabled = false;
+  const data = result.data || {};
+
+  if (!result.ok) {
+    return show(container,
+      el('p', {}, badge('fehlgeschlagen', 'bad'), ' ', result.message),
+      definitionList([
+        ['API-URL', data.apiUrl],
+        ['HTTP-Status', data.status ? `${data.status} ${data.statusText || ''}` : undefined],
+        ['Fehlercode', data.code],
+        ['Token gesetzt', data.tokenPresent === undefined ? undefined : data.tokenPresent ? 'ja' : 'nein']
+      ]),
+      data.responseData ? el('pre', {}, data.responseData) : null);
+  }
+
+  show(container,
+    el('p', {}, badge('erreichbar', 'ok')),
+    definitionList([
+      ['API-URL', data.apiUrl],
+      ['HTTP-Status', data.headStatus],
+      ['Content-Type', data.contentType],
+      ['Größe', data.contentLength ? formatBytes(Number(data.contentLength)) : null],
+      ['Token gesetzt', data.tokenPresent ? 'ja' : 'nein']
+    ]),
+    el('p', { className: 'muted' }, 'Erste Bytes der Antwort:'),
+    el('pre', {}, data.firstBytes));
+}
+
+// === Start ===
+
+$('login-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const error = await login($('api-key').value.trim());
+  $('api-key').value = '';
+  $('login-error').hidden = !error;
+  $('login-error').textContent = error || '';
+});
+$('logout').addEventListener('click', () => logout());
+for (const button of document.querySelectorAll('nav button')) {
+  button.addEventListener('click', () => openPage(button.dataset.page));
+}
+$('single-form').addEventListener('submit', checkSingle);
+$('bulk-form').addEventListener('submit', checkBulk);
+$('bulk-download').addEventListener('click', downloadBulk);
+$('cache-reload').addEventListener('click', loadCacheState);
+$('refresh-start').addEventListener('click', startRefresh);
+$('connection-test').addEventListener('click', testConnection);
+
+if (apiKey) {
+  login(apiKey).then(error => { if (error) logout(error); });
+}
@@ -0,0 +1,453 @@
+/**
+ * Mock der LUCID API (ZSVR Registerabruf) für lokale Tests ohne Produktions-Token
+ *
+ * Liefert synthetisches Register-XML in einstellbarer Größe und Form und simuliert typische
+ * Störungen (429 mit Retry-After, langsame Streams, abgerissene Verbindungen, kaputtes XML).
+ * Damit lässt sich der komplette Refresh (Download, Fortsetzen per Range, Parser, Prüfung)
+ * offline durchspielen.
+ *
+ *   npm run mock-upstream                                  # Server auf Port 4010
+ *   LUCID_API_URL=http://localhost:4010/v1/listofproducers npm start
+ *   npm run mock-upstream -- generate --producers=500 > register.xml
+ *
+ * Optionen als Query-Parameter der API-URL (gelten pro Anfrage) oder als --name=wert beim Start
+ * (Standard für alle Anfragen):
+ *   producers=1000           Anzahl Produzenten
+ *   seed=1                   gleicher Seed = identisches XML (nötig für Fortsetzen per Range)
+ *   element=Producer         Producer | producer | mixed
+ *   fields=standard          standard | variants (Aliase aus dem Feld-Mapping, verschachtelte Adresse)
+ *   extra=true               nicht gemappte Elemente (Website, Branche) mitschicken
+ *   malformed=none           none | truncated (Root nicht geschlossen) | broken (ungültiges XML)
+ *                            | empty (keine Produzenten) | html (Fehlerseite mit Status 200)
+ *   status=200               feste Antwort mit diesem Status (z.B. 401, 500)
+ *   fail_status=429          die ersten fail_times Anfragen scheitern mit diesem Status
+ *   fail_times=1
+ *   retry_after=60           Retry-After zu fail_status in Sekunden ("none" = ohne Header)
+ *   delay_ms=0               Wartezeit vor den Response-Headern
+ *   rate_kbps=0              Übertragungsrate begrenzen (0 = unbegrenzt)
+ *   stall_after=0            nach so vielen Bytes keine Daten mehr senden (Idle-Timeout)
+ *   drop_after=0             nach so vielen Bytes die Verbindung trennen (Fortsetzen per Range)
+ *   disrupt_times=1          stall_after / drop_after nur bei den ersten n Anfragen
+ *   no_range=false           Range-Header ignorieren (immer komplette Datei)
+ *   no_length=false          ohne Content-Length senden (chunked)
+ *
+ * Zähler für fail_times / disrupt_times gelten je Kombination der Optionen.
+ * GET /__mock/status zeigt die Zähler, POST /__mock/reset setzt sie zurück.
+ * MOCK_PORT (Standard 4010), MOCK_TOKEN (wenn gesetzt: falsches ?token= ergibt 401).
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { log } from '../src/logger.js';
+
+const DEFAULTS = {
+  producers: 1000,
+  seed: 1,
+  element: 'Producer',
+  fields: 'standard',
+  extra: true,
+  malformed: 'none',
+  status: 200,
+  fail_status: 0,
+  fail_times: 1,
+  retry_after: '60',
+  delay_ms: 0,
+  rate_kbps: 0,
+  stall_after: 0,
+  drop_after: 0,
+  disrupt_times: 1,
+  no_range: false,
+  no_length: false
+};
+
+const ELEMENTS = ['Producer', 'producer', 'mixed'];
+const FIELD_SHAPES = ['standard', 'variants'];
+const MALFORMED = ['none', 'truncated', 'broken', 'empty', 'html'];
+// Größere Datenbestände werden nicht im Speicher gehalten (Schutz vor Tippfehlern)
+const MAX_PRODUCERS = 2000000;
+const CHUNK_SIZE = 16 * 1024;
+// Generierte Dateien je Form - die letzten paar bleiben für Range-Anfragen im Speicher
+const BODY_CACHE_SIZE = 3;
+
+const COMPANY_WORDS = ['Müller', 'Schmidt', 'Nordlicht', 'Alpen', 'Rhein', 'Becker & Söhne', 'Grünwerk', 'Hanse',
+  'Sonnenhof', 'Keller', 'Brückner', 'Werkstatt <Süd>', 'Blau', 'Feinkost', 'Papier', 'Holz'];
+const COMPANY_TYPES = ['GmbH', 'GmbH & Co. KG', 'AG', 'e.K.', 'UG (haftungsbeschränkt)', 'KG', 'OHG'];
+const CITIES = [
+  ['Berlin', '10117'], ['Hamburg', '20095'], ['München', '80331'], ['Köln', '50667'], ['Frankfurt am Main', '60311'],
+  ['Stuttgart', '70173'], ['Düsseldorf', '40213'], ['Leipzig', '04109'], ['Dresden', '01067'], ['Bremen', '28195'],
+  ['Hannover', '30159'], ['Nürnberg', '90402'], ['Freiburg im Breisgau', '79098'], ['Münster', '48143'], ['Görlitz', '02826']
+];
+const STREETS = ['Hauptstraße', 'Bahnhofstraße', 'Gartenweg', 'Industriestraße', 'Am Markt', 'Lindenallee', 'Schulstraße'];
+const STATUSES = ['registered', 'registered', 'registered', 'registered', 'withdrawn', 'suspended'];
+const PACKAGING = ['Glas', 'PPK', 'Kunststoffe', 'Aluminium', 'Weißblech', 'Getränkekartonverpackungen', 'Sonstige Materialien'];
+const BRANCHES = ['Lebensmittel', 'Versandhandel', 'Kosmetik', 'Elektro', 'Textil'];
+
+// Alias-Namen wie im Standard-Mapping (src/field-mapping.js) - bei fields=variants zufällig gewählt
+const VARIANTS = {
+  registration_number: ['RegistrationNumber', 'registrationNumber', 'registration_number', 'RegNr'],
+  company_name: ['ProducerName', 'Name', 'CompanyName', 'name'],
+  vat_number: ['VATNumber', 'UstIdNr', 'vat_number'],
+  tax_number: ['TaxNumber', 'Steuernummer', 'tax_number'],
+  registration_date: ['RegistrationDate', 'registrationDate', 'registration_date', 'Registrierungsdatum'],
+  status: ['Status', 'status', 'RegistrationStatus', 'Registrierungsstatus']
+};
+
+/**
+ * Deterministischer Zufall (mulberry32) - gleicher Seed, gleiches XML
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (max) => Math.floor(next() * max),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    digits: (count) => Array.from({ length: count }, () => Math.floor(next() * 10)).join('')
+  };
+}
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function element(name, value) {
+  return `<${name}>${xmlEscape(value)}</${name}>`;
+}
+
+/**
+ * Optionen aus Query-Parametern bzw. Argumenten übernehmen und prüfen
+ * Liefert { options } oder { error }
+ */
+function parseOptions(input, defaults = DEFAULTS) {
+  const options = { ...defaults };
+
+  for (const [name, raw] of Object.entries(input)) {
+    if (name === 'token' || !(name in DEFAULTS)) continue;
+    const value = String(raw);
+    if (typeof DEFAULTS[name] === 'number') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) return { error: `${name} muss eine ganze Zahl >= 0 sein` };
+      options[name] = number;
+    } else if (typeof DEFAULTS[name] === 'boolean') {
+      options[name] = value === '' || value === 'true' || value === '1';
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (!ELEMENTS.includes(options.element)) return { error: `element: erlaubt sind ${ELEMENTS.join(', ')}` };
+  if (!FIELD_SHAPES.includes(options.fields)) return { error: `fields: erlaubt sind ${FIELD_SHAPES.join(', ')}` };
+  if (!MALFORMED.includes(options.malformed)) return { error: `malformed: erlaubt sind ${MALFORMED.join(', ')}` };
+  if (options.producers > MAX_PRODUCERS) return { error: `producers: höchstens ${MAX_PRODUCERS}` };
+  if (options.status < 100 || options.status > 599) return { error: 'status muss ein HTTP-Status sein' };
+
+  return { options };
+}
+
+/**
+ * Einen Produzenten als XML-Element erzeugen
+ */
+function producerXml(random, index, { element: elementOption, fields, extra }) {
+  const name = elementOption === 'mixed' ? (index % 2 ? 'producer' : 'Producer') : elementOption;
+  const variants = fields === 'variants';
+  const field = (key) => (variants ? random.pick(VARIANTS[key]) : VARIANTS[key][0]);
+
+  const [city, postalCode] = random.pick(CITIES);
+  const company = `${random.pick(COMPANY_WORDS)} ${random.pick(COMPANY_WORDS)} ${random.pick(COMPANY_TYPES)}`;
+  const street = `${random.pick(STREETS)} ${1 + random.int(180)}`;
+  const registered = new Date(Date.UTC(2019, 0, 1) + random.int(6 * 365) * 86400000).toISOString().slice(0, 10);
+  // Eindeutige Nummer: Index in den letzten Stellen, davor Zufall
+  const lucid = `DE${random.digits(6)}${String(index).padStart(7, '0')}`;
+
+  const parts = [element(field('registration_number'), lucid), element(field('company_name'), company)];
+
+  if (random.next() < 0.8) parts.push(element(field('vat_number'), `DE${random.digits(9)}`));
+  if (random.next() < 0.5) parts.push(element(field('tax_number'), `${random.digits(3)}/${random.digits(3)}/${random.digits(5)}`));
+
+  // Adresse flach oder (bei variants teilweise) verschachtelt
+  if (variants && random.next() < 0.5) {
+    parts.push(`<Address>${element('Street', street)}${element('City', city)}${element('PostalCode', postalCode)}</Address>`);
+  } else {
+    parts.push(element('Address', street), element('City', city), element('PostalCode', postalCode));
+  }
+
+  parts.push(element(field('registration_date'), registered));
+  const status = random.pick(STATUSES);
+  parts.push(variants && random.next() < 0.3 ? `<Status code="${status}"/>` : element(field('status'), status));
+
+  const brands = Array.from({ length: random.int(3) }, (_, i) => element('BrandName', `${company.split(' ')[0]} Marke ${i + 1}`));
+  if (brands.length > 0) parts.push(`<BrandNames>${brands.join('')}</BrandNames>`);
+  const packaging = [...new Set(Array.from({ length: 1 + random.int(3) }, () => random.pick(PACKAGING)))];
+  parts.push(`<PackagingTypes>${packaging.map(type => element('PackagingType', type)).join('')}</PackagingTypes>`);
+
+  if (extra) {
+    parts.push(element('Website', `https://www.example-${index}.de`));
+    if (random.next() < 0.3) parts.push(element('Branche', random.pick(BRANCHES)));
+  }
+
+  return `<${name}>${parts.join('')}</${name}>\n`;
+}
+
+/**
+ * Register-XML erzeugen (als Generator von Textblöcken)
+ */
+function* generateRegister(options) {
+  const random = createRandom(options.seed);
+
+  if (options.malformed === 'html') {
+    yield '<!DOCTYPE html><html><head><title>Wartung</title></head><body><h1>Registerabruf vorübergehend nicht verfügbar</h1></body></html>\n';
+    return;
+  }
+
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n<Producers>\n';
+
+  const count = options.malformed === 'empty' ? 0 : options.producers;
+  // Kaputte Stelle bzw. Abbruch in der Mitte des Dokuments
+  const breakAt = Math.floor(count / 2);
+  let block = '';
+
+  for (let index = 0; index < count; index++) {
+    if (index === breakAt && options.malformed === 'broken') {
+      block += '<Producer><RegistrationNumber>DE0000000000000</RegistrationNumber><ProducerName>Defekt</Producer>\n';
+    }
+    if (index === breakAt && options.malformed === 'truncated') {
+      yield block + producerXml(random, index, options).slice(0, 40);
+      return;
+    }
+
+    block += producerXml(random, index, options);
+    if (block.length >= CHUNK_SIZE) {
+      yield block;
+      block = '';
+    }
+  }
+
+  yield block + '</Producers>\n';
+}
+
+/**
+ * Schlüssel einer Options-Kombination (für Zähler und den Cache der erzeugten Dateien)
+ */
+function signature(options, keys = Object.keys(DEFAULTS)) {
+  return keys.map(key => `${key}=${options[key]}`).join('&');
+}
+
+const BODY_KEYS = ['producers', 'seed', 'element', 'fields', 'extra', 'malformed'];
+
+/**
+ * Mock-Server anlegen
+ * options: { defaults, token, startedAt }
+ */
+function createMockUpstream({ defaults = DEFAULTS, token = '', startedAt = new Date() } = {}) {
+  // Erzeugte Dateien je Form: { body: Buffer, etag }
+  const bodies = new Map();
+  // Anfragen je Options-Kombination (fail_times, disrupt_times)
+  const counters = new Map();
+
+  function bodyFor(options) {
+    const key = signature(options, BODY_KEYS);
+    let cached = bodies.get(key);
+    if (!cached) {
+      const startTime = Date.now();
+      const body = Buffer.from([...generateRegister(options)].join(''), 'utf-8');
+      cached = { body, etag: `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 16)}"` };
+      bodies.set(key, cached);
+      if (bodies.size > BODY_CACHE_SIZE) bodies.delete(bodies.keys().next().value);
+      log.info('MOCK', `Register erzeugt: ${options.producers} Produzenten, ${body.length.toLocaleString()} Bytes (${Date.now() - startTime}ms)`, { shape: key });
+    }
+    return cached;
+  }
+
+  /**
+   * Range-Header auswerten - null = komplette Datei, { start, end } oder 'unsatisfiable'
+   */
+  function parseRange(req, total, etag) {
+    const header = req.headers.range;
+    if (!header) return null;
+
+    // If-Range: bei geänderter Datei die komplette Datei senden
+    const ifRange = req.headers['if-range'];
+    if (ifRange && ifRange !== etag && ifRange !== startedAt.toUTCString()) return null;
+
+    const match = /^bytes=(\d+)-(\d*)$/.exec(header);
+    if (!match) return null;
+    const start = parseInt(match[1]);
+    const end = match[2] ? Math.min(parseInt(match[2]), total - 1) : total - 1;
+    if (start >= total || end < start) return 'unsatisfiable';
+    return { start, end };
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Body senden - mit Drosselung, Hänger oder Verbindungsabbruch
+   */
+  function stream(res, body, { rateKbps, stallAfter, dropAfter }) {
+    let sent = 0;
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const write = () => {
+      if (closed) return;
+      if (sent >= body.length) {
+        res.end();
+        return;
+      }
+
+      let size = Math.min(CHUNK_SIZE, body.length - sent);
+      const limit = [stallAfter, dropAfter].filter(value => value > 0 && value > sent);
+      if (limit.length > 0) size = Math.min(size, Math.min(...limit) - sent);
+
+      const chunk = body.subarray(sent, sent + size);
+      sent += chunk.length;
+
+      if (dropAfter > 0 && sent >= dropAfter) {
+        res.write(chunk, () => res.socket?.destroy());
+        log.info('MOCK', `Verbindung nach ${sent.toLocaleString()} Bytes getrennt`);
+        return;
+      }
+      if (stallAfter > 0 && sent >= stallAfter) {
+        res.write(chunk);
+        log.info('MOCK', `Keine Daten mehr nach ${sent.toLocaleString()} Bytes (Verbindung bleibt offen)`);
+        return;
+      }
+
+      const delay = rateKbps > 0 ? Math.round(chunk.length / (rateKbps * 1024) * 1000) : 0;
+      const continueWriting = () => (delay > 0 ? setTimeout(write, delay) : setImmediate(write));
+      if (res.write(chunk)) continueWriting(); else res.once('drain', continueWriting);
+    };
+
+    write();
+  }
+
+  async function handleRegister(req, res, url) {
+    const parsed = parseOptions(Object.fromEntries(url.searchParams), defaults);
+    if (parsed.error) return sendJson(res, 400, { ok: false, error: parsed.error });
+    const { options } = parsed;
+
+    if (token && url.searchParams.get('token') !== token) {
+      return sendJson(res, 401, { ok: false, error: 'Ungültiges Token' });
+    }
+
+    const key = signature(options);
+    const request = (counters.get(key) || 0) + 1;
+    counters.set(key, request);
+
+    if (options.delay_ms > 0) await new Promise(resolve => setTimeout(resolve, options.delay_ms));
+
+    if (options.fail_status && request <= options.fail_times) {
+      const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+      if (options.retry_after !== 'none') headers['Retry-After'] = options.retry_after;
+      log.info('MOCK', `Anfrage ${request}: simulierter Status ${options.fail_status}`, { retryAfter: headers['Retry-After'] || null });
+      res.writeHead(options.fail_status, headers);
+      return res.end(JSON.stringify({ error: `Simulierter Fehler ${options.fail_status}` }));
+    }
+    if (options.status !== 200) {
+      return sendJson(res, options.status, { error: `Simulierter Status ${options.status}` });
+    }
+
+    const { body, etag } = bodyFor(options);
+    const range = options.no_range ? null : parseRange(req, body.length, etag);
+    const headers = {
+      'Content-Type': options.malformed === 'html' ? 'text/html; charset=utf-8' : 'application/xml; charset=utf-8',
+      'ETag': etag,
+      'Last-Modified': startedAt.toUTCString(),
+      'Accept-Ranges': options.no_range ? 'none' : 'bytes'
+    };
+
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { ...headers, 'Content-Range': `bytes */${body.length}` });
+      return res.end();
+    }
+
+    const part = range ? body.subarray(range.start, range.end + 1) : body;
+    if (range) headers['Content-Range'] = `bytes ${range.start}-${range.end}/${body.length}`;
+    if (!options.no_length) headers['Content-Length'] = part.length;
+
+    log.info('MOCK', `Anfrage ${request}: ${range ? `Bytes ${range.start}-${range.end}` : 'komplette Datei'} (${part.length.toLocaleString()} Bytes)`);
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === 'HEAD') return res.end();
+
+    // Störungen nur bei den ersten disrupt_times Anfragen - danach klappt der Download
+    const disrupt = request <= options.disrupt_times;
+    stream(res, part, {
+      rateKbps: options.rate_kbps,
+      stallAfter: disrupt ? options.stall_after : 0,
+      dropAfter: disrupt ? options.drop_after : 0
+    });
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/__mock/status' && req.method === 'GET') {
+      return sendJson(res, 200, { ok: true, defaults, counters: Object.fromEntries(counters), cachedBodies: bodies.size });
+    }
+    if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+      counters.clear();
+      return sendJson(res, 200, { ok: true });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return sendJson(res, 405, { ok: false, error: 'Nur GET und HEAD' });
+    }
+
+    handleRegister(req, res, url).catch((error) => {
+      log.error('MOCK', 'Anfrage fehlgeschlagen', { error });
+      if (!res.headersSent) sendJson(res, 500, { ok: false, error: error.message });
+      else res.destroy();
+    });
+  });
+}
+
+/**
+ * --name=wert Argumente lesen (--flag ohne Wert = true)
+ */
+function parseArgs(args) {
+  return Object.fromEntries(args
+    .filter(arg => arg.startsWith('--'))
+    .map((arg) => {
+      const [name, ...value] = arg.slice(2).split('=');
+      return [name.replace(/-/g, '_'), value.length > 0 ? value.join('=') : 'true'];
+    }));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const parsed = parseOptions(parseArgs(args));
+  if (parsed.error) {
+    log.error('MOCK', parsed.error);
+    process.exit(1);
+  }
+
+  // Nur erzeugen: XML auf stdout (für DATA_SOURCE=file oder /admin/import)
+  if (args[0] === 'generate') {
+    for (const chunk of generateRegister(parsed.options)) {
+      if (!process.stdout.write(chunk)) await new Promise(resolve => process.stdout.once('drain', resolve));
+    }
+    return;
+  }
+
+  const port = parseInt(process.env.MOCK_PORT || '4010');
+  const server = createMockUpstream({ defaults: parsed.options, token: process.env.MOCK_TOKEN || '' });
+  server.listen(port, () => {
+    log.info('MOCK', `Mock-Upstream läuft: http://localhost:${port}/v1/listofproducers`, { defaults: parsed.options });
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      server.close();
+      server.closeAllConnections();
+    });
+  }
+}
+
+main();
@@ -6,304 +6,921 @@
 import express from 'express';
 import axios from 'axios';
 import { XMLParser } from 'fast-xml-parser';
-import XmlStream from 'xml-stream';
 import cron from 'node-cron';
 import cors from 'cors';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import crypto from 'crypto';
+import os from 'os';
+import { buildSearchIndex, searchProducers } from './src/search-index.js';
+import { appendChanges, diffDatasets, pruneChanges, readChanges, readChangesPage } from './src/changelog.js';
+import {
+  buildWatchEvents,
+  canAccessWatchEntry,
+  createWatchEntry,
+  loadWatchlist,
+  publicWatchEntry,
+  saveWatchlist,
+  validateCallbackUrl
+} from './src/watchlist.js';
+import { checkCallbackTarget, deliverWebhook, drainDeliveries, pendingDeliveryCount, readDeliveries, resumeDeliveries, suspendDeliveries } from './src/webhooks.js';
+import { checkDataset } from './src/dataset-guards.js';
+import { listSnapshots, saveSnapshot, snapshotId, snapshotPath } from './src/snapshots.js';
+import { migrateLegacyCacheFile, readCacheFile, writeCacheFile } from './src/cache-store.js';
+import { stageUpload } from './src/sources.js';
+import { loadFieldMapping, logMappingReport } from './src/field-mapping.js';
+import { createAuth } from './src/auth.js';
+import {
+  countLookup,
+  observeRefresh,
+  registerCacheMetrics,
+  registerInstanceMetrics,
+  registry as metricsRegistry,
+  requestMetrics
+} from './src/metrics.js';
+import { getCooldown } from './src/downloader.js';
+import { createJobManager } from './src/jobs.js';
+import { VERIFY_FIELDS, verifyProducer } from './src/verify.js';
+import { createAuditLog } from './src/audit.js';
+import { EXPORT_FORMATS, createExportStream } from './src/export.js';
+import { normalizeLucid, parseLucid, suggestSimilar } from './src/lucid-number.js';
+import { createLeaderElection } from './src/leader.js';
+import { log, registerSecret, requestContext, runInJobContext, setLogLevel } from './src/logger.js';
+import { toRegisterStore } from './src/register-store.js';
+import { createApiV2Router } from './src/api-v2.js';
+import { buildOpenApiDocument } from './src/openapi-v2.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const CACHE_DIR = process.env.CACHE_DIR || '/data';
-const CACHE_FILE = path.join(CACHE_DIR, 'lucid-cache.json');
+const CACHE_FILE = path.join(CACHE_DIR, 'lucid-cache.ndjson.gz');
+// Altes Format (ein JSON-Objekt) - wird beim Start automatisch migriert
+const LEGACY_CACHE_FILE = path.join(CACHE_DIR, 'lucid-cache.json');
+const CHANGES_FILE = path.join(CACHE_DIR, 'lucid-changes.ndjson');
+const WATCHLIST_FILE = path.join(CACHE_DIR, 'watchlist.json');
+const WEBHOOK_LOG_FILE = path.join(CACHE_DIR, 'webhook-deliveries.ndjson');
+const WEBHOOK_PENDING_FILE = path.join(CACHE_DIR, 'webhook-pending.json');
+const SNAPSHOT_DIR = path.join(CACHE_DIR, 'snapshots');
+// Zwischenablage für den Register-Download (Teil-Download, Rate-Limit-Sperre)
+const DOWNLOAD_DIR = path.join(CACHE_DIR, 'download');
+// Vom Worker-Thread fertig geparste Datenbestände, bevor sie übernommen werden
+const STAGING_DIR = path.join(CACHE_DIR, 'staging');
+const JOBS_FILE = path.join(CACHE_DIR, 'refresh-jobs.ndjson');
+// Prüfprotokoll aller Abfragen (append-only, hash-verkettet)
+const AUDIT_FILE = path.join(CACHE_DIR, 'audit.ndjson');
+// Lock-Datei der Leader-Wahl (mehrere Instanzen auf einem Volume)
+const LEADER_LOCK_FILE = path.join(CACHE_DIR, 'leader.lock');
 
 // Konfiguration aus Umgebungsvariablen
 const config = {
   // Token MUSS als Umgebungsvariable gesetzt werden in Coolify
   zsvr_token: process.env.ZSVR_TOKEN || '',
-  // API Key für interne Authentifizierung - MUSS in Coolify gesetzt werden
+  // API Key für interne Authentifizierung - gilt als Key "internal" mit allen Scopes
   internal_api_key: process.env.INTERNAL_API_KEY || '',
+  // Weitere benannte Keys mit Scopes: JSON-Datei (wird bei Änderung neu geladen) oder JSON direkt
+  api_keys_file: process.env.API_KEYS_FILE || '',
+  api_keys: process.env.API_KEYS || '',
+  // Standard-Rate-Limit pro Key (Anfragen pro Minute, 0 = unbegrenzt)
+  rate_limit_per_minute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '600'),
   cache_ttl_hours: parseInt(process.env.CACHE_TTL_HOURS || '24'),
   // Korrekte LUCID API URL - kann über Umgebungsvariable überschrieben werden
-  api_url: process.env.LUCID_API_URL || 'https://registerabruf.verpackungsregister.org/v1/listofproducers'
+  api_url: process.env.LUCID_API_URL || 'https://registerabruf.verpackungsregister.org/v1/listofproducers',
+  // Datenquelle für Refresh: "http" (LUCID API) oder "file" (lokale XML/.gz/.zip Datei)
+  data_source: process.env.DATA_SOURCE || 'http',
+  data_source_file: process.env.DATA_SOURCE_FILE || '',
+  // Maximale Anzahl LUCID-Nummern pro Batch-Anfrage
+  batch_max_size: parseInt(process.env.BATCH_MAX_SIZE || '5000'),
+  // Maximale Größe von Request-Bodies (Batch-Uploads)
+  body_limit: process.env.BODY_LIMIT || '5mb',
+  // Maximale Seitengröße für /api/lucid/search
+  search_max_limit: parseInt(process.env.SEARCH_MAX_LIMIT || '100'),
+  // Speicherbudget für den Datenbestand (MB) - Überschreitung wird gewarnt und in /api/stats gemeldet
+  cache_memory_budget_mb: parseInt(process.env.CACHE_MEMORY_BUDGET_MB || '512'),
+  // Wie lange das Änderungsprotokoll aufbewahrt wird (0 = unbegrenzt)
+  changes_retention_days: parseInt(process.env.CHANGES_RETENTION_DAYS || '365'),
+  // Webhooks für die Watchlist
+  webhook: {
+    max_attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+    retry_base_ms: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000'),
+    timeout_ms: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+    // http:// Callback-URLs erlauben (z.B. lokaler Test-Empfänger)
+    allow_http: process.env.WEBHOOK_ALLOW_HTTP === 'true',
+    // Callbacks an interne Adressen (Loopback, privat, link-local, ULA) erlauben - alle bzw. nur diese Hosts
+    allow_private: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+    allowed_hosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+  },
+  // Zeitplan für automatische Refreshes
+  schedule: {
+    cron: process.env.REFRESH_CRON || '30 2 * * *',
+    timezone: process.env.REFRESH_TIMEZONE || 'Europe/Berlin',
+    // Geplanter Lauf wird übersprungen wenn der Cache jünger ist
+    min_interval_hours: parseFloat(process.env.REFRESH_MIN_INTERVAL_HOURS || '20'),
+    // Zufällige Verzögerung des geplanten Laufs (verteilt mehrere Instanzen)
+    jitter_seconds: parseInt(process.env.REFRESH_JITTER_SECONDS || '0'),
+    // Beim Start einmalig nachladen wenn der Cache älter ist
+    startup_max_age_hours: parseFloat(process.env.REFRESH_STARTUP_MAX_AGE_HOURS || '48')
+  },
+  // Ed25519-Schlüssel für signierte Prüf-Quittungen (wird erzeugt wenn die Datei fehlt)
+  audit_signing_key_file: process.env.AUDIT_SIGNING_KEY_FILE || path.join(CACHE_DIR, 'audit-signing-key.pem'),
+  // Prüfprotokoll ab dieser Größe archivieren (0 = nie) und Archive so lange aufbewahren (0 = unbegrenzt)
+  audit_rotate_mb: parseInt(process.env.AUDIT_ROTATE_MB || '100'),
+  audit_retention_days: parseInt(process.env.AUDIT_RETENTION_DAYS || '0'),
+  // Mehrere Instanzen auf einem Volume: nur der Leader lädt, Follower übernehmen den gespeicherten Cache
+  cluster: {
+    leader_election: process.env.LEADER_ELECTION !== 'false',
+    instance_id: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    lock_ttl_seconds: parseInt(process.env.LEADER_LOCK_TTL_SECONDS || '60'),
+    // Wie oft Follower nach einem neuen Datenbestand auf Disk schauen
+    sync_interval_seconds: parseInt(process.env.SNAPSHOT_SYNC_INTERVAL_SECONDS || '30')
+  },
+  // Readiness (/readyz): Instanz bekommt keinen Traffic wenn der Cache älter ist
+  ready_max_cache_age_hours: parseFloat(process.env.READY_MAX_CACHE_AGE_HOURS || '72'),
+  // Herunterfahren (SIGTERM): so lange auf laufende Anfragen und den Refresh warten
+  shutdown_timeout_seconds: parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '8'),
+  // Anzahl aufbewahrter Refresh-Jobs in der Historie
+  job_history_keep: parseInt(process.env.JOB_HISTORY_KEEP || '200'),
+  // Plausibilitätsprüfung vor dem Austausch des Caches
+  refresh_min_entries: parseInt(process.env.REFRESH_MIN_ENTRIES || '1000'),
+  refresh_max_shrink_percent: parseFloat(process.env.REFRESH_MAX_SHRINK_PERCENT || '10'),
+  // Anzahl aufbewahrter Snapshots für Rollback
+  snapshot_keep: parseInt(process.env.SNAPSHOT_KEEP || '3'),
+  // Download von der LUCID API (Retry, Fortsetzen per Range, Rate-Limit-Sperre)
+  download: {
+    max_attempts: parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS || '5'),
+    retry_base_ms: parseInt(process.env.DOWNLOAD_RETRY_BASE_MS || '30000'),
+    retry_max_ms: parseInt(process.env.DOWNLOAD_RETRY_MAX_MS || '900000'),
+    idle_timeout_ms: parseInt(process.env.DOWNLOAD_IDLE_TIMEOUT_MS || '120000'),
+    // Sperrfrist nach 429 wenn die API keinen Retry-After Header schickt
+    cooldown_ms: parseInt(process.env.DOWNLOAD_COOLDOWN_MS || '3600000')
+  },
+  // Feld-Mapping für das Register-XML (JSON-Datei oder JSON direkt in der Variable)
+  field_mapping_file: process.env.FIELD_MAPPING_FILE || '',
+  field_mapping: process.env.FIELD_MAPPING || '',
+  // Mapping-Prüfung beim Start: "auto" (nur bei DATA_SOURCE=file), "true" (auch per Range-Request an die API), "false"
+  field_mapping_check: process.env.FIELD_MAPPING_CHECK || 'auto',
+  // Log-Level: debug, info, warn, error (JSON-Zeilen auf stdout/stderr)
+  log_level: process.env.LOG_LEVEL || 'info'
 };
 
-// In-Memory Cache für schnelle Zugriffe
+setLogLevel(config.log_level);
+// Token und Keys werden in allen Logzeilen geschwärzt
+registerSecret(config.zsvr_token);
+registerSecret(config.internal_api_key);
+
+// Feld-Mapping - wird beim Start geladen und geprüft
+let fieldMapping = null;
+
+// Refresh-Jobs mit Historie und Live-Fortschritt
+const jobs = createJobManager({ historyFile: JOBS_FILE, keep: config.job_history_keep });
+
+// Prüfprotokoll für validate/verify - Kettenende und Schlüssel werden beim Start geladen
+const audit = createAuditLog({
+  file: AUDIT_FILE,
+  signingKeyFile: config.audit_signing_key_file,
+  instanceId: config.cluster.instance_id,
+  rotateBytes: config.audit_rotate_mb * 1024 * 1024,
+  retentionDays: config.audit_retention_days
+});
+
+// Leader-Wahl - nur der Leader lädt von der LUCID API und schreibt Cache und Snapshots
+const leader = createLeaderElection({
+  file: LEADER_LOCK_FILE,
+  instanceId: config.cluster.instance_id,
+  ttlMs: config.cluster.lock_ttl_seconds * 1000,
+  enabled: config.cluster.leader_election,
+  onChange: (role, previous) => {
+    log.info('LEADER', `Rolle gewechselt: ${previous} → ${role} (Instanz ${config.cluster.instance_id})`);
+    // Webhooks verschickt der Leader - auch die Retries eines ausgefallenen Vorgängers
+    if (role === 'leader') {
+      resumeWebhookRetries();
+      // Beim Start prüft startServer() selbst, sobald der Cache von Disk geladen ist
+      if (startupComplete) refreshIfStale();
+    } else if (previous === 'leader') {
+      const suspended = suspendDeliveries();
+      if (suspended > 0) log.info('WEBHOOK', `${suspended} wartende Zustellung(en) angehalten - der neue Leader setzt sie fort`);
+    }
+  }
+});
+
+// In-Memory Cache für schnelle Zugriffe - kompakter, nur lesbarer Bestand (src/register-store.js)
+const emptyStore = toRegisterStore();
 let memoryCache = {
-  data: new Map(),
+  data: emptyStore,
+  searchIndex: buildSearchIndex(emptyStore),
+  // Gemessener Speicherbedarf des Bestands (data.memoryUsage())
+  memory: emptyStore.memoryUsage(),
   lastUpdate: null,
-  isLoading: false
+  version: null,
+  isLoading: false,
+  // Ergebnis des letzten Refresh-Versuchs und letzte Ablehnung durch die Prüfung
+  lastRefresh: null,
+  lastRejected: null,
+  // Letzte Prüfung des Feld-Mappings gegen den Feed (Start-Check oder Parse-Lauf)
+  mappingReport: null
 };
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+/**
+ * Neue Daten in den Memory Cache übernehmen und Such-Indizes neu aufbauen
+ */
+function setCacheData(data, lastUpdate) {
+  memoryCache.searchIndex = buildSearchIndex(data);
+  memoryCache.data = data;
+  memoryCache.memory = data.memoryUsage();
+  memoryCache.lastUpdate = lastUpdate;
+  memoryCache.version = lastUpdate ? snapshotId(lastUpdate) : null;
+
+  const budgetBytes = config.cache_memory_budget_mb * 1024 * 1024;
+  if (budgetBytes > 0 && memoryCache.memory.bytes > budgetBytes) {
+    log.warn('CACHE', `Datenbestand belegt ${(memoryCache.memory.bytes / 1024 / 1024).toFixed(0)} MB - über dem Budget von ${config.cache_memory_budget_mb} MB`, {
+      bytes: memoryCache.memory.bytes,
+      budgetBytes
+    });
+  }
+}
+
+/**
+ * Frisch geladenen Datenbestand übernehmen und Änderungen zum alten Stand protokollieren
+ * updatedAt ist der Stand der Daten (beim Rollback der Zeitpunkt des Snapshots)
+ * Gibt den Diff zurück (null beim allerersten Laden)
+ */
+async function applyNewDataset(newData, updatedAt = Date.now()) {
+  const previous = memoryCache.data;
+  // Änderungen tragen immer den Zeitpunkt der Übernahme (auch beim Rollback auf alte Stände)
+  const changedAt = Date.now();
+
+  setCacheData(newData, updatedAt);
+
+  if (previous.size === 0) {
+    log.info('CHANGES', 'Erster Datenbestand - kein Vergleich möglich');
+    return null;
+  }
+
+  const diff = diffDatasets(previous, newData);
+  log.info('CHANGES', `${diff.added.length} neu, ${diff.removed.length} entfernt, ${diff.modified.length} geändert`, {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    modified: diff.modified.length
+  });
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await appendChanges(CHANGES_FILE, diff, changedAt);
+    const pruned = await pruneChanges(CHANGES_FILE, config.changes_retention_days);
+    if (pruned > 0) {
+      log.info('CHANGES', `${pruned} alte Einträge aus dem Protokoll entfernt`);
+    }
+  } catch (error) {
+    log.error('CHANGES', 'Protokoll konnte nicht gespeichert werden', { error });
+    // Kein Abbruch - der neue Datenbestand ist trotzdem aktiv
+  }
+
+  // Andere Instanzen können die Watchlist inzwischen geändert haben
+  await syncWatchlist().catch(error => {
+    log.error('WATCHLIST', 'Neu laden fehlgeschlagen', { error });
+  });
+  notifyWatchers(diff, changedAt);
+
+  return diff;
+}
+
+/**
+ * Vor dem Neustart gespeicherte Webhook-Retries wieder einplanen
+ */
+async function resumeWebhookRetries() {
+  const resumed = await resumeDeliveries(webhookOptions());
+  if (resumed > 0) {
+    log.info('WEBHOOK', `${resumed} wartende Zustellung(en) aus ${WEBHOOK_PENDING_FILE} fortgesetzt`);
+  }
+}
+
+function webhookOptions() {
+  return {
+    logFile: WEBHOOK_LOG_FILE,
+    pendingFile: WEBHOOK_PENDING_FILE,
+    maxAttempts: config.webhook.max_attempts,
+    baseDelayMs: config.webhook.retry_base_ms,
+    timeoutMs: config.webhook.timeout_ms,
+    allowPrivate: config.webhook.allow_private,
+    allowedHosts: config.webhook.allowed_hosts,
+    isLeader: () => leader.isLeader()
+  };
+}
+
+/**
+ * Webhooks für beobachtete Nummern verschicken die sich beim Refresh geändert haben
+ * Läuft im Hintergrund - Fehler werden nur protokolliert
+ */
+function notifyWatchers(diff, occurredAt) {
+  const events = buildWatchEvents(watchlist, diff, occurredAt);
+  if (events.length === 0) return;
+
+  log.info('WEBHOOK', `${events.length} Benachrichtigung(en) für beobachtete Nummern`);
+
+  for (const { entry, event } of events) {
+    deliverWebhook(
+      { url: entry.callbackUrl, secret: entry.secret, watchId: entry.id, lucid: entry.lucid, keyName: entry.keyName },
+      event,
+      webhookOptions()
+    ).catch(error => {
+      log.error('WEBHOOK', 'Zustellung fehlgeschlagen', { error });
+    });
+  }
+}
+
+// Beobachtete LUCID-Nummern (wird beim Start von Disk geladen)
+let watchlist = [];
+
+// API-Keys mit Scopes (lookup, search, admin, export) und Rate Limit pro Key
+const auth = createAuth({
+  file: config.api_keys_file,
+  json: config.api_keys,
+  legacyKey: config.internal_api_key,
+  defaultRateLimitPerMinute: config.rate_limit_per_minute,
+  onDenied: (req, reason) => {
+    if (/^\/api\/(v2\/)?lucid\/validate/.test(req.baseUrl + req.path)) {
+      countLookup(reason === 'rate_limited' ? 'rate_limited' : 'unauthorized');
+    }
+  }
+});
+
+// Zustand beim Herunterfahren (SIGTERM/SIGINT) und laufende Anfragen
+let shuttingDown = false;
+// Cache beim Start von Disk geladen - erst danach lohnt refreshIfStale() bei einem Rollenwechsel
+let startupComplete = false;
+let inFlightRequests = 0;
 
-// Logging
+// Middleware - Request-ID zuerst, damit alle Logzeilen der Anfrage sie tragen
+app.use(requestContext);
+app.use((req, res, next) => {
+  inFlightRequests++;
+  res.on('close', () => inFlightRequests--);
+  // Keep-Alive-Verbindungen nach dieser Antwort schließen
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json({ limit: config.body_limit }));
+app.use(requestMetrics);
+
+registerCacheMetrics(() => ({
+  entries: memoryCache.data.size,
+  lastUpdate: memoryCache.lastUpdate,
+  memoryBytes: memoryCache.memory.bytes
+}));
+registerInstanceMetrics(() => leader.role());
+
+// Logging - nach der Antwort, damit Status und Key-Name bekannt sind
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      key: req.apiKey ? req.apiKey.name : null
+    };
+    // Health Checks und Metriken nur im Debug-Level
+    const level = res.statusCode >= 500 ? 'error' : /^\/(healthz|readyz|metrics)$/.test(req.path) ? 'debug' : 'info';
+    log[level]('HTTP', `${req.method} ${req.path} ${res.statusCode}`, fields);
+  });
   next();
 });
 
+// Immer nur ein Worker gleichzeitig - node-expat lässt sich nicht in zwei Threads parallel laden
+let workerQueue = Promise.resolve();
+// Abbruch-Funktionen laufender Worker (beim Herunterfahren)
+const activeWorkers = new Set();
+
 /**
- * XML von LUCID API herunterladen und parsen - STREAMING VERSION
- * Löst ERR_STRING_TOO_LONG für 568MB XML-Dateien
+ * Worker-Thread (src/register-worker.js) starten und auf sein Ergebnis warten
+ * onProgress(update) bekommt die Fortschrittsmeldungen des Workers
  */
-async function downloadAndParseXML() {
-  console.log('[LUCID] Starte STREAMING Download der XML-Daten...');
-  console.log('[LUCID] URL:', config.api_url);
-  console.log('[LUCID] Token (erste 20 Zeichen):', config.zsvr_token.substring(0, 20) + '...');
-
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Map für Produzenten-Daten
-      const dataMap = new Map();
-      let producerCount = 0;
-      const startTime = Date.now();
-
-      // Download XML mit Token - STREAMING!
-      console.log('[LUCID] Sende Anfrage an LUCID API (Stream-Modus)...');
-      const response = await axios({
-        method: 'GET',
-        url: config.api_url,
-        params: {
-          token: config.zsvr_token
-        },
-        headers: {
-          'Accept': 'application/xml',
-          'Accept-Encoding': 'identity' // Keine Kompression für Stream
-        },
-        responseType: 'stream', // ← KRITISCH: Stream statt Text!
-        timeout: 600000, // 10 Minuten
-        maxContentLength: Infinity, // Keine Limits für Stream
-        maxBodyLength: Infinity
-      });
+function runRegisterWorker(options, onProgress = () => {}) {
+  const run = workerQueue.then(() => startRegisterWorker(options, onProgress));
+  workerQueue = run.catch(() => {});
+  return run;
+}
 
-      console.log('[LUCID] Stream gestartet, Status:', response.status);
-      console.log('[LUCID] Content-Length:', response.headers['content-length'], 'Bytes');
-
-      // XML Stream Parser erstellen
-      const xml = new XmlStream(response.data);
-
-      // Event für JEDES <Producer> Element (alle gängigen LUCID XML-Strukturen)
-      // xml-stream unterstützt CSS-ähnliche Selektoren
-      xml.collect('Producer'); // Sammelt alle Producer-Elemente
-      xml.collect('producer'); // Alternative Schreibweise
-
-      // Event wenn ein Producer-Element komplett ist
-      xml.on('endElement: Producer', (producer) => {
-        producerCount++;
-
-        // Extrahiere Felder (verschiedene Feldnamen unterstützen)
-        const regNum = producer.RegistrationNumber ||
-                       producer.registrationNumber ||
-                       producer.registration_number ||
-                       producer.RegNr || '';
-
-        if (regNum) {
-          const normalized = regNum.trim().toUpperCase();
-          dataMap.set(normalized, {
-            registration_number: regNum,
-            company_name: producer.ProducerName || producer.Name || producer.CompanyName || producer.name || '',
-            vat_number: producer.VATNumber || producer.UstIdNr || producer.vat_number || '',
-            tax_number: producer.TaxNumber || producer.Steuernummer || producer.tax_number || '',
-            address: producer.Address || producer.address || '',
-            city: producer.City || producer.city || '',
-            postal_code: producer.PostalCode || producer.postal_code || ''
-          });
-        }
+function startRegisterWorker({ task, outputFile = null, label = 'LUCID' }, onProgress) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      fn(value);
+    };
 
-        // Progress-Log alle 10.000 Einträge
-        if (producerCount % 10000 === 0) {
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          console.log(`[LUCID] Verarbeitet: ${producerCount.toLocaleString()} Produzenten... (${elapsed}s)`);
+    const worker = new Worker(new URL('./src/register-worker.js', import.meta.url), {
+      workerData: {
+        task,
+        outputFile,
+        label,
+        mapping: { file: config.field_mapping_file, json: config.field_mapping },
+        download: {
+          dir: DOWNLOAD_DIR,
+          url: config.api_url,
+          params: { token: config.zsvr_token },
+          maxAttempts: config.download.max_attempts,
+          baseDelayMs: config.download.retry_base_ms,
+          maxDelayMs: config.download.retry_max_ms,
+          idleTimeoutMs: config.download.idle_timeout_ms,
+          cooldownMs: config.download.cooldown_ms
         }
-      });
+      }
+    });
 
-      // Alternative Schreibweise (lowercase)
-      xml.on('endElement: producer', (producer) => {
-        producerCount++;
-
-        const regNum = producer.RegistrationNumber ||
-                       producer.registrationNumber ||
-                       producer.registration_number ||
-                       producer.RegNr || '';
-
-        if (regNum) {
-          const normalized = regNum.trim().toUpperCase();
-          dataMap.set(normalized, {
-            registration_number: regNum,
-            company_name: producer.ProducerName || producer.Name || producer.CompanyName || producer.name || '',
-            vat_number: producer.VATNumber || producer.UstIdNr || producer.vat_number || '',
-            tax_number: producer.TaxNumber || producer.Steuernummer || producer.tax_number || '',
-            address: producer.Address || producer.address || '',
-            city: producer.City || producer.city || '',
-            postal_code: producer.PostalCode || producer.postal_code || ''
-          });
-        }
+    const abort = (error) => {
+      settle(reject, error);
+      worker.terminate();
+    };
+    activeWorkers.add(abort);
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        const { type, ...update } = message;
+        onProgress(update);
+      } else if (message.type === 'done') {
+        settle(resolve, message);
+      } else if (message.type === 'error') {
+        settle(reject, Object.assign(new Error(message.message), { code: message.code }));
+      }
+    });
+    worker.on('error', (error) => settle(reject, error));
+    worker.on('exit', (code) => {
+      activeWorkers.delete(abort);
+      settle(reject, new Error(`Worker-Thread unerwartet beendet (Exit-Code ${code})`));
+    });
+  });
+}
 
-        if (producerCount % 10000 === 0) {
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          console.log(`[LUCID] Verarbeitet: ${producerCount.toLocaleString()} Produzenten... (${elapsed}s)`);
-        }
-      });
+/**
+ * Register-XML in einem Worker-Thread laden und parsen
+ * task: { source: 'http' } oder { source: 'file', file }
+ * Der Worker legt den fertigen Datenbestand als Cache-Datei ab - der Haupt-Thread liest nur diese
+ * (zeilenweise, Lookups laufen dazwischen weiter). Der Fortschritt landet im Job.
+ * Liefert { data: RegisterStore, stats }
+ */
+async function loadInWorker(task, label, job) {
+  await fs.mkdir(STAGING_DIR, { recursive: true });
+  const outputFile = path.join(STAGING_DIR, `dataset-${Date.now()}.ndjson.gz`);
 
-      // Stream Ende - Erfolg!
-      xml.on('end', () => {
-        const duration = Math.floor((Date.now() - startTime) / 1000);
-        console.log(`[LUCID] ✅ Stream abgeschlossen! ${producerCount.toLocaleString()} Produzenten gefunden`);
-        console.log(`[LUCID] Map erstellt mit ${dataMap.size.toLocaleString()} Einträgen`);
-        console.log(`[LUCID] Gesamt-Dauer: ${duration} Sekunden (${Math.floor(duration / 60)}min ${duration % 60}s)`);
-
-        if (dataMap.size > 0) {
-          // Zeige ersten Eintrag als Beispiel
-          const firstEntry = Array.from(dataMap.entries())[0];
-          console.log('[LUCID] Beispiel-Eintrag:', JSON.stringify(firstEntry, null, 2).substring(0, 300));
-        }
+  jobs.update(job, {
+    phase: task.source === 'http' ? 'download' : 'parse',
+    attempt: task.source === 'http' ? 1 : null
+  });
 
-        resolve(dataMap);
-      });
+  try {
+    const { file, stats } = await runRegisterWorker({ task, outputFile, label }, (update) => {
+      jobs.update(job, update);
+    });
 
-      // Fehler-Handling - XML Parse Fehler
-      xml.on('error', (error) => {
-        console.error('[LUCID] ❌ XML Parse Fehler:', error.message);
-        console.error('[LUCID] Error Stack:', error.stack);
-        reject(error);
-      });
+    // Fertigen Datenbestand übernehmen
+    jobs.update(job, { phase: 'load', producers: stats.producerCount });
+    const { data } = await readCacheFile(file);
+    return { data, stats };
+  } finally {
+    await fs.rm(outputFile, { force: true });
+  }
+}
 
-      // Fehler-Handling - HTTP Stream Fehler
-      response.data.on('error', (error) => {
-        console.error('[LUCID] ❌ HTTP Stream Fehler:', error.message);
-        console.error('[LUCID] Error Code:', error.code);
-        reject(error);
-      });
+/**
+ * XML von LUCID API herunterladen und parsen (im Worker-Thread)
+ * Erst vollständig nach DOWNLOAD_DIR laden (mit Retry und Fortsetzen), dann die Datei parsen
+ * Liefert { data: RegisterStore, stats } - stats beschreibt die Vollständigkeit des Streams
+ */
+function downloadAndParseXML(job) {
+  log.info('LUCID', 'Starte Download der XML-Daten', { url: config.api_url, tokenPresent: !!config.zsvr_token });
 
-    } catch (error) {
-      console.error('[LUCID] ❌ FEHLER beim Download/Parsing!');
-      console.error('[LUCID] Error Type:', error.constructor.name);
-      console.error('[LUCID] Error Message:', error.message);
-
-      if (error.response) {
-        console.error('[LUCID] Response Status:', error.response.status);
-        console.error('[LUCID] Response Status Text:', error.response.statusText);
-        console.error('[LUCID] Response Headers:', JSON.stringify(error.response.headers));
-
-        // Spezielle Behandlung für 429 Rate Limit
-        if (error.response.status === 429) {
-          console.error('[LUCID] 🔴 RATE LIMIT ERREICHT! API blockiert weitere Anfragen.');
-          console.error('[LUCID] Retry-After Header:', error.response.headers['retry-after']);
-        }
-      }
+  return loadInWorker({ source: 'http' }, 'LUCID', job);
+}
 
-      if (error.config) {
-        console.error('[LUCID] Request URL:', error.config.url);
-      }
+/**
+ * Register-XML aus einer lokalen Datei (.xml, .gz, .zip) parsen (im Worker-Thread)
+ */
+function importFromFile(file, job) {
+  return loadInWorker({ source: 'file', file }, 'IMPORT', job);
+}
 
-      if (error.code) {
-        console.error('[LUCID] Error Code:', error.code);
-        if (error.code === 'ECONNABORTED') {
-          console.error('[LUCID] ⏱️ TIMEOUT! Download hat zu lange gedauert.');
-        }
-        if (error.code === 'ENOTFOUND') {
-          console.error('[LUCID] 🔍 DNS FEHLER! Server nicht gefunden.');
-        }
-      }
+/**
+ * Register-XML aus der konfigurierten Quelle laden (DATA_SOURCE=http|file)
+ */
+function loadFromConfiguredSource(job) {
+  if (config.data_source === 'file') {
+    return importFromFile(config.data_source_file, job);
+  }
+  return downloadAndParseXML(job);
+}
 
-      reject(error);
-    }
+/**
+ * Refresh-Lauf für /metrics erfassen (Ergebnis, Dauer, gelesene Produzenten)
+ */
+function recordRefreshMetrics(source, startedAt, result, error = null) {
+  observeRefresh({
+    source,
+    result: !error ? 'accepted' : error.code === 'REFRESH_REJECTED' ? 'rejected' : 'failed',
+    durationMs: Date.now() - startedAt,
+    producers: result?.stats?.producerCount
   });
 }
 
 /**
- * Cache aktualisieren
+ * Neu geladenen Datenbestand prüfen und erst dann übernehmen
+ * Bei fehlgeschlagener Prüfung bleibt der alte Cache aktiv (Error mit code REFRESH_REJECTED)
  */
-async function updateCache(force = false) {
-  // Prüfe ob Update nötig
-  if (!force && memoryCache.lastUpdate) {
-    const hoursSinceUpdate = (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60);
-    if (hoursSinceUpdate < config.cache_ttl_hours) {
-      console.log(`[CACHE] Noch aktuell (${hoursSinceUpdate.toFixed(1)}h alt)`);
-      return;
+async function commitNewDataset(result, source) {
+  if (result.stats?.mapping) {
+    logMappingReport(result.stats.mapping);
+    memoryCache.mappingReport = { checkedAt: new Date().toISOString(), source, ...result.stats.mapping };
+  }
+
+  const verdict = checkDataset(result, memoryCache.data.size, {
+    minEntries: config.refresh_min_entries,
+    maxShrinkPercent: config.refresh_max_shrink_percent
+  });
+
+  if (!verdict.ok) {
+    memoryCache.lastRejected = {
+      at: new Date().toISOString(),
+      source,
+      reasons: verdict.failures,
+      checks: verdict.checks
+    };
+    memoryCache.lastRefresh = { status: 'rejected', ...memoryCache.lastRejected };
+
+    for (const failure of verdict.failures) {
+      log.warn('CACHE', `Neuer Datenbestand abgelehnt (${failure.check}): ${failure.message}`, { source, check: failure.check });
     }
+    log.warn('CACHE', `Alter Cache bleibt aktiv: ${memoryCache.data.size} Einträge`, { entries: memoryCache.data.size });
+
+    const error = new Error(`Neuer Datenbestand abgelehnt: ${verdict.failures.map(f => f.check).join(', ')}`);
+    error.code = 'REFRESH_REJECTED';
+    throw error;
   }
 
-  // Verhindere parallele Updates
-  if (memoryCache.isLoading) {
-    console.log('[CACHE] Update läuft bereits...');
-    return;
+  await applyNewDataset(result.data);
+  memoryCache.lastRefresh = {
+    status: 'accepted',
+    at: new Date().toISOString(),
+    source,
+    version: memoryCache.version,
+    checks: verdict.checks
+  };
+
+  // Speichere auf Disk als Backup und als Snapshot für Rollback
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await writeCacheFile(CACHE_FILE, result.data, { lastUpdate: memoryCache.lastUpdate });
+    log.info('CACHE', `Auf Disk gespeichert: ${CACHE_FILE}`);
+
+    const snapshot = await saveSnapshot(SNAPSHOT_DIR, CACHE_FILE, {
+      lastUpdate: memoryCache.lastUpdate,
+      count: result.data.size,
+      source,
+      checks: verdict.checks
+    }, config.snapshot_keep);
+    log.info('SNAPSHOT', `Gespeichert: ${snapshot.id}`);
+  } catch (diskError) {
+    log.error('CACHE', 'Disk-Speicherung fehlgeschlagen', { error: diskError });
+    // Kein Abbruch - Memory Cache funktioniert trotzdem
   }
+}
+
+// Abbruch der Wartezeit vor einem Refresh (beim Herunterfahren)
+let refreshWait = null;
+
+/**
+ * Laufenden Refresh beim Herunterfahren abbrechen
+ * Warten, Download und Parsen (Worker) werden abgebrochen - ein Download lässt sich später per
+ * Range fortsetzen. Laden, Prüfen und Speichern laufen zu Ende, damit Cache und Snapshot
+ * vollständig geschrieben werden.
+ */
+function abortRefresh() {
+  const error = Object.assign(new Error('Abgebrochen - Service wird beendet'), { code: 'SHUTDOWN' });
+  if (refreshWait) refreshWait(error);
+  for (const abort of activeWorkers) abort(error);
+}
 
+/**
+ * Refresh als Job ausführen: laden, prüfen, übernehmen, Metriken und Historie erfassen
+ * load(job) liefert { data, stats } - delayMs wartet vorher (Rate-Limit-Schutz, Jitter)
+ * Der Aufrufer muss vorher memoryCache.isLoading prüfen - der Job wird synchron angelegt
+ */
+function runRefreshJob({ trigger, source, delayMs = 0 }, load) {
   memoryCache.isLoading = true;
+  const job = jobs.start({ trigger, source });
 
-  try {
-    // Warte 5 Sekunden vor Download (Rate Limit Schutz)
-    console.log('[CACHE] ⏳ Warte 5 Sekunden (Rate Limit Schutz)...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
+  // Eigener Log-Kontext - sonst trügen alle Zeilen des Jobs die Request-ID der auslösenden Anfrage
+  return runInJobContext(job.id, async () => {
+    let startedAt = Date.now();
+    let result = null;
 
-    // Lade neue Daten
-    const newData = await downloadAndParseXML();
-    
-    // Update Memory Cache
-    memoryCache.data = newData;
-    memoryCache.lastUpdate = Date.now();
-    
-    // Speichere auf Disk als Backup
     try {
-      await fs.mkdir(CACHE_DIR, { recursive: true });
-      
-      const cacheData = {
-        lastUpdate: memoryCache.lastUpdate,
-        count: newData.size,
-        data: Array.from(newData.entries())
-      };
-      
-      await fs.writeFile(CACHE_FILE, JSON.stringify(cacheData), 'utf-8');
-      console.log(`[CACHE] Auf Disk gespeichert: ${CACHE_FILE}`);
-    } catch (diskError) {
-      console.error('[CACHE] Disk-Speicherung fehlgeschlagen:', diskError.message);
-      // Kein Abbruch - Memory Cache funktioniert trotzdem
+      if (delayMs > 0) {
+        jobs.update(job, { phase: 'waiting' });
+        log.info('CACHE', `Warte ${Math.round(delayMs / 1000)} Sekunden vor dem Laden`);
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delayMs);
+          refreshWait = (error) => {
+            clearTimeout(timer);
+            reject(error);
+          };
+        }).finally(() => {
+          refreshWait = null;
+        });
+        startedAt = Date.now();
+      }
+
+      result = await load(job);
+
+      // Prüfen, übernehmen und auf Disk sichern
+      jobs.update(job, { phase: 'commit' });
+      await commitNewDataset(result, source);
+      recordRefreshMetrics(source, startedAt, result);
+      await jobs.finish(job, 'accepted', { entries: memoryCache.data.size });
+      return result;
+    } catch (error) {
+      recordRefreshMetrics(source, startedAt, result, error);
+      if (error.code !== 'REFRESH_REJECTED') {
+        memoryCache.lastRefresh = { status: 'failed', at: new Date().toISOString(), source, error: error.message };
+      }
+      await jobs.finish(job, error.code === 'REFRESH_REJECTED' ? 'rejected' : 'failed', { error });
+      throw error;
+    } finally {
+      memoryCache.isLoading = false;
     }
-    
-    console.log(`[CACHE] Update erfolgreich! ${newData.size} Einträge im Cache`);
+  });
+}
+
+/**
+ * Cache aus der konfigurierten Quelle aktualisieren
+ * trigger: cron | admin | startup | auto - landet in der Job-Historie
+ * delayMs: zusätzliche Wartezeit vor dem Laden (Jitter des Zeitplans)
+ * Liefert den gestarteten Job oder null (Update läuft bereits, Service wird beendet, Follower) -
+ * der Job läuft im Hintergrund, Ergebnis und Fehler stehen im Log und in der Job-Historie
+ */
+function updateCache(trigger, { delayMs = 0 } = {}) {
+  // Verhindere parallele Updates
+  if (memoryCache.isLoading) {
+    log.info('CACHE', 'Update läuft bereits');
+    return null;
+  }
+
+  if (shuttingDown) {
+    log.info('CACHE', 'Kein Update - Service wird beendet');
+    return null;
+  }
+
+  // Nur der Leader lädt - Follower übernehmen den gespeicherten Cache
+  if (!leader.isLeader()) {
+    log.info('CACHE', `Kein Update - Instanz ist Follower (Leader: ${leader.status().leader?.instanceId || 'unbekannt'})`);
+    return null;
+  }
+
+  // Warte 5 Sekunden vor Download (Rate Limit Schutz)
+  const wait = delayMs + (config.data_source === 'http' ? 5000 : 0);
+
+  const running = runRefreshJob({ trigger, source: `refresh:${config.data_source}`, delayMs: wait }, loadFromConfiguredSource);
+  const job = jobs.current();
+  runInJobContext(job.id, () => running.then(
+    result => log.info('CACHE', `Update erfolgreich: ${result.data.size} Einträge im Cache`, { trigger, entries: result.data.size, version: memoryCache.version }),
+    error => log.error('CACHE', 'Update fehlgeschlagen', { trigger, error })
+  ));
+  return job;
+}
+
+/**
+ * Feld-Mapping gegen eine Stichprobe des Feeds prüfen (beim Start)
+ * Meldet Felder die im Feed fehlen und Elemente die nicht gemappt sind - bricht nie ab
+ */
+async function checkFieldMapping() {
+  const mode = config.field_mapping_check;
+  if (mode === 'false') return;
+
+  let task = null;
+  try {
+    if (config.data_source === 'file') {
+      task = { source: 'sample', from: 'file', file: config.data_source_file };
+    } else if (mode === 'true') {
+      // Kleiner Range-Request - nicht während einer Rate-Limit-Sperre
+      if (await getCooldown(DOWNLOAD_DIR)) {
+        log.info('MAPPING', 'Rate-Limit-Sperre aktiv - Stichprobe übersprungen');
+        return;
+      }
+      task = { source: 'sample', from: 'http' };
+    } else {
+      log.info('MAPPING', 'Start-Check nur bei DATA_SOURCE=file (FIELD_MAPPING_CHECK=true prüft auch die API)');
+      return;
+    }
+
+    const { report, description } = await runRegisterWorker({ task, label: 'MAPPING' });
+    logMappingReport(report);
+    memoryCache.mappingReport = { checkedAt: new Date().toISOString(), source: description, ...report };
   } catch (error) {
-    console.error('[CACHE] Update fehlgeschlagen:', error.message);
-    throw error;
-  } finally {
-    memoryCache.isLoading = false;
+    log.error('MAPPING', 'Stichprobe fehlgeschlagen', { error });
   }
 }
 
 /**
  * Cache von Disk laden (beim Start)
+ * Migriert vorher eine alte lucid-cache.json und fällt bei einer beschädigten
+ * Cache-Datei auf den neuesten lesbaren Snapshot zurück
  */
 async function loadCacheFromDisk() {
   try {
-    const data = await fs.readFile(CACHE_FILE, 'utf-8');
-    const parsed = JSON.parse(data);
+    await migrateLegacyCacheFile(LEGACY_CACHE_FILE, CACHE_FILE);
+  } catch (error) {
+    log.error('CACHE', 'Migration des alten Cache-Formats fehlgeschlagen', { error });
+  }
+
+  try {
+    const mtime = await fileMtime(CACHE_FILE);
+    const { data, lastUpdate } = await readCacheFile(CACHE_FILE);
     
-    memoryCache.data = new Map(parsed.data);
-    memoryCache.lastUpdate = parsed.lastUpdate;
+    setCacheData(data, lastUpdate);
+    syncState.cacheMtime = mtime;
     
-    console.log(`[CACHE] Von Disk geladen: ${memoryCache.data.size} Einträge`);
+    log.info('CACHE', `Von Disk geladen: ${memoryCache.data.size} Einträge`, { entries: memoryCache.data.size, version: memoryCache.version });
     return true;
   } catch (error) {
-    console.log('[CACHE] Kein Cache auf Disk gefunden');
-    return false;
+    if (error.code === 'ENOENT') {
+      log.info('CACHE', 'Kein Cache auf Disk gefunden');
+      return false;
+    }
+    log.error('CACHE', 'Cache-Datei nicht lesbar', { error });
+  }
+
+  for (const snapshot of await listSnapshots(SNAPSHOT_DIR)) {
+    try {
+      const { data, lastUpdate } = await readCacheFile(snapshotPath(SNAPSHOT_DIR, snapshot));
+      setCacheData(data, lastUpdate);
+      // Die Cache-Datei repariert nur der Leader - Follower übernehmen später seinen Stand
+      if (leader.isLeader()) await writeCacheFile(CACHE_FILE, data, { lastUpdate });
+      log.info('CACHE', `Aus Snapshot ${snapshot.id} wiederhergestellt: ${data.size} Einträge`);
+      return true;
+    } catch (error) {
+      log.error('CACHE', `Snapshot ${snapshot.id} nicht lesbar`, { error });
+    }
+  }
+
+  return false;
+}
+
+// Stand der gemeinsam genutzten Dateien beim letzten Abgleich (mtime in ms)
+const syncState = { cacheMtime: null, watchlistMtime: null, lastSyncAt: null, running: false };
+
+async function fileMtime(file) {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Watchlist neu laden wenn sie seit dem letzten Lesen geändert wurde (z.B. von einer anderen Instanz)
+ */
+async function syncWatchlist() {
+  const mtime = await fileMtime(WATCHLIST_FILE);
+  if (mtime === syncState.watchlistMtime) return;
+
+  watchlist = await loadWatchlist(WATCHLIST_FILE);
+  syncState.watchlistMtime = mtime;
+}
+
+/**
+ * Fehlenden (nur DATA_SOURCE=file - kein Rate Limit) oder sehr alten Cache einmalig nachladen
+ * Beim Start und erneut wenn eine Instanz später Leader wird - als Follower hätte sie nicht geladen
+ */
+function refreshIfStale() {
+  if (!leader.isLeader() || memoryCache.isLoading) return;
+
+  if (memoryCache.data.size === 0) {
+    if (config.data_source === 'file') {
+      log.info('CACHE', `Kein Cache vorhanden - importiere ${config.data_source_file}`);
+      updateCache('startup');
+    }
+    return;
+  }
+
+  // NUR wenn Cache SEHR alt ist (Standard >48h), dann einmalig nachladen
+  const hoursSinceUpdate = (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60);
+  if (hoursSinceUpdate > config.schedule.startup_max_age_hours) {
+    log.info('CACHE', `Cache älter als ${config.schedule.startup_max_age_hours}h - starte einmaliges Update in 30 Sekunden`);
+    setTimeout(() => updateCache('startup'), 30000); // 30 Sekunden Verzögerung (Rate Limit Schutz)
+  }
+}
+
+/**
+ * Follower: vom Leader gespeicherten Datenbestand übernehmen (ohne Neustart)
+ * Änderungsprotokoll und Webhooks schreibt nur der Leader - hier wird nur der Cache getauscht
+ * Gibt true zurück wenn ein neuer Stand übernommen wurde
+ */
+async function syncFromLeader() {
+  if (leader.isLeader() || syncState.running) return false;
+
+  const mtime = await fileMtime(CACHE_FILE);
+  if (mtime === null || mtime === syncState.cacheMtime) return false;
+
+  syncState.running = true;
+  try {
+    const { data, lastUpdate } = await readCacheFile(CACHE_FILE);
+    syncState.cacheMtime = mtime;
+    syncState.lastSyncAt = new Date().toISOString();
+    if (lastUpdate === memoryCache.lastUpdate) return false;
+
+    const previousVersion = memoryCache.version;
+    setCacheData(data, lastUpdate);
+    memoryCache.lastRefresh = {
+      status: 'synced',
+      at: syncState.lastSyncAt,
+      source: 'leader',
+      version: memoryCache.version,
+      previousVersion
+    };
+    log.info('SYNC', `Datenbestand vom Leader übernommen: ${previousVersion || 'leer'} → ${memoryCache.version} (${data.size} Einträge)`, {
+      previousVersion,
+      version: memoryCache.version,
+      entries: data.size
+    });
+
+    // Job-Historie des Leaders anzeigen
+    await jobs.load({ trim: false });
+    return true;
+  } finally {
+    syncState.running = false;
   }
 }
 
+/**
+ * Watchlist vor dem Zugriff auf den Stand der Datei bringen (mehrere Instanzen auf einem Volume)
+ */
+function withCurrentWatchlist(req, res, next) {
+  syncWatchlist()
+    .catch(error => log.error('WATCHLIST', 'Neu laden fehlgeschlagen', { error }))
+    .then(() => next());
+}
+
+/**
+ * Schreibende Admin-Aktionen (Refresh, Import, Rollback) nur auf dem Leader
+ * Follower antworten mit 409 und nennen den aktuellen Leader
+ */
+function requireLeader(req, res, next) {
+  if (leader.isLeader()) return next();
+
+  const { instanceId, leader: current } = leader.status();
+  res.status(409).json({
+    ok: false,
+    error: 'Diese Instanz ist Follower - Refresh, Import und Rollback laufen nur auf dem Leader',
+    instanceId,
+    leader: current
+  });
+}
+
+/**
+ * Async-Route: ein Fehler landet im Fehler-Handler (500) statt als unbehandelte Rejection
+ * den Prozess zu beenden - Express 4 fängt nur synchrone Fehler
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
 // === ROUTES ===
 
 /**
- * Health Check
+ * Admin-Oberfläche unter /dashboard (statische Dateien, ohne API-Key abrufbar)
+ * Die Daten lädt sie mit dem eingegebenen Key über die vorhandenen Routen - Scopes gelten wie bei curl
+ */
+app.use('/dashboard', (req, res, next) => {
+  res.set({
+    'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'; base-uri 'none'; form-action 'self'",
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer'
+  });
+  next();
+}, express.static(fileURLToPath(new URL('./dashboard', import.meta.url))));
+
+/**
+ * Health Check (Liveness) - antwortet solange der Prozess läuft, unabhängig vom Cache
+ * Ob die Instanz Traffic bekommen soll, entscheidet /readyz
  */
 app.get('/healthz', (req, res) => {
   const status = {
     ok: true,
     uptime: process.uptime(),
+    instance: {
+      id: config.cluster.instance_id,
+      role: leader.role()
+    },
     cache: {
       entries: memoryCache.data.size,
       lastUpdate: memoryCache.lastUpdate,
+      version: memoryCache.version,
       age: memoryCache.lastUpdate ? 
         Math.floor((Date.now() - memoryCache.lastUpdate) / 1000 / 60) + ' Minuten' : 
         'nie'
@@ -313,121 +930,879 @@ app.get('/healthz', (req, res) => {
 });
 
 /**
- * LUCID Validierung - GESCHÜTZT mit API-Key
+ * Bereitschaft für Traffic prüfen
+ * Liefert { ready, failures: [{ check, message }], checks }
  */
-app.get('/api/lucid/validate', async (req, res) => {
-  // API-Key Authentifizierung
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
+function readiness() {
+  const failures = [];
+  const ageHours = memoryCache.lastUpdate ? (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60) : null;
+  const maxAgeHours = config.ready_max_cache_age_hours;
 
-  if (!config.internal_api_key) {
-    console.error('[SECURITY] WARNUNG: INTERNAL_API_KEY nicht gesetzt!');
+  if (shuttingDown) {
+    failures.push({ check: 'shutdown', message: 'Service wird beendet' });
   }
-
-  if (apiKey !== config.internal_api_key) {
-    console.log('[SECURITY] Ungültiger API-Key Versuch');
-    return res.status(401).json({
-      ok: false,
-      error: 'Unauthorized - Invalid API Key'
-    });
+  if (memoryCache.data.size === 0) {
+    failures.push({ check: 'cache_empty', message: 'Cache ist leer' });
+  } else if (ageHours !== null && ageHours > maxAgeHours) {
+    failures.push({ check: 'cache_age', message: `Cache ist ${ageHours.toFixed(1)}h alt, erlaubt sind ${maxAgeHours}h` });
   }
-
-  const { lucid } = req.query;
-  
-  if (!lucid) {
-    return res.status(400).json({ 
-      ok: false, 
-      error: 'LUCID-Nummer fehlt' 
-    });
+  if (memoryCache.lastRefresh?.status === 'rejected') {
+    const reasons = (memoryCache.lastRefresh.reasons || []).map(failure => failure.check).join(', ');
+    failures.push({ check: 'refresh_rejected', message: `Letzter Refresh abgelehnt (${reasons})` });
   }
 
-  // Normalisiere die Nummer
-  const normalized = lucid.trim().toUpperCase();
-  
-  // Stelle sicher dass Cache vorhanden
-  if (memoryCache.data.size === 0) {
-    console.log('[API] Cache leer, starte Update...');
-    try {
-      await updateCache(true);
-    } catch (error) {
-      return res.status(503).json({ 
-        ok: false, 
-        error: 'Cache nicht verfügbar, bitte später versuchen' 
-      });
+  return {
+    ready: failures.length === 0,
+    failures,
+    checks: {
+      entries: memoryCache.data.size,
+      ageHours: ageHours !== null ? Math.round(ageHours * 10) / 10 : null,
+      maxAgeHours,
+      lastRefresh: memoryCache.lastRefresh?.status || null,
+      shuttingDown
     }
+  };
+}
+
+/**
+ * Readiness Check - 503 solange die Instanz keinen Traffic bekommen soll
+ * (leerer oder zu alter Cache, letzter Refresh abgelehnt, Herunterfahren)
+ */
+app.get('/readyz', (req, res) => {
+  const { ready, failures, checks } = readiness();
+
+  res.status(ready ? 200 : 503).json({
+    ok: ready,
+    ready,
+    instance: {
+      id: config.cluster.instance_id,
+      role: leader.role()
+    },
+    failures,
+    checks
+  });
+});
+
+/**
+ * Prometheus-Metriken (Text-Format)
+ */
+app.get('/metrics', asyncRoute(async (req, res) => {
+  res.set('Content-Type', metricsRegistry.contentType);
+  res.end(await metricsRegistry.metrics());
+}));
+
+/**
+ * Cache-Alter in Minuten (null wenn nie geladen)
+ */
+function getCacheAgeMinutes() {
+  return memoryCache.lastUpdate ?
+    Math.floor((Date.now() - memoryCache.lastUpdate) / 1000 / 60) :
+    null;
+}
+
+/**
+ * Leerer Cache: Wartezeit für Retry-After bestimmen statt auf den Download zu warten
+ * Stößt im Hintergrund ein Laden an (höchstens alle 5 Minuten, nicht während einer Rate-Limit-Sperre)
+ * Liefert { retryAfter, loading }
+ */
+async function cacheUnavailable() {
+  const cooldown = await getCooldown(DOWNLOAD_DIR);
+  let retryAfter = 60;
+
+  if (cooldown && config.data_source === 'http') {
+    retryAfter = Math.ceil((cooldown.until - Date.now()) / 1000);
+  } else if (!memoryCache.isLoading && Date.now() - (memoryCache.lastAutoLoad || 0) > 300000) {
+    log.info('API', 'Cache leer, starte Update im Hintergrund');
+    memoryCache.lastAutoLoad = Date.now();
+    updateCache('auto');
+  }
+
+  return { retryAfter, loading: memoryCache.isLoading };
+}
+
+/**
+ * Leerer Cache: sofort 503 mit Retry-After
+ */
+async function sendCacheUnavailable(res) {
+  const { retryAfter, loading } = await cacheUnavailable();
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(503).json({
+    ok: false,
+    error: loading
+      ? 'Cache wird gerade geladen, bitte später versuchen'
+      : 'Cache nicht verfügbar, bitte später versuchen',
+    retryAfter,
+    progress: jobs.current()
+  });
+}
+
+/**
+ * Einzelne LUCID-Nummer im Cache nachschlagen
+ * Liefert das Ergebnis im Format von /api/lucid/validate
+ * status: registered | not_found | invalid_format (Syntax falsch und nicht im Cache)
+ */
+function lookupLucid(lucid) {
+  // Normalisiere die Nummer - der Cache entscheidet, auch Einträge außerhalb des Schemas werden gefunden
+  const parsed = parseLucid(lucid);
+  const producer = memoryCache.data.get(parsed.normalized);
+  const status = producer ? 'registered' : parsed.valid ? 'not_found' : 'invalid_format';
+  countLookup(status);
+
+  const result = {
+    ok: true,
+    registered: !!producer,
+    status,
+    lucid: lucid,
+    normalized: parsed.normalized,
+    company: producer ? producer.company_name : null,
+    details: producer || null,
+    checkedAt: new Date().toISOString(),
+    cacheAge: getCacheAgeMinutes()
+  };
+
+  if (!producer) {
+    if (!parsed.valid) {
+      result.reason = parsed.reason;
+      result.suggestion = parsed.suggestion;
+    }
+    // Vorhandene Nummern mit einem Tippfehler Abstand
+    result.didYouMean = suggestSimilar(parsed, key => memoryCache.data.has(key));
+  }
+
+  return result;
+}
+
+/**
+ * Abfragen im Prüfprotokoll festhalten (Key, Nummer, Ergebnis, Datenstand)
+ * Liefert die Audit-IDs - null wenn das Protokoll nicht geschrieben werden konnte
+ */
+async function auditChecks(req, endpoint, checks) {
+  try {
+    const entries = await audit.record(checks.map(check => ({
+      keyName: req.apiKey?.name,
+      endpoint,
+      version: memoryCache.version,
+      ...check
+    })));
+    return entries.map(entry => entry.id);
+  } catch (error) {
+    log.error('AUDIT', 'Prüfprotokoll nicht schreibbar', { error });
+    return checks.map(() => null);
+  }
+}
+
+/**
+ * Protokoll-Eintrag aus einem Ergebnis von lookupLucid
+ */
+function auditCheck(result) {
+  return {
+    lucid: typeof result.lucid === 'string' ? normalizeLucid(result.lucid) : null,
+    result: result.status,
+    company: result.company || null
+  };
+}
+
+/**
+ * LUCID Validierung - GESCHÜTZT mit API-Key
+ */
+app.get('/api/lucid/validate', auth.requireScope('lookup'), asyncRoute(async (req, res) => {
+  const { lucid } = req.query;
+  
+  if (!lucid) {
+    return res.status(400).json({ 
+      ok: false, 
+      error: 'LUCID-Nummer fehlt' 
+    });
+  }
+
+  // ?lucid=a&lucid=b oder ?lucid[x]=b - nicht als Nummer zusammenbauen und protokollieren
+  if (typeof lucid !== 'string') {
+    return res.status(400).json({ ok: false, error: 'LUCID-Nummer nur einmal und als Text angeben' });
+  }
+
+  // Ohne Cache sofort 503 - der Aufrufer wartet nicht auf den Download
+  if (memoryCache.data.size === 0) {
+    countLookup('unavailable');
+    return sendCacheUnavailable(res);
+  }
+
+  const result = lookupLucid(lucid);
+  const [auditId] = await auditChecks(req, 'validate', [auditCheck(result)]);
+
+  return res.json({ ...result, auditId });
+}));
+
+/**
+ * LUCID-Nummern aus dem Request-Body lesen
+ * Unterstützt JSON-Array, { lucids: [...] }, NDJSON und CSV (erste Spalte)
+ */
+function parseBatchInput(req) {
+  if (Array.isArray(req.body)) {
+    return req.body;
+  }
+
+  if (req.body && typeof req.body === 'object' && Array.isArray(req.body.lucids)) {
+    return req.body.lucids;
+  }
+
+  if (typeof req.body !== 'string') {
+    return null;
+  }
+
+  const lines = req.body.split(/\r?\n/).filter(line => line.trim() !== '');
+
+  if (req.is('application/x-ndjson')) {
+    return lines.map(line => {
+      try {
+        const value = JSON.parse(line);
+        return value && typeof value === 'object' ? value.lucid : value;
+      } catch (error) {
+        return line.trim();
+      }
+    });
+  }
+
+  // CSV: erste Spalte, optionale Kopfzeile überspringen
+  const values = lines.map(line => line.split(/[;,\t]/)[0].trim().replace(/^"(.*)"$/, '$1'));
+  if (values.length > 0 && /^(lucid|lucid[-_ ]?nummer|registration_number)$/i.test(values[0])) {
+    values.shift();
+  }
+  return values;
+}
+
+/**
+ * Batch-Validierung - GESCHÜTZT mit API-Key
+ * Prüft viele LUCID-Nummern in einem Aufruf
+ */
+app.post(
+  '/api/lucid/validate-batch',
+  auth.requireScope('lookup'),
+  express.text({ type: ['application/x-ndjson', 'text/csv', 'text/plain'], limit: config.body_limit }),
+  asyncRoute(async (req, res) => {
+    const lucids = parseBatchInput(req);
+
+    if (!lucids) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Erwartet JSON-Array, { "lucids": [...] }, NDJSON oder CSV'
+      });
+    }
+
+    if (lucids.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Keine LUCID-Nummern übergeben'
+      });
+    }
+
+    const notStrings = lucids
+      .map((lucid, index) => (typeof lucid === 'string' ? null : index))
+      .filter(index => index !== null);
+    if (notStrings.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: 'LUCID-Nummern müssen Text sein',
+        positions: notStrings.slice(0, 100)
+      });
+    }
+
+    if (lucids.length > config.batch_max_size) {
+      return res.status(413).json({
+        ok: false,
+        error: `Zu viele LUCID-Nummern (${lucids.length}), Maximum ist ${config.batch_max_size}`,
+        maxBatchSize: config.batch_max_size
+      });
+    }
+
+    if (memoryCache.data.size === 0) {
+      countLookup('unavailable', lucids.length);
+      return sendCacheUnavailable(res);
+    }
+
+    const summary = { total: lucids.length, registered: 0, not_found: 0, invalid_format: 0, invalid: 0 };
+
+    const results = lucids.map((lucid) => {
+      if (lucid.trim() === '') {
+        summary.invalid++;
+        countLookup('invalid');
+        return {
+          ok: false,
+          registered: false,
+          status: 'invalid',
+          lucid,
+          error: 'Ungültige oder leere LUCID-Nummer'
+        };
+      }
+
+      const result = lookupLucid(lucid);
+      summary[result.status]++;
+      return result;
+    });
+
+    const auditIds = await auditChecks(req, 'validate-batch', results.map(auditCheck));
+    results.forEach((result, i) => { result.auditId = auditIds[i]; });
+
+    log.info('BATCH', `${summary.total} Nummern geprüft: ${summary.registered} registriert, ${summary.not_found} nicht gefunden, ${summary.invalid_format + summary.invalid} ungültig`, summary);
+
+    res.json({
+      ok: true,
+      summary,
+      results,
+      checkedAt: new Date().toISOString(),
+      cacheAge: getCacheAgeMinutes()
+    });
+  })
+);
+
+/**
+ * Verkäufer-Angaben prüfen - GESCHÜTZT mit API-Key
+ * Body: { lucid, vat_number?, tax_number?, company_name?, address?, postal_code?, city? }
+ * Gehört die angegebene LUCID-Nummer zu diesem Verkäufer? Ergebnis pro Feld plus Gesamturteil
+ */
+app.post('/api/lucid/verify', auth.requireScope('lookup'), asyncRoute(async (req, res) => {
+  const claim = req.body && typeof req.body === 'object' ? req.body : {};
+
+  if (typeof claim.lucid !== 'string' || claim.lucid.trim() === '') {
+    return res.status(400).json({ ok: false, error: 'LUCID-Nummer fehlt' });
+  }
+
+  if (!VERIFY_FIELDS.some(name => typeof claim[name] === 'string' && claim[name].trim() !== '')) {
+    return res.status(400).json({
+      ok: false,
+      error: `Mindestens ein Vergleichsfeld fehlt (${VERIFY_FIELDS.join(', ')})`
+    });
+  }
+
+  if (memoryCache.data.size === 0) {
+    countLookup('unavailable');
+    return sendCacheUnavailable(res);
+  }
+
+  const parsed = parseLucid(claim.lucid);
+  const lucid = parsed.normalized;
+  const producer = memoryCache.data.get(lucid);
+  countLookup(producer ? 'registered' : parsed.valid ? 'not_found' : 'invalid_format');
+
+  if (!producer) {
+    const verdict = parsed.valid ? 'not_registered' : 'invalid_format';
+    const [auditId] = await auditChecks(req, 'verify', [{ lucid, result: verdict }]);
+
+    return res.json({
+      ok: true,
+      auditId,
+      lucid,
+      registered: false,
+      verdict,
+      reasons: [parsed.valid
+        ? { field: 'lucid', code: 'not_registered', message: 'LUCID-Nummer ist nicht im Register' }
+        : { field: 'lucid', code: 'invalid_format', message: parsed.reason }],
+      suggestion: parsed.suggestion,
+      didYouMean: suggestSimilar(parsed, key => memoryCache.data.has(key)),
+      fields: {},
+      checkedAt: new Date().toISOString(),
+      cacheAge: getCacheAgeMinutes()
+    });
+  }
+
+  const { verdict, reasons, fields } = verifyProducer(producer, claim);
+  const matches = Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, field.match]));
+  log.info('VERIFY', `${lucid}: ${verdict}`, { lucid, verdict, fields: matches });
+
+  const [auditId] = await auditChecks(req, 'verify', [{
+    lucid,
+    result: verdict,
+    company: producer.company_name,
+    details: matches
+  }]);
+
+  res.json({
+    ok: true,
+    auditId,
+    lucid,
+    registered: true,
+    verdict,
+    reasons,
+    fields,
+    company: producer.company_name,
+    checkedAt: new Date().toISOString(),
+    cacheAge: getCacheAgeMinutes()
+  });
+}));
+
+/**
+ * Öffentlicher Schlüssel zur Prüfung der Quittungen (PEM) - frei abrufbar
+ */
+app.get('/api/lucid/receipts/public-key', (req, res) => {
+  res.type('application/x-pem-file').set('X-Key-Id', audit.keyId()).send(audit.publicKeyPem());
+});
+
+/**
+ * Signierte Quittung für eine einzelne Prüfung - GESCHÜTZT mit API-Key
+ * Nur für Prüfungen des eigenen Keys (Keys mit Scope "admin" sehen alle)
+ */
+app.get('/api/lucid/receipts/:auditId', auth.requireScope('lookup'), asyncRoute(async (req, res) => {
+  const entry = await audit.get(req.params.auditId);
+
+  if (!entry || (entry.keyName !== req.apiKey.name && !req.apiKey.scopes.includes('admin'))) {
+    return res.status(404).json({ ok: false, error: 'Prüfung nicht gefunden' });
+  }
+
+  res.json({ ok: true, ...audit.issueReceipt(entry) });
+}));
+
+/**
+ * Produzenten-Suche - GESCHÜTZT mit API-Key
+ * Exakt über USt-IdNr/Steuernummer, PLZ-Präfix, unscharf über Firmenname
+ */
+app.get('/api/lucid/search', auth.requireScope('search'), asyncRoute(async (req, res) => {
+  const { vat, tax, name, postal_code, city } = req.query;
+
+  if (!vat && !tax && !name && !postal_code) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Mindestens ein Suchkriterium fehlt (vat, tax, name oder postal_code)'
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '20') || 20, 1), config.search_max_limit);
+  const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+
+  if (memoryCache.data.size === 0) {
+    return sendCacheUnavailable(res);
+  }
+
+  const { total, results } = searchProducers(
+    memoryCache.searchIndex,
+    memoryCache.data,
+    { vat, tax, name, postal_code, city },
+    { offset, limit }
+  );
+
+  res.json({
+    ok: true,
+    query: { vat, tax, name, postal_code, city },
+    total,
+    offset,
+    limit,
+    results,
+    checkedAt: new Date().toISOString(),
+    cacheAge: getCacheAgeMinutes()
+  });
+}));
+
+/**
+ * Zeitpunkt aus Query-Parameter lesen (ISO-Datum oder Zeitstempel)
+ */
+function parseDateParam(value) {
+  if (!value) return null;
+  // Mehrfach angegeben (?since=a&since=b) oder verschachtelt (?since[x]=1)
+  if (typeof value !== 'string') return undefined;
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Register-Export als CSV, NDJSON oder XLSX - GESCHÜTZT mit API-Key (Scope "export")
+ * Query: format, fields (kommasepariert), postal_code (Präfix), city, changed_since,
+ *        delimiter ("," ";" "tab"), excel=true (Semikolon, BOM, CRLF für deutsches Excel)
+ */
+app.get('/api/lucid/export', auth.requireScope('export'), asyncRoute(async (req, res) => {
+  // Jeder Parameter höchstens einmal und als einfacher Wert
+  const invalid = ['format', 'fields', 'delimiter', 'postal_code', 'city', 'changed_since', 'excel']
+    .filter(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (invalid.length > 0) {
+    return res.status(400).json({ ok: false, error: `Parameter nur einmal und als Text angeben: ${invalid.join(', ')}` });
+  }
+
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ ok: false, error: `Unbekanntes Format "${format}" (erlaubt: ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+  }
+
+  // Spalten: alle gemappten Felder, "extra" nur auf Wunsch
+  const available = [...fieldMapping.fields.map(field => field.name), 'extra'];
+  const fields = req.query.fields
+    ? req.query.fields.split(',').map(field => field.trim()).filter(Boolean)
+    : available.filter(field => field !== 'extra');
+  const unknown = fields.filter(field => !available.includes(field));
+  if (fields.length === 0 || unknown.length > 0) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unbekannte Felder: ${unknown.join(', ') || '(keine angegeben)'}`,
+      availableFields: available
+    });
+  }
+
+  const excel = req.query.excel === 'true';
+  const delimiters = { ',': ',', ';': ';', tab: '\t' };
+  const delimiter = delimiters[req.query.delimiter || (excel ? ';' : ',')];
+  if (!delimiter) {
+    return res.status(400).json({ ok: false, error: 'delimiter muss ",", ";" oder "tab" sein' });
+  }
+
+  const changedSince = parseDateParam(req.query.changed_since);
+  if (changedSince === undefined) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Ungültiges Datum in changed_since (ISO-Format erwartet, z.B. 2024-09-20T00:00:00Z)'
+    });
+  }
+
+  if (memoryCache.data.size === 0) {
+    return sendCacheUnavailable(res);
+  }
+
+  // Referenz festhalten - ein Refresh während des Exports tauscht den Bestand aus, ändert ihn aber nicht
+  const data = memoryCache.data;
+  const version = memoryCache.version;
+
+  // Neue und geänderte Nummern seit dem Zeitpunkt (nur die Nummern merken, nicht die Ereignisse)
+  let lucids = null;
+  if (changedSince) {
+    const sinceISO = changedSince.toISOString();
+    lucids = new Set();
+    await readChanges(CHANGES_FILE, (event) => {
+      if (event.at >= sinceISO && event.type !== 'removed') lucids.add(event.lucid);
+      return false;
+    });
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="lucid-register-${version || 'export'}.${extension}"`,
+    'X-Dataset-Version': version || ''
+  });
+
+  log.info('EXPORT', `${format} für Key "${req.apiKey.name}"`, {
+    format,
+    key: req.apiKey.name,
+    columns: fields.length,
+    changedSince: changedSince ? changedSince.toISOString() : null,
+    changed: lucids ? lucids.size : null
+  });
+
+  const stream = createExportStream(data, {
+    format,
+    fields,
+    delimiter,
+    excel,
+    filter: { postalCodePrefix: req.query.postal_code || null, city: req.query.city || null, lucids }
+  });
+
+  stream.on('error', (error) => {
+    log.error('EXPORT', 'Export abgebrochen', { error });
+    res.destroy(error);
+  });
+  // Client bricht ab: Erzeugung der restlichen Zeilen stoppen
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}));
+
+/**
+ * Änderungsprotokoll - GESCHÜTZT mit API-Key
+ * Neue, entfernte und geänderte Registrierungen seit einem Zeitpunkt
+ */
+app.get('/api/lucid/changes', auth.requireScope('lookup'), asyncRoute(async (req, res) => {
+  // Standard: letzte 24 Stunden
+  const since = req.query.since ?
+    parseDateParam(req.query.since) :
+    new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const until = parseDateParam(req.query.until);
+  const { type } = req.query;
+
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Ungültiges Datum in since/until (ISO-Format erwartet, z.B. 2024-09-20T00:00:00Z)'
+    });
+  }
+
+  if (type && !['added', 'removed', 'modified'].includes(type)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Ungültiger type (erlaubt: added, removed, modified)'
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100') || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+  const sinceISO = since.toISOString();
+  const untilISO = until ? until.toISOString() : null;
+
+  const matches = event =>
+    event.at >= sinceISO &&
+    (!untilISO || event.at <= untilISO) &&
+    (!type || event.type === type);
+
+  try {
+    const { total, summary, events } = await readChangesPage(CHANGES_FILE, matches, { offset, limit });
+
+    res.json({
+      ok: true,
+      since: sinceISO,
+      until: untilISO,
+      total,
+      summary,
+      offset,
+      limit,
+      changes: events
+    });
+  } catch (error) {
+    log.error('CHANGES', 'Protokoll konnte nicht gelesen werden', { error });
+    res.status(500).json({ ok: false, error: 'Änderungsprotokoll nicht lesbar' });
+  }
+}));
+
+/**
+ * Verlauf einer einzelnen LUCID-Nummer - GESCHÜTZT mit API-Key
+ */
+app.get('/api/lucid/history/:lucid', auth.requireScope('lookup'), asyncRoute(async (req, res) => {
+  const normalized = normalizeLucid(req.params.lucid);
+
+  try {
+    const events = await readChanges(CHANGES_FILE, event => event.lucid === normalized);
+    const producer = memoryCache.data.get(normalized);
+
+    res.json({
+      ok: true,
+      lucid: req.params.lucid,
+      registered: !!producer,
+      current: producer || null,
+      firstSeen: events.find(event => event.type === 'added')?.at || null,
+      lastChange: events.length > 0 ? events[events.length - 1].at : null,
+      history: events,
+      cacheAge: getCacheAgeMinutes()
+    });
+  } catch (error) {
+    log.error('CHANGES', 'Protokoll konnte nicht gelesen werden', { error });
+    res.status(500).json({ ok: false, error: 'Änderungsprotokoll nicht lesbar' });
+  }
+}));
+
+/**
+ * Watchlist anzeigen - GESCHÜTZT mit API-Key
+ * Nur die Einträge des eigenen Keys (Keys mit Scope "admin" sehen alle)
+ */
+app.get('/api/lucid/watchlist', auth.requireScope('lookup'), withCurrentWatchlist, (req, res) => {
+  const lucid = req.query.lucid ? normalizeLucid(req.query.lucid) : null;
+  const entries = watchlist.filter(entry =>
+    canAccessWatchEntry(req.apiKey, entry) && (!lucid || entry.lucid === lucid)
+  );
+
+  res.json({
+    ok: true,
+    total: entries.length,
+    entries: entries.map(entry => ({
+      ...publicWatchEntry(entry),
+      registered: memoryCache.data.has(entry.lucid)
+    }))
+  });
+});
+
+/**
+ * LUCID-Nummer(n) zur Watchlist hinzufügen - GESCHÜTZT mit API-Key
+ * Body: { lucid | lucids: [...], callbackUrl, secret?, label? }
+ */
+app.post('/api/lucid/watchlist', auth.requireScope('lookup'), withCurrentWatchlist, asyncRoute(async (req, res) => {
+  const { callbackUrl, secret, label } = req.body || {};
+  const lucids = Array.isArray(req.body?.lucids) ? req.body.lucids : [req.body?.lucid];
+
+  if (lucids.some(lucid => typeof lucid !== 'string' || lucid.trim() === '')) {
+    return res.status(400).json({ ok: false, error: 'LUCID-Nummer fehlt oder ist ungültig' });
+  }
+
+  // Syntaktisch falsche Nummern nur wenn sie trotzdem im Cache stehen
+  const invalid = lucids
+    .map(lucid => parseLucid(lucid))
+    .filter(parsed => !parsed.valid && !memoryCache.data.has(parsed.normalized));
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Ungültiges Format der LUCID-Nummer',
+      invalid: invalid.map(({ input, reason, suggestion }) => ({ lucid: input, reason, suggestion }))
+    });
+  }
+
+  const urlError = typeof callbackUrl !== 'string' ? 'callbackUrl fehlt' :
+    validateCallbackUrl(callbackUrl, config.webhook.allow_http) ||
+    await checkCallbackTarget(callbackUrl, { allowPrivate: config.webhook.allow_private, allowedHosts: config.webhook.allowed_hosts });
+  if (urlError) {
+    return res.status(400).json({ ok: false, error: urlError });
+  }
+
+  if (secret !== undefined && typeof secret !== 'string') {
+    return res.status(400).json({ ok: false, error: 'secret muss ein String sein' });
+  }
+
+  const added = [];
+  const existing = [];
+
+  for (const lucid of lucids) {
+    const normalized = normalizeLucid(lucid);
+    const duplicate = watchlist.find(entry =>
+      entry.keyName === req.apiKey.name && entry.lucid === normalized && entry.callbackUrl === callbackUrl
+    );
+
+    if (duplicate) {
+      existing.push(duplicate);
+      continue;
+    }
+
+    const entry = createWatchEntry({ lucid: normalized, callbackUrl, secret, label, keyName: req.apiKey.name });
+    watchlist.push(entry);
+    added.push(entry);
+  }
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await saveWatchlist(WATCHLIST_FILE, watchlist);
+  } catch (error) {
+    log.error('WATCHLIST', 'Speichern fehlgeschlagen', { error });
+    return res.status(500).json({ ok: false, error: 'Watchlist konnte nicht gespeichert werden' });
+  }
+
+  log.info('WATCHLIST', `${added.length} Nummer(n) hinzugefügt, ${watchlist.length} insgesamt`);
+
+  res.status(added.length > 0 ? 201 : 200).json({
+    ok: true,
+    added: added.map(publicWatchEntry),
+    existing: existing.map(publicWatchEntry)
+  });
+}));
+
+/**
+ * Eintrag von der Watchlist entfernen - GESCHÜTZT mit API-Key (nur eigene Einträge, admin alle)
+ */
+app.delete('/api/lucid/watchlist/:id', auth.requireScope('lookup'), withCurrentWatchlist, asyncRoute(async (req, res) => {
+  const index = watchlist.findIndex(entry => entry.id === req.params.id && canAccessWatchEntry(req.apiKey, entry));
+
+  if (index === -1) {
+    return res.status(404).json({ ok: false, error: 'Watchlist-Eintrag nicht gefunden' });
+  }
+
+  const [removed] = watchlist.splice(index, 1);
+
+  try {
+    await saveWatchlist(WATCHLIST_FILE, watchlist);
+  } catch (error) {
+    watchlist.splice(index, 0, removed);
+    log.error('WATCHLIST', 'Speichern fehlgeschlagen', { error });
+    return res.status(500).json({ ok: false, error: 'Watchlist konnte nicht gespeichert werden' });
+  }
+
+  res.json({ ok: true, removed: publicWatchEntry(removed) });
+}));
+
+/**
+ * Test-Webhook an einen Watchlist-Eintrag senden - GESCHÜTZT mit API-Key (nur eigene Einträge, admin alle)
+ */
+app.post('/api/lucid/watchlist/:id/test', auth.requireScope('lookup'), withCurrentWatchlist, asyncRoute(async (req, res) => {
+  const entry = watchlist.find(item => item.id === req.params.id && canAccessWatchEntry(req.apiKey, item));
+
+  if (!entry) {
+    return res.status(404).json({ ok: false, error: 'Watchlist-Eintrag nicht gefunden' });
   }
 
-  // Suche im Cache
-  const producer = memoryCache.data.get(normalized);
-  
-  if (producer) {
-    return res.json({
-      ok: true,
-      registered: true,
-      status: 'registered',
-      lucid: lucid,
-      company: producer.company_name,
-      details: producer,
-      checkedAt: new Date().toISOString(),
-      cacheAge: memoryCache.lastUpdate ? 
-        Math.floor((Date.now() - memoryCache.lastUpdate) / 1000 / 60) : 
-        null
-    });
-  } else {
-    return res.json({
+  const producer = memoryCache.data.get(entry.lucid);
+  const result = await deliverWebhook(
+    { url: entry.callbackUrl, secret: entry.secret, watchId: entry.id, lucid: entry.lucid, keyName: entry.keyName },
+    {
+      id: crypto.randomUUID(),
+      type: 'ping',
+      occurredAt: new Date().toISOString(),
+      lucid: entry.lucid,
+      watchId: entry.id,
+      label: entry.label,
+      registered: !!producer,
+      details: producer || null,
+      changes: null
+    },
+    { ...webhookOptions(), maxAttempts: 1 }
+  );
+
+  // Netzwerkfehler nicht durchreichen - Details stehen im Zustell-Protokoll
+  res.status(result.ok ? 200 : 502).json({
+    ok: result.ok,
+    deliveryId: result.deliveryId,
+    status: result.status,
+    ...(result.ok ? {} : {
+      error: result.error === 'EBLOCKEDADDRESS' ? 'callbackUrl zeigt auf eine interne Adresse' : 'Zustellung fehlgeschlagen'
+    }),
+    durationMs: result.durationMs
+  });
+}));
+
+/**
+ * Webhook Zustell-Protokoll - GESCHÜTZT mit API-Key
+ * Nur Zustellungen für Einträge des eigenen Keys (Keys mit Scope "admin" sehen alle)
+ */
+app.get('/api/lucid/webhooks/deliveries', auth.requireScope('lookup'), asyncRoute(async (req, res) => {
+  const lucid = req.query.lucid ? normalizeLucid(req.query.lucid) : null;
+  const { watchId } = req.query;
+  const failedOnly = req.query.failed === 'true';
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100') || 100, 1), 1000);
+
+  try {
+    const deliveries = await readDeliveries(WEBHOOK_LOG_FILE, record =>
+      canAccessWatchEntry(req.apiKey, record) &&
+      (!lucid || record.lucid === lucid) &&
+      (!watchId || record.watchId === watchId) &&
+      (!failedOnly || !record.ok)
+    );
+
+    res.json({
       ok: true,
-      registered: false,
-      status: 'not_found',
-      lucid: lucid,
-      company: null,
-      details: null,
-      checkedAt: new Date().toISOString(),
-      cacheAge: memoryCache.lastUpdate ? 
-        Math.floor((Date.now() - memoryCache.lastUpdate) / 1000 / 60) : 
-        null
+      total: deliveries.length,
+      pendingRetries: pendingDeliveryCount(),
+      // Neueste zuerst
+      deliveries: deliveries.slice(-limit).reverse()
     });
+  } catch (error) {
+    log.error('WEBHOOK', 'Zustell-Protokoll nicht lesbar', { error });
+    res.status(500).json({ ok: false, error: 'Zustell-Protokoll nicht lesbar' });
   }
-});
+}));
 
 /**
  * Manueller Cache Refresh (geschützt)
  */
-app.post('/admin/refresh', async (req, res) => {
-  // Prüfe API Key wenn konfiguriert
-  if (config.internal_api_key) {
-    const providedKey = req.headers['x-api-key'] || req.query.api_key;
-    if (providedKey !== config.internal_api_key) {
-      return res.status(401).json({
-        ok: false,
-        error: 'Ungültiger API Key'
-      });
-    }
+app.post('/admin/refresh', auth.requireScope('admin'), requireLeader, asyncRoute(async (req, res) => {
+  // Während einer Rate-Limit-Sperre der LUCID API gar nicht erst starten
+  const cooldown = config.data_source === 'http' ? await getCooldown(DOWNLOAD_DIR) : null;
+  if (cooldown) {
+    res.set('Retry-After', String(Math.ceil((cooldown.until - Date.now()) / 1000)));
+    return res.status(429).json({
+      ok: false,
+      error: `Rate-Limit-Sperre aktiv bis ${cooldown.untilISO}`,
+      rateLimitCooldown: cooldown
+    });
+  }
+
+  // Starte Update im Hintergrund
+  const job = updateCache('admin');
+  if (!job && memoryCache.isLoading) {
+    return res.status(409).json({ ok: false, error: 'Cache-Update läuft bereits', jobId: jobs.current()?.id || null });
+  }
+  if (!job) {
+    return res.status(503).json({ ok: false, error: 'Cache-Update nicht möglich - Instanz wird beendet oder ist nicht mehr Leader' });
   }
 
   // Sofort-Response damit Request nicht timeout
   res.json({
     ok: true,
-    message: 'Cache-Update gestartet im Hintergrund. Prüfe /api/stats für Status.',
+    message: 'Cache-Update gestartet im Hintergrund. Fortschritt unter /admin/jobs/:id/events.',
+    jobId: job.id,
+    events: `/admin/jobs/${job.id}/events`,
     currentEntries: memoryCache.data.size
   });
-
-  // Starte Update im Hintergrund
-  updateCache(true)
-    .then(() => {
-      console.log('[ADMIN] Cache-Update erfolgreich abgeschlossen');
-    })
-    .catch((error) => {
-      console.error('[ADMIN] Cache-Update fehlgeschlagen:', error);
-    });
-});
+}));
 
 /**
- * SOFORTIGER Cache Test - NUR FÜR TESTS!
- * Lädt die komplette 500MB XML OHNE Verzögerung
- *
- * ⚠️ WARNUNG: Sollte nach Tests entfernt werden!
- * ⚠️ Kann Rate-Limits auslösen wenn zu oft aufgerufen!
+ * Test-Endpoints nur mit NODE_ENV=development oder ENABLE_TEST_ENDPOINTS=true
  */
-app.post('/admin/test-load', async (req, res) => {
+function requireTestEndpoints(req, res, next) {
   // SICHERHEIT: Nur in Development-Umgebung ODER mit speziellem Test-Key
   const isTestEnvironment = process.env.NODE_ENV === 'development' ||
                            process.env.ENABLE_TEST_ENDPOINTS === 'true';
@@ -439,15 +1814,19 @@ app.post('/admin/test-load', async (req, res) => {
     });
   }
 
-  // Prüfe API Key
-  if (config.internal_api_key) {
-    const providedKey = req.headers['x-api-key'] || req.query.api_key;
-    if (providedKey !== config.internal_api_key) {
-      return res.status(401).json({
-        ok: false,
-        error: 'Ungültiger API Key'
-      });
-    }
+  next();
+}
+
+/**
+ * SOFORTIGER Cache Test - NUR FÜR TESTS!
+ * Lädt die komplette 500MB XML OHNE Verzögerung
+ *
+ * ⚠️ WARNUNG: Sollte nach Tests entfernt werden!
+ * ⚠️ Kann Rate-Limits auslösen wenn zu oft aufgerufen!
+ */
+app.post('/admin/test-load', requireTestEndpoints, auth.requireScope('admin'), requireLeader, asyncRoute(async (req, res) => {
+  if (memoryCache.isLoading) {
+    return res.status(409).json({ ok: false, error: 'Cache-Update läuft bereits', jobId: jobs.current()?.id || null });
   }
 
   // Rate Limit Check - verhindere mehrfache Aufrufe
@@ -462,60 +1841,51 @@ app.post('/admin/test-load', async (req, res) => {
   }
   memoryCache.lastTestLoad = Date.now();
 
-  console.log('[TEST-LOAD] 🚀 SOFORTIGER TEST-DOWNLOAD GESTARTET!');
-  console.log('[TEST-LOAD] Lade 500MB XML von LUCID...');
+  // Überschreibe die 5-Sekunden Verzögerung für diesen Test
+  const startTime = Date.now();
+  log.info('TEST-LOAD', 'Sofortiger Test-Download gestartet (ohne Verzögerung)', { key: req.apiKey?.name });
+
+  // Direkt die Download-Funktion aufrufen - Prüfen, übernehmen und auf Disk sichern macht der Job
+  const running = runRefreshJob({ trigger: 'test-load', source: 'test-load' }, downloadAndParseXML);
+  const job = jobs.current();
 
   // Response sofort senden
   res.json({
     ok: true,
-    message: 'TEST-LOAD gestartet! Monitor mit: GET /api/stats',
-    info: 'Dies lädt die ECHTE 500MB XML-Datei SOFORT ohne Verzögerung!'
+    message: 'TEST-LOAD gestartet! Monitor mit: GET /admin/jobs/:id/events',
+    info: 'Dies lädt die ECHTE 500MB XML-Datei SOFORT ohne Verzögerung!',
+    jobId: job.id,
+    events: `/admin/jobs/${job.id}/events`
   });
 
-  // Überschreibe die 5-Sekunden Verzögerung für diesen Test
   try {
-    const startTime = Date.now();
-    console.log('[TEST-LOAD] Starte Download OHNE Verzögerung...');
-
-    // Direkt die Download-Funktion aufrufen
-    const newData = await downloadAndParseXML();
-
+    const result = await running;
     const duration = Date.now() - startTime;
-    console.log(`[TEST-LOAD] ✅ ERFOLG! ${newData.size} Einträge in ${(duration/1000).toFixed(1)}s geladen`);
-
-    // Update Memory Cache
-    memoryCache.data = newData;
-    memoryCache.lastUpdate = Date.now();
-
-    // Speichere auf Disk
-    const cacheData = {
-      lastUpdate: memoryCache.lastUpdate,
-      count: newData.size,
-      data: Array.from(newData.entries())
-    };
-
-    await fs.writeFile(CACHE_FILE, JSON.stringify(cacheData), 'utf-8');
-    console.log('[TEST-LOAD] Cache auf Disk gespeichert');
-
+    log.info('TEST-LOAD', `${result.data.size} Einträge in ${(duration/1000).toFixed(1)}s geladen`, { entries: result.data.size, durationMs: duration });
   } catch (error) {
-    console.error('[TEST-LOAD] ❌ FEHLER beim Test-Load:', error.message);
-    if (error.response?.status === 429) {
-      console.error('[TEST-LOAD] Rate Limit erreicht! Warte vor nächstem Versuch.');
+    log.error('TEST-LOAD', 'Test-Load fehlgeschlagen', { error });
+    if (error.code === 'RATE_LIMIT_COOLDOWN') {
+      log.warn('TEST-LOAD', 'Rate Limit erreicht - vor dem nächsten Versuch warten');
     }
   }
-});
+}));
 
 /**
  * DEBUG: Teste LUCID API direkt
  */
-app.get('/admin/test-api', async (req, res) => {
-  // API Key Check
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
-  if (config.internal_api_key && apiKey !== config.internal_api_key) {
-    return res.status(401).json({ ok: false, error: 'Unauthorized' });
-  }
+app.get('/admin/test-api', auth.requireScope('admin'), asyncRoute(async (req, res) => {
+  log.info('DEBUG', 'Teste LUCID API direkt');
 
-  console.log('[DEBUG] Teste LUCID API direkt...');
+  // Während einer Rate-Limit-Sperre keine Anfragen an die API
+  const cooldown = await getCooldown(DOWNLOAD_DIR);
+  if (cooldown) {
+    res.set('Retry-After', String(Math.ceil((cooldown.until - Date.now()) / 1000)));
+    return res.status(429).json({
+      ok: false,
+      error: `Rate-Limit-Sperre aktiv bis ${cooldown.untilISO}`,
+      rateLimitCooldown: cooldown
+    });
+  }
 
   try {
     // Teste mit kleinerem Timeout und Header-Only Request
@@ -524,9 +1894,7 @@ app.get('/admin/test-api', async (req, res) => {
       timeout: 10000
     });
 
-    console.log('[DEBUG] HEAD Request erfolgreich');
-    console.log('[DEBUG] Status:', testResponse.status);
-    console.log('[DEBUG] Headers:', testResponse.headers);
+    log.debug('DEBUG', 'HEAD Request erfolgreich', { status: testResponse.status, headers: testResponse.headers });
 
     // Jetzt versuche ersten Teil zu laden
     const partialResponse = await axios.get(config.api_url, {
@@ -550,7 +1918,7 @@ app.get('/admin/test-api', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('[DEBUG] API Test fehlgeschlagen:', error.message);
+    log.error('DEBUG', 'API Test fehlgeschlagen', { error });
 
     res.status(500).json({
       ok: false,
@@ -564,12 +1932,240 @@ app.get('/admin/test-api', async (req, res) => {
       tokenLength: config.zsvr_token ? config.zsvr_token.length : 0
     });
   }
+}));
+
+/**
+ * Offline-Import des Register-XML per Upload (geschützt)
+ * Body: XML (application/xml), gzip (application/gzip oder Content-Encoding: gzip) oder ZIP (application/zip)
+ * Läuft durch dieselbe Prüfung und Speicherung wie ein regulärer Refresh
+ */
+app.post('/admin/import', auth.requireScope('admin'), requireLeader, asyncRoute(async (req, res) => {
+  if (memoryCache.isLoading) {
+    return res.status(409).json({ ok: false, error: 'Cache-Update läuft bereits' });
+  }
+
+  let source = null;
+  let jobId = null;
+
+  try {
+    const result = await runRefreshJob({ trigger: 'upload', source: 'import:upload' }, async (job) => {
+      jobId = job.id;
+      jobs.update(job, { phase: 'upload' });
+      source = await stageUpload(req, path.join(CACHE_DIR, 'import'));
+      log.info('IMPORT', `Starte Import aus ${source.description}`);
+      return importFromFile(source.file, job);
+    });
+
+    res.json({
+      ok: true,
+      jobId,
+      entries: memoryCache.data.size,
+      version: memoryCache.version,
+      stats: result.stats
+    });
+  } catch (error) {
+    log.error('IMPORT', 'Import fehlgeschlagen', { error });
+
+    if (error.code === 'REFRESH_REJECTED') {
+      return res.status(422).json({ ok: false, error: error.message, jobId, rejected: memoryCache.lastRejected });
+    }
+
+    res.status(400).json({ ok: false, error: 'Import fehlgeschlagen: ' + error.message, jobId });
+  } finally {
+    if (source?.cleanup) await source.cleanup();
+  }
+}));
+
+/**
+ * Gespeicherte Snapshots auflisten
+ */
+app.get('/admin/snapshots', auth.requireScope('admin'), asyncRoute(async (req, res) => {
+  const snapshots = await listSnapshots(SNAPSHOT_DIR);
+
+  res.json({
+    ok: true,
+    currentVersion: memoryCache.version,
+    keep: config.snapshot_keep,
+    snapshots: snapshots.map(snapshot => ({
+      ...snapshot,
+      active: snapshot.id === memoryCache.version
+    }))
+  });
+}));
+
+/**
+ * Rollback auf einen gespeicherten Snapshot
+ * Änderungen gegenüber dem aktuellen Stand werden wie bei einem Refresh protokolliert
+ */
+app.post('/admin/snapshots/:id/rollback', auth.requireScope('admin'), requireLeader, asyncRoute(async (req, res) => {
+  const snapshot = (await listSnapshots(SNAPSHOT_DIR)).find(item => item.id === req.params.id);
+
+  if (!snapshot) {
+    return res.status(404).json({ ok: false, error: 'Snapshot nicht gefunden' });
+  }
+
+  if (memoryCache.isLoading) {
+    return res.status(409).json({ ok: false, error: 'Cache-Update läuft gerade, Rollback später erneut versuchen' });
+  }
+
+  memoryCache.isLoading = true;
+
+  try {
+    const file = snapshotPath(SNAPSHOT_DIR, snapshot);
+    const { data, lastUpdate } = await readCacheFile(file);
+    const previousVersion = memoryCache.version;
+
+    await applyNewDataset(data, lastUpdate);
+    await writeCacheFile(CACHE_FILE, data, { lastUpdate });
+
+    memoryCache.lastRefresh = {
+      status: 'rolled_back',
+      at: new Date().toISOString(),
+      source: 'rollback',
+      version: memoryCache.version,
+      previousVersion
+    };
+    log.info('SNAPSHOT', `Rollback von ${previousVersion} auf ${snapshot.id}: ${data.size} Einträge`);
+
+    res.json({
+      ok: true,
+      version: memoryCache.version,
+      previousVersion,
+      entries: data.size
+    });
+  } catch (error) {
+    log.error('SNAPSHOT', 'Rollback fehlgeschlagen', { error });
+    res.status(500).json({ ok: false, error: 'Rollback fehlgeschlagen: ' + error.message });
+  } finally {
+    memoryCache.isLoading = false;
+  }
+}));
+
+/**
+ * Prüfprotokoll durchsuchen (neueste zuerst)
+ * Query: lucid, key (Key-Name), since, until, limit, offset
+ */
+app.get('/admin/audit', auth.requireScope('admin'), asyncRoute(async (req, res) => {
+  const since = parseDateParam(req.query.since);
+  const until = parseDateParam(req.query.until);
+
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ ok: false, error: 'Ungültiges Datum in since/until' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100') || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+
+  const { entries, hasMore } = await audit.query({
+    lucid: req.query.lucid ? normalizeLucid(req.query.lucid) : null,
+    keyName: req.query.key || null,
+    since,
+    until,
+    limit,
+    offset
+  });
+
+  res.json({ ok: true, offset, limit, hasMore, entries });
+}));
+
+/**
+ * Hash-Kette des Prüfprotokolls vollständig nachrechnen
+ */
+app.get('/admin/audit/verify', auth.requireScope('admin'), asyncRoute(async (req, res) => {
+  const result = await audit.verifyChain();
+
+  if (!result.ok) {
+    log.error('AUDIT', `Hash-Kette unterbrochen in ${result.brokenAt.file} Zeile ${result.brokenAt.line}: ${result.brokenAt.reason}`);
+  }
+
+  res.json({ ok: true, chain: result });
+}));
+
+/**
+ * Aktive API-Keys auflisten (ohne Geheimnis) - zur Kontrolle bei der Rotation
+ */
+app.get('/admin/keys', auth.requireScope('admin'), (req, res) => {
+  res.json({ ok: true, keys: auth.listKeys() });
+});
+
+/**
+ * API_KEYS_FILE sofort neu laden (passiert sonst automatisch bei Änderung der Datei)
+ */
+app.post('/admin/keys/reload', auth.requireScope('admin'), (req, res) => {
+  if (!config.api_keys_file) {
+    return res.status(400).json({ ok: false, error: 'API_KEYS_FILE ist nicht gesetzt' });
+  }
+
+  if (!auth.reload()) {
+    return res.status(422).json({ ok: false, error: 'API_KEYS_FILE fehlerhaft - bisherige Keys bleiben aktiv' });
+  }
+
+  res.json({ ok: true, keys: auth.listKeys() });
+});
+
+/**
+ * Refresh-Jobs auflisten (neueste zuerst)
+ * Query: limit, offset, trigger, outcome
+ */
+app.get('/admin/jobs', auth.requireScope('admin'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), config.job_history_keep);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  res.json({
+    ok: true,
+    schedule: config.schedule,
+    ...jobs.list({ limit, offset, trigger: req.query.trigger || null, outcome: req.query.outcome || null })
+  });
+});
+
+/**
+ * Live-Fortschritt eines Jobs als Server-Sent Events
+ * Events: snapshot (aktueller Stand), started, progress, finished - danach wird der Stream beendet
+ */
+app.get('/admin/jobs/:id/events', auth.requireScope('admin'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Job nicht gefunden' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Kein Puffern durch Reverse Proxies (nginx/Traefik)
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Bereits abgeschlossen - nur das Ergebnis senden
+  if (job.status === 'finished') {
+    send('finished', job);
+    return res.end();
+  }
+
+  send('snapshot', job);
+
+  // Kommentarzeile hält die Verbindung bei Proxies mit Idle-Timeout offen
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobs.subscribe(job.id, (event) => {
+    send(event.type, event.job);
+    if (event.type === 'finished') res.end();
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
 /**
  * Cache Statistiken
  */
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', auth.requireScope('admin'), asyncRoute(async (req, res) => {
+  const cooldown = await getCooldown(DOWNLOAD_DIR);
+
   res.json({
     ok: true,
     cache: {
@@ -581,87 +2177,315 @@ app.get('/api/stats', (req, res) => {
       ageMinutes: memoryCache.lastUpdate ? 
         Math.floor((Date.now() - memoryCache.lastUpdate) / 1000 / 60) : 
         null,
-      isLoading: memoryCache.isLoading
+      isLoading: memoryCache.isLoading,
+      version: memoryCache.version,
+      memory: {
+        ...memoryCache.memory,
+        budgetBytes: config.cache_memory_budget_mb * 1024 * 1024,
+        heapUsedBytes: process.memoryUsage().heapUsed
+      }
+    },
+    instance: {
+      ...leader.status(),
+      syncIntervalSeconds: config.cluster.sync_interval_seconds,
+      lastSyncAt: syncState.lastSyncAt
+    },
+    refresh: {
+      last: memoryCache.lastRefresh,
+      lastRejected: memoryCache.lastRejected,
+      currentJob: jobs.current(),
+      lastJob: jobs.last(),
+      rateLimitCooldown: cooldown,
+      schedule: config.schedule
+    },
+    mapping: {
+      source: fieldMapping?.source || null,
+      fields: fieldMapping ? fieldMapping.fields.map(field => field.name) : [],
+      lastCheck: memoryCache.mappingReport
     },
     config: {
       cache_ttl_hours: config.cache_ttl_hours,
-      api_key_required: !!config.internal_api_key
+      data_source: config.data_source,
+      refresh_min_entries: config.refresh_min_entries,
+      refresh_max_shrink_percent: config.refresh_max_shrink_percent,
+      api_keys: auth.keyCount(),
+      rate_limit_per_minute: config.rate_limit_per_minute
     }
   });
+}));
+
+// === API v2 ===
+
+/**
+ * Versionierte API (OpenAPI-Dokument unter /api/v2/openapi.json)
+ * Die Routen oben bleiben als v1 für bestehende Integrationen unverändert
+ */
+const apiV2 = createApiV2Router({
+  document: buildOpenApiDocument({
+    batchMaxSize: config.batch_max_size,
+    searchMaxLimit: config.search_max_limit
+  }),
+  auth,
+  audit,
+  getCache: () => memoryCache,
+  cacheUnavailable,
+  auditChecks,
+  readiness,
+  instance: () => ({ id: config.cluster.instance_id, role: leader.role() }),
+  changesFile: CHANGES_FILE
+});
+app.use('/api/v2', apiV2.router, apiV2.handleError);
+
+/**
+ * Fehler-Handler für alle übrigen Routen - gleiche Form wie die Fehlerantworten der Routen
+ */
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    log.error('HTTP', `${req.method} ${req.path} fehlgeschlagen`, { error });
+  }
+
+  const messages = {
+    'entity.parse.failed': 'Request-Body ist kein gültiges JSON',
+    'entity.too.large': 'Request-Body ist zu groß'
+  };
+  res.status(status).json({
+    ok: false,
+    error: status >= 500 ? 'Interner Fehler' : messages[error.type] || error.message
+  });
 });
 
 // === STARTUP ===
 
+/**
+ * Geplanter Refresh (Cron)
+ * Überspringt junge Caches (REFRESH_MIN_INTERVAL_HOURS) und verzögert den Start zufällig
+ * um bis zu REFRESH_JITTER_SECONDS - übersprungene Läufe landen ebenfalls in der Job-Historie
+ */
+async function runScheduledRefresh() {
+  const { min_interval_hours: minIntervalHours, jitter_seconds: jitterSeconds } = config.schedule;
+  const source = `refresh:${config.data_source}`;
+  log.info('CRON', 'Automatisches Cache Update gestartet');
+
+  // Follower laden nicht selbst und schreiben keine Job-Historie
+  if (!leader.isLeader()) {
+    log.info('CRON', 'Skip - Instanz ist Follower');
+    return;
+  }
+
+  // Prüfe ob nicht schon kürzlich aktualisiert
+  if (memoryCache.lastUpdate) {
+    const hoursSinceUpdate = (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60);
+    if (hoursSinceUpdate < minIntervalHours) {
+      log.info('CRON', `Skip - Cache erst ${hoursSinceUpdate.toFixed(1)}h alt`);
+      return jobs.skip({ trigger: 'cron', source, reason: `Cache erst ${hoursSinceUpdate.toFixed(1)}h alt (Mindestabstand ${minIntervalHours}h)` });
+    }
+  }
+
+  if (memoryCache.isLoading) {
+    log.info('CRON', 'Skip - Update läuft bereits');
+    return jobs.skip({ trigger: 'cron', source, reason: `Update läuft bereits (Job ${jobs.current()?.id})` });
+  }
+
+  const delayMs = Math.floor(Math.random() * jitterSeconds * 1000);
+  const job = updateCache('cron', { delayMs });
+  if (job) log.info('CRON', `Cache Update gestartet (Job ${job.id})`);
+}
+
 async function startServer() {
-  console.log('[START] LUCID Lookup Service startet... (v4 - Stable)');
-  console.log(`[CONFIG] Cache TTL: ${config.cache_ttl_hours} Stunden`);
-  console.log(`[CONFIG] API Key: ${config.internal_api_key ? 'Konfiguriert' : 'Nicht gesetzt'}`);
-  console.log(`[CONFIG] Node Heap: ${(process.memoryUsage().heapTotal / 1024 / 1024).toFixed(0)} MB`);
+  log.info('START', 'LUCID Lookup Service startet... (v4 - Stable)');
+  log.info('CONFIG', `Cache TTL: ${config.cache_ttl_hours} Stunden`);
+  log.info('CONFIG', `Datenquelle: ${config.data_source === 'file' ? config.data_source_file : config.api_url}`);
+
+  if (config.data_source !== 'http' && config.data_source !== 'file') {
+    throw new Error(`Unbekannte DATA_SOURCE "${config.data_source}" (erlaubt: http, file)`);
+  }
+  if (config.data_source === 'file' && !config.data_source_file) {
+    throw new Error('DATA_SOURCE=file benötigt DATA_SOURCE_FILE');
+  }
+  if (!cron.validate(config.schedule.cron)) {
+    throw new Error(`Ungültiger Zeitplan REFRESH_CRON "${config.schedule.cron}"`);
+  }
+  try {
+    new Intl.DateTimeFormat('de-DE', { timeZone: config.schedule.timezone });
+  } catch (error) {
+    throw new Error(`Unbekannte Zeitzone REFRESH_TIMEZONE "${config.schedule.timezone}"`);
+  }
+  log.info('CONFIG', `Zeitplan: "${config.schedule.cron}" (${config.schedule.timezone}), Mindestabstand ${config.schedule.min_interval_hours}h, Jitter ${config.schedule.jitter_seconds}s`);
+  log.info('CONFIG', `API Keys: ${auth.keyCount()} (${[...new Set(auth.listKeys().map(key => key.name))].join(', ') || 'keine'})`);
+  if (auth.keyCount() === 0) {
+    log.warn('SECURITY', 'Keine API-Keys konfiguriert - alle geschützten Routen antworten mit 401');
+  }
+
+  // Ungültiges Mapping verhindert den Start
+  fieldMapping = loadFieldMapping({ file: config.field_mapping_file, json: config.field_mapping });
+  log.info('CONFIG', `Feld-Mapping: ${fieldMapping.source} (${fieldMapping.fields.length} Felder, Elemente: ${fieldMapping.recordElements.join(', ')})`);
+  log.info('CONFIG', `Node Heap: ${(process.memoryUsage().heapTotal / 1024 / 1024).toFixed(0)} MB`);
 
   // Erhöhe Node.js Memory Limit für 500 MB XML
   if (process.env.NODE_OPTIONS !== '--max-old-space-size=4096') {
-    console.log('[CONFIG] ⚠️ Node Memory Limit niedrig - setze NODE_OPTIONS=--max-old-space-size=4096');
+    log.warn('CONFIG', 'Node Memory Limit niedrig - setze NODE_OPTIONS=--max-old-space-size=4096');
+  }
+
+  // Mapping im Hintergrund gegen den Feed prüfen
+  checkFieldMapping();
+
+  // Prüfprotokoll fortsetzen und Signaturschlüssel laden
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  const auditState = await audit.init();
+  log.info('AUDIT', `${auditState.entries} Einträge im Prüfprotokoll, Signaturschlüssel ${auditState.keyId}`);
+
+  // Job-Historie laden
+  log.info('JOB', `${await jobs.load()} Refresh-Job(s) in der Historie`);
+
+  // Leader-Wahl vor dem Laden - nur der Leader lädt beim Start nach
+  if (config.cluster.leader_election) {
+    const role = await leader.start();
+    const current = leader.status().leader;
+    log.info('LEADER', `Instanz ${config.cluster.instance_id} ist ${role}${role === 'follower' ? ` (Leader: ${current?.instanceId})` : ''}`);
+  } else {
+    log.info('LEADER', 'Leader-Wahl deaktiviert (LEADER_ELECTION=false) - Instanz lädt selbst');
   }
 
+  // Watchlist laden
+  await syncWatchlist();
+  log.info('WATCHLIST', `${watchlist.length} beobachtete Nummer(n) geladen`);
+  if (leader.isLeader()) await resumeWebhookRetries();
+
   // Versuche Cache von Disk zu laden
   const loadedFromDisk = await loadCacheFromDisk();
 
-  if (!loadedFromDisk) {
-    console.log('[START] ⚠️ Kein Cache auf Disk gefunden');
-    console.log('[START] ℹ️ Cache wird beim Cron-Job (2:30 Uhr) oder manuell geladen');
-    console.log('[START] ℹ️ Service läuft trotzdem und antwortet mit "not_found" bis Cache geladen');
+  if (!loadedFromDisk && !leader.isLeader()) {
+    log.warn('START', 'Kein Cache auf Disk - Follower wartet auf den Datenbestand des Leaders');
+  } else if (!loadedFromDisk && config.data_source === 'file') {
+    // Lokale Datei hat kein Rate Limit - sofort importieren
+    refreshIfStale();
+  } else if (!loadedFromDisk) {
+    log.warn('START', 'Kein Cache auf Disk gefunden');
+    log.info('START', `Cache wird beim Cron-Job (${config.schedule.cron}) oder manuell geladen`);
+    log.info('START', 'Service läuft trotzdem und antwortet mit "not_found" bis Cache geladen');
   } else {
-    console.log(`[START] ✅ Cache von Disk geladen: ${memoryCache.data.size} Einträge`);
-    const hoursSinceUpdate = (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60);
-    console.log(`[START] Cache-Alter: ${hoursSinceUpdate.toFixed(1)} Stunden`);
-
-    // NUR wenn Cache SEHR alt ist (>48h), dann einmalig nachladen
-    if (hoursSinceUpdate > 48) {
-      console.log('[START] Cache älter als 48h - starte einmaliges Update in 30 Sekunden...');
-      setTimeout(() => {
-        updateCache(true).catch(err => {
-          console.error('[START] Update fehlgeschlagen:', err.message);
-        });
-      }, 30000); // 30 Sekunden Verzögerung nach Start
+    log.info('START', `Cache von Disk geladen: ${memoryCache.data.size} Einträge`);
+
+    // Vorhandenen Cache als ersten Snapshot sichern, damit ein Rollback dorthin möglich ist
+    if (leader.isLeader() && (await listSnapshots(SNAPSHOT_DIR)).length === 0) {
+      await saveSnapshot(SNAPSHOT_DIR, CACHE_FILE, {
+        lastUpdate: memoryCache.lastUpdate,
+        count: memoryCache.data.size,
+        source: 'startup'
+      }, config.snapshot_keep).catch(error => {
+        log.error('SNAPSHOT', 'Initialer Snapshot fehlgeschlagen', { error });
+      });
     }
+    const hoursSinceUpdate = (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60);
+    log.info('START', `Cache-Alter: ${hoursSinceUpdate.toFixed(1)} Stunden`);
+    refreshIfStale();
   }
+  // Ab jetzt prüft auch eine spätere Übernahme der Leader-Rolle den Cache
+  startupComplete = true;
 
   // Cron Job WIEDER AKTIVIERT - aber mit Sicherheitsmechanismen
-  cron.schedule('30 2 * * *', async () => {
-    console.log('[CRON] Automatisches Cache Update gestartet (2:30 Uhr)');
-
-    // Prüfe ob nicht schon kürzlich aktualisiert
-    if (memoryCache.lastUpdate) {
-      const hoursSinceUpdate = (Date.now() - memoryCache.lastUpdate) / (1000 * 60 * 60);
-      if (hoursSinceUpdate < 20) {
-        console.log(`[CRON] Skip - Cache erst ${hoursSinceUpdate.toFixed(1)}h alt`);
-        return;
-      }
-    }
-
-    try {
-      await updateCache(true);
-      console.log('[CRON] Cache Update erfolgreich');
-    } catch (error) {
-      console.error('[CRON] Cache Update fehlgeschlagen:', error.message);
+  const scheduledTask = cron.schedule(config.schedule.cron, () => {
+    runScheduledRefresh().catch(error => {
+      log.error('CRON', 'Cache Update fehlgeschlagen', { error });
       // Kein Crash - Service läuft weiter mit altem Cache
-    }
+    });
   }, {
-    timezone: 'Europe/Berlin'
+    timezone: config.schedule.timezone
   });
 
-  console.log('[CRON] ✅ Automatische Updates aktiviert (täglich 2:30 Uhr)');
+  log.info('CRON', `Automatische Updates aktiviert ("${config.schedule.cron}", ${config.schedule.timezone})`);
+
+  // Follower übernehmen neue Datenbestände des Leaders, alle Instanzen die Watchlist der anderen
+  let syncTimer = null;
+  if (config.cluster.leader_election) {
+    syncTimer = setInterval(() => {
+      syncWatchlist()
+        .then(() => syncFromLeader())
+        .catch(error => log.error('SYNC', 'Abgleich fehlgeschlagen', { error }));
+    }, config.cluster.sync_interval_seconds * 1000);
+    syncTimer.unref();
+    log.info('SYNC', `Abgleich mit dem gemeinsamen Volume alle ${config.cluster.sync_interval_seconds}s`);
+  }
 
   // Server starten
-  app.listen(PORT, () => {
-    console.log(`[START] ✅ LUCID Lookup Service läuft auf Port ${PORT}`);
-    console.log(`[START] Health Check: http://localhost:${PORT}/healthz`);
-    console.log(`[START] API Endpoint: http://localhost:${PORT}/api/lucid/validate?lucid=DE...`);
+  const server = app.listen(PORT, () => {
+    log.info('START', `LUCID Lookup Service läuft auf Port ${PORT}`);
+    log.info('START', `Health Check: http://localhost:${PORT}/healthz (Readiness: /readyz)`);
+    log.info('START', `API Endpoint: http://localhost:${PORT}/api/lucid/validate?lucid=DE`);
   });
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      shutdown(signal, { server, scheduledTask, syncTimer })
+        .then(() => process.exit(0))
+        .catch((error) => {
+          log.error('SHUTDOWN', 'Fehler beim Herunterfahren', { error });
+          process.exit(1);
+        });
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+/**
+ * Geordnet herunterfahren (SIGTERM von Docker/Coolify, SIGINT)
+ * 1. /readyz meldet 503, keine neuen Verbindungen, keine geplanten Refreshes und Abgleiche mehr
+ * 2. Laufenden Refresh abbrechen (Warten, Download, Parsen) bzw. Speichern abschließen lassen
+ * 3. Laufende Anfragen abschließen lassen
+ * 4. Prüfprotokoll und Webhook-Protokoll auf Disk bringen, Leader-Lock freigeben
+ * Nach SHUTDOWN_TIMEOUT_SECONDS werden offene Verbindungen getrennt
+ */
+async function shutdown(signal, { server, scheduledTask, syncTimer }) {
+  shuttingDown = true;
+  const deadline = Date.now() + config.shutdown_timeout_seconds * 1000;
+  log.info('SHUTDOWN', `${signal} empfangen - beende Service (höchstens ${config.shutdown_timeout_seconds}s)`);
+
+  scheduledTask.stop();
+  if (syncTimer) clearInterval(syncTimer);
+
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+
+  if (memoryCache.isLoading) {
+    const job = jobs.current();
+    log.info('SHUTDOWN', `Refresh läuft (Job ${job?.id}, Phase ${job?.phase}) - breche ab bzw. warte aufs Speichern`);
+    abortRefresh();
+    while (memoryCache.isLoading && Date.now() < deadline) await sleep(100);
+    if (memoryCache.isLoading) log.error('SHUTDOWN', 'Refresh nicht rechtzeitig beendet');
+  }
+
+  if (inFlightRequests > 0) {
+    log.info('SHUTDOWN', `Warte auf ${inFlightRequests} laufende Anfrage(n)`);
+  }
+  const drained = await Promise.race([closed.then(() => true), sleep(Math.max(deadline - Date.now(), 0)).then(() => false)]);
+  if (!drained) {
+    log.warn('SHUTDOWN', `Zeitlimit erreicht - trenne ${inFlightRequests} offene Verbindung(en)`);
+    server.closeAllConnections();
+  }
+
+  // Ausstehende Schreibvorgänge - mindestens eine Sekunde auch nach erreichtem Zeitlimit
+  const flushed = await Promise.race([
+    Promise.all([audit.flush(), drainDeliveries()]),
+    sleep(Math.max(deadline - Date.now(), 1000)).then(() => null)
+  ]);
+  if (!flushed) {
+    log.error('SHUTDOWN', 'Schreibvorgänge nicht rechtzeitig abgeschlossen');
+  } else if (flushed[1] > 0) {
+    log.info('SHUTDOWN', `${flushed[1]} Webhook-Retry(s) gespeichert - werden nach dem Neustart zugestellt`);
+  }
+
+  await leader.release();
+  log.info('SHUTDOWN', 'Beendet');
 }
 
 // Start!
 startServer().catch(err => {
-  console.error('[FATAL] Service konnte nicht gestartet werden:', err);
+  log.error('FATAL', 'Service konnte nicht gestartet werden', { error: err });
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,459 @@
+/**
+ * Versionierte API unter /api/v2
+ *
+ * Routen, Scopes und Request-Schemas kommen aus dem OpenAPI-Dokument (openapi-v2.js), jede
+ * Anfrage wird vor dem Handler dagegen geprüft. Unterschiede zu den bisherigen Routen (v1):
+ *   - Fehler immer als { ok: false, error: { code, message, details?, requestId } }
+ *   - Texte in Deutsch oder Englisch (Accept-Language), Codes bleiben gleich
+ *   - Zeitpunkte als ISO 8601, Dauern in Sekunden, Feldnamen in camelCase
+ * Die v1-Routen in server.js bleiben unverändert.
+ */
+
+import express from 'express';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { readChanges, readChangesPage } from './changelog.js';
+import { parseLucid, suggestSimilar } from './lucid-number.js';
+import { countLookup } from './metrics.js';
+import { searchProducers } from './search-index.js';
+import { verifyProducer } from './verify.js';
+import { fieldLabel, hasMessage, message, negotiateLanguage } from './messages.js';
+import { log } from './logger.js';
+
+/**
+ * Fehler im einheitlichen Format senden
+ */
+function sendError(req, res, status, code, { params = {}, details, retryAfter } = {}) {
+  const language = req.language || negotiateLanguage(req);
+  const error = { code, message: message(code, language, params) };
+  if (details) error.details = details;
+  if (retryAfter !== undefined) {
+    res.set('Retry-After', String(retryAfter));
+    error.retryAfterSeconds = retryAfter;
+  }
+  error.requestId = req.id;
+
+  res.set('Content-Language', language);
+  return res.status(status).json({ ok: false, error });
+}
+
+function isoTime(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Ajv-Fehler in Details für die Antwort umwandeln (Feld, Regel, übersetzter Text)
+ */
+function validationDetails(errors, location, language) {
+  const details = new Map();
+
+  // Fehler einzelner anyOf-Zweige sind im anyOf-Fehler zusammengefasst
+  for (const error of errors.filter(error => !error.schemaPath.includes('/anyOf/'))) {
+    const params = error.keyword === 'anyOf'
+      ? { fields: error.schema.flatMap(branch => branch.required) }
+      : error.params;
+    const path = error.instancePath.slice(1).split('/').filter(Boolean);
+    if (error.keyword === 'required') path.push(params.missingProperty);
+    if (error.keyword === 'additionalProperties') path.push(params.additionalProperty);
+
+    const key = `validation.${error.keyword}`;
+    const detail = {
+      location,
+      field: path.length > 0 ? path.join('.') : null,
+      rule: error.keyword,
+      message: hasMessage(key) ? message(key, language, params) : error.message
+    };
+    details.set(`${detail.field}|${detail.message}`, detail);
+  }
+
+  return [...details.values()];
+}
+
+/**
+ * Validator für eine Operation: Query- und Pfad-Parameter (mit Typumwandlung) und Body
+ * Geprüfte Werte landen in req.input = { query, params, body }
+ */
+function compileOperation(operation, { coercing, strict }) {
+  const parameterSchema = (location) => {
+    const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+      required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+    };
+    if (location === 'query' && operation['x-require-one-of']) {
+      schema.anyOf = operation['x-require-one-of'].map(name => ({ required: [name] }));
+    }
+    return coercing.compile(schema);
+  };
+
+  const checks = [
+    ['query', parameterSchema('query'), req => ({ ...req.query })],
+    ['path', parameterSchema('path'), req => ({ ...req.params })]
+  ];
+  const bodySchema = operation.requestBody?.content['application/json']?.schema;
+  if (bodySchema) checks.push(['body', strict.compile(bodySchema), req => req.body ?? {}]);
+
+  return (req, res, next) => {
+    const input = {};
+    let details = [];
+
+    for (const [location, validate, read] of checks) {
+      const value = read(req);
+      if (!validate(value)) details = details.concat(validationDetails(validate.errors, location, req.language));
+      input[location === 'path' ? 'params' : location] = value;
+    }
+
+    if (details.length > 0) {
+      return sendError(req, res, 400, 'validation_failed', { details });
+    }
+
+    req.input = input;
+    next();
+  };
+}
+
+/**
+ * Router für /api/v2 anlegen
+ * deps: {
+ *   document     - OpenAPI-Dokument (buildOpenApiDocument)
+ *   auth         - createAuth()
+ *   audit        - createAuditLog() für Quittungen
+ *   getCache()   - aktueller Cache { data, searchIndex, lastUpdate, version, isLoading }
+ *   cacheUnavailable() - { retryAfter, loading } und stößt ggf. ein Laden an
+ *   auditChecks(req, endpoint, checks) - Prüfprotokoll, liefert Audit-IDs
+ *   readiness()  - wie /readyz
+ *   instance()   - { id, role }
+ *   changesFile  - Änderungsprotokoll (NDJSON)
+ * }
+ * Liefert { router, handleError } - handleError fängt auch Body-Parser-Fehler vor dem Router
+ */
+export function createApiV2Router({ document, auth, audit, getCache, cacheUnavailable, auditChecks, readiness, instance, changesFile }) {
+  const router = express.Router();
+  const coercing = addFormats(new Ajv({ allErrors: true, coerceTypes: 'array', useDefaults: true, verbose: true }));
+  const strict = addFormats(new Ajv({ allErrors: true, useDefaults: true, verbose: true }));
+
+  function deny(res, status, code, params = {}) {
+    return sendError(res.req, res, status, code, { params, retryAfter: params.retryAfter });
+  }
+
+  function dataset() {
+    const { lastUpdate, version } = getCache();
+    return {
+      version,
+      updatedAt: isoTime(lastUpdate),
+      ageSeconds: lastUpdate ? Math.floor((Date.now() - lastUpdate) / 1000) : null
+    };
+  }
+
+  /**
+   * Leeres Register: 503 mit Retry-After (v1: sendCacheUnavailable)
+   */
+  async function sendUnavailable(req, res) {
+    const { retryAfter, loading } = await cacheUnavailable();
+    return sendError(req, res, 503, loading ? 'cache_loading' : 'cache_unavailable', { retryAfter });
+  }
+
+  /**
+   * Grund für ein negatives Ergebnis (ungültiges Format oder nicht im Register)
+   */
+  function lucidReason(parsed, language) {
+    if (!parsed.valid) {
+      const found = parsed.normalized.length - 2;
+      return { field: 'lucid', code: parsed.reasonCode, message: message(`lucid.${parsed.reasonCode}`, language, { found }) };
+    }
+    return { field: 'lucid', code: 'not_registered', message: message('lucid.not_registered', language) };
+  }
+
+  function lookup(lucid, language) {
+    const { data } = getCache();
+    const parsed = parseLucid(lucid);
+    const producer = data.get(parsed.normalized);
+    const status = producer ? 'registered' : parsed.valid ? 'not_found' : 'invalid_format';
+    countLookup(status);
+
+    return {
+      lucid,
+      normalized: parsed.normalized,
+      status,
+      registered: !!producer,
+      company: producer?.company_name ?? null,
+      producer: producer || null,
+      reason: producer ? null : lucidReason(parsed, language),
+      suggestion: producer ? null : parsed.suggestion,
+      didYouMean: producer ? [] : suggestSimilar(parsed, key => data.has(key))
+    };
+  }
+
+  function auditEntry(result) {
+    return { lucid: result.normalized, result: result.status, company: result.company };
+  }
+
+  function publicChange(event) {
+    const change = { at: event.at, type: event.type, lucid: event.lucid, company: event.company_name ?? null };
+    if (event.details) change.producer = event.details;
+    if (event.changes) change.changes = event.changes;
+    return change;
+  }
+
+  const handlers = {
+    getOpenApi(req, res) {
+      res.json(document);
+    },
+
+    getHealth(req, res) {
+      const { ready, failures, checks } = readiness();
+      const cache = getCache();
+
+      res.json({
+        ok: true,
+        ready,
+        failures: failures.map(failure => ({
+          code: failure.check,
+          message: message(`health.${failure.check}`, req.language, { maxAgeSeconds: checks.maxAgeHours * 3600 })
+        })),
+        uptimeSeconds: Math.floor(process.uptime()),
+        instance: instance(),
+        dataset: { ...dataset(), entries: cache.data.size, loading: cache.isLoading }
+      });
+    },
+
+    async validateLucid(req, res) {
+      if (getCache().data.size === 0) {
+        countLookup('unavailable');
+        return sendUnavailable(req, res);
+      }
+
+      const result = lookup(req.input.query.lucid, req.language);
+      const [auditId] = await auditChecks(req, 'validate', [auditEntry(result)]);
+
+      res.json({ ok: true, ...result, auditId, checkedAt: new Date().toISOString(), dataset: dataset() });
+    },
+
+    async validateLucidBatch(req, res) {
+      const { lucids } = req.input.body;
+
+      if (getCache().data.size === 0) {
+        countLookup('unavailable', lucids.length);
+        return sendUnavailable(req, res);
+      }
+
+      const summary = { total: lucids.length, registered: 0, notFound: 0, invalidFormat: 0 };
+      const results = lucids.map(lucid => {
+        const result = lookup(lucid, req.language);
+        if (result.status === 'registered') summary.registered++;
+        else if (result.status === 'not_found') summary.notFound++;
+        else summary.invalidFormat++;
+        return result;
+      });
+
+      const auditIds = await auditChecks(req, 'validate-batch', results.map(auditEntry));
+      results.forEach((result, i) => { result.auditId = auditIds[i]; });
+
+      log.info('BATCH', `${summary.total} Nummern geprüft: ${summary.registered} registriert, ${summary.notFound} nicht gefunden, ${summary.invalidFormat} ungültig`, summary);
+
+      res.json({ ok: true, summary, results, checkedAt: new Date().toISOString(), dataset: dataset() });
+    },
+
+    async verifyLucid(req, res) {
+      const claim = req.input.body;
+      const { data } = getCache();
+
+      if (data.size === 0) {
+        countLookup('unavailable');
+        return sendUnavailable(req, res);
+      }
+
+      const parsed = parseLucid(claim.lucid);
+      const lucid = parsed.normalized;
+      const producer = data.get(lucid);
+      countLookup(producer ? 'registered' : parsed.valid ? 'not_found' : 'invalid_format');
+
+      if (!producer) {
+        const verdict = parsed.valid ? 'not_registered' : 'invalid_format';
+        const [auditId] = await auditChecks(req, 'verify', [{ lucid, result: verdict }]);
+
+        return res.json({
+          ok: true,
+          lucid,
+          registered: false,
+          verdict,
+          reasons: [lucidReason(parsed, req.language)],
+          fields: {},
+          company: null,
+          suggestion: parsed.suggestion,
+          didYouMean: suggestSimilar(parsed, key => data.has(key)),
+          auditId,
+          checkedAt: new Date().toISOString(),
+          dataset: dataset()
+        });
+      }
+
+      const { verdict, reasons, fields } = verifyProducer(producer, claim);
+      const matches = Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, field.match]));
+      log.info('VERIFY', `${lucid}: ${verdict}`, { lucid, verdict, fields: matches });
+
+      const [auditId] = await auditChecks(req, 'verify', [{
+        lucid,
+        result: verdict,
+        company: producer.company_name,
+        details: matches
+      }]);
+
+      res.json({
+        ok: true,
+        lucid,
+        registered: true,
+        verdict,
+        reasons: reasons.map(reason => ({
+          field: reason.field,
+          code: reason.code,
+          message: message(`verify.${reason.code}`, req.language, {
+            label: fieldLabel(reason.field, req.language),
+            score: fields[reason.field]?.score,
+            legalForm: fields[reason.field]?.legalForm
+          })
+        })),
+        fields,
+        company: producer.company_name,
+        suggestion: null,
+        didYouMean: [],
+        auditId,
+        checkedAt: new Date().toISOString(),
+        dataset: dataset()
+      });
+    },
+
+    async search(req, res) {
+      const { limit, offset, ...query } = req.input.query;
+      const cache = getCache();
+
+      if (cache.data.size === 0) {
+        return sendUnavailable(req, res);
+      }
+
+      const { total, results } = searchProducers(cache.searchIndex, cache.data, query, { offset, limit });
+
+      res.json({
+        ok: true,
+        total,
+        offset,
+        limit,
+        results: results.map(({ lucid, score, company, details }) => ({ lucid, score, company, producer: details })),
+        checkedAt: new Date().toISOString(),
+        dataset: dataset()
+      });
+    },
+
+    async listChanges(req, res) {
+      const { type, limit, offset } = req.input.query;
+      const since = req.input.query.since ? new Date(req.input.query.since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const until = req.input.query.until ? new Date(req.input.query.until) : null;
+      const sinceISO = since.toISOString();
+      const untilISO = until ? until.toISOString() : null;
+
+      const matches = event =>
+        event.at >= sinceISO &&
+        (!untilISO || event.at <= untilISO) &&
+        (!type || event.type === type);
+
+      let page;
+      try {
+        page = await readChangesPage(changesFile, matches, { offset, limit });
+      } catch (error) {
+        log.error('CHANGES', 'Protokoll konnte nicht gelesen werden', { error });
+        return sendError(req, res, 500, 'changelog_unavailable');
+      }
+
+      res.json({
+        ok: true,
+        since: sinceISO,
+        until: untilISO,
+        total: page.total,
+        summary: page.summary,
+        offset,
+        limit,
+        changes: page.events.map(publicChange)
+      });
+    },
+
+    async getHistory(req, res) {
+      const { lucid } = req.input.params;
+      const { normalized } = parseLucid(lucid);
+
+      let events;
+      try {
+        events = await readChanges(changesFile, event => event.lucid === normalized);
+      } catch (error) {
+        log.error('CHANGES', 'Protokoll konnte nicht gelesen werden', { error });
+        return sendError(req, res, 500, 'changelog_unavailable');
+      }
+
+      const producer = getCache().data.get(normalized);
+
+      res.json({
+        ok: true,
+        lucid,
+        normalized,
+        registered: !!producer,
+        producer: producer || null,
+        firstSeenAt: events.find(event => event.type === 'added')?.at || null,
+        lastChangeAt: events.length > 0 ? events[events.length - 1].at : null,
+        history: events.map(publicChange),
+        dataset: dataset()
+      });
+    },
+
+    async getReceipt(req, res) {
+      const entry = await audit.get(req.input.params.auditId);
+
+      // Nur Prüfungen des eigenen Keys (Keys mit Scope "admin" sehen alle)
+      if (!entry || (entry.keyName !== req.apiKey.name && !req.apiKey.scopes.includes('admin'))) {
+        return sendError(req, res, 404, 'receipt_not_found');
+      }
+
+      res.json({ ok: true, ...audit.issueReceipt(entry) });
+    }
+  };
+
+  // Sprache einmal pro Anfrage aushandeln
+  router.use((req, res, next) => {
+    req.language = negotiateLanguage(req);
+    res.set('Content-Language', req.language);
+    res.vary('Accept-Language');
+    next();
+  });
+
+  for (const [route, methods] of Object.entries(document.paths)) {
+    const expressPath = route.replace(/\{(\w+)\}/g, ':$1');
+
+    for (const [method, operation] of Object.entries(methods)) {
+      const handler = handlers[operation.operationId];
+      const chain = [];
+      if (operation['x-scope']) chain.push(auth.requireScope(operation['x-scope'], { deny }));
+      chain.push(compileOperation(operation, { coercing, strict }));
+
+      router[method](expressPath, ...chain, (req, res, next) => {
+        Promise.resolve(handler(req, res)).catch(next);
+      });
+    }
+  }
+
+  router.use((req, res) => sendError(req, res, 404, 'not_found'));
+
+  /**
+   * Fehler-Middleware für /api/v2 (kaputtes JSON, zu großer Body, Ausnahmen in Handlern)
+   */
+  function handleError(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    if (error.type === 'entity.parse.failed') return sendError(req, res, 400, 'invalid_json');
+    if (error.type === 'entity.too.large') return sendError(req, res, 413, 'payload_too_large');
+
+    log.error('API', `Fehler in ${req.method} ${req.originalUrl}`, { error });
+    return sendError(req, res, 500, 'internal_error');
+  }
+
+  return { router, handleError };
+}
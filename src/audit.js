@@ -0,0 +1,721 @@
+/**
+ * Prüfprotokoll (Audit-Log) für Abfragen - Nachweis nach VerpackG, wann welche Registrierung geprüft wurde
+ *
+ * Jede Abfrage (validate, validate-batch, verify) wird als Zeile in CACHE_DIR/audit.ndjson angehängt:
+ * { seq, id, at, keyName, endpoint, lucid, result, company, details, version, prevHash, hash }
+ * hash = sha256(prevHash + "\n" + JSON der Zeile ohne hash) - jede Zeile hängt an der vorherigen,
+ * eine nachträglich geänderte oder gelöschte Zeile bricht die Kette ab dort.
+ *
+ * Mehrere Instanzen auf einem Volume schreiben nacheinander: wer anhängt, hält die Sperrdatei
+ * audit.ndjson.lock (O_EXCL wie die Leader-Wahl) und kettet an das aktuelle Dateiende an.
+ * Innerhalb eines Prozesses sammelt ein einzelner Schreiber die wartenden Abfragen und hängt sie
+ * mit einer Sperre gemeinsam an.
+ *
+ * Ab rotateBytes wird die Datei archiviert (audit-<letzte seq>.ndjson), die Kette läuft in der neuen
+ * Datei weiter. Archive älter als retentionDays werden gelöscht - siehe verifyChain().
+ *
+ * Quittungen für einzelne Prüfungen werden mit Ed25519 signiert. Der private Schlüssel liegt in
+ * AUDIT_SIGNING_KEY_FILE (wird beim ersten Start erzeugt), der öffentliche ist frei abrufbar.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import readline from 'readline';
+import os from 'os';
+import path from 'path';
+import { log } from './logger.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+// Für den Start reicht das Ende der Datei - eine Zeile ist deutlich kleiner
+const TAIL_BYTES = 64 * 1024;
+const READ_CHUNK_BYTES = 64 * 1024;
+// Sperre zwischen Instanzen: so lange wird gewartet, ältere Sperren gelten als verwaist (Absturz beim Schreiben)
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function hashEntry(prevHash, entry) {
+  return crypto.createHash('sha256').update(`${prevHash}\n${JSON.stringify(entry)}`).digest('hex');
+}
+
+/**
+ * Archivierte Teile des Protokolls (audit-<letzte seq>.ndjson), älteste zuerst
+ */
+async function listArchives(file) {
+  const base = path.basename(file, '.ndjson').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${base}-\\d{12}\\.ndjson$`);
+
+  let names;
+  try {
+    names = await fs.readdir(path.dirname(file));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return names.filter(name => pattern.test(name)).sort().map(name => path.join(path.dirname(file), name));
+}
+
+function archivePath(file, lastSeq) {
+  return file.replace(/\.ndjson$/, '') + `-${String(lastSeq).padStart(12, '0')}.ndjson`;
+}
+
+/**
+ * Letzte vollständige Zeile der Datei lesen (ohne die ganze Datei zu laden)
+ */
+async function readLastEntry(file) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+
+    const lines = buffer.toString('utf-8').split('\n').filter(Boolean).reverse();
+    for (const line of lines) {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // Abgebrochener Schreibvorgang am Dateiende - davor weitersuchen
+      }
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Zeilen rückwärts lesen (neueste zuerst) - liest die Datei blockweise vom Ende
+ * Ein unvollständiges Dateiende wird mitgeliefert (JSON.parse schlägt dann fehl)
+ */
+async function* readLinesBackward(file) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  try {
+    let position = (await handle.stat()).size;
+    // Anfang einer Zeile, deren Beginn noch im davor liegenden Block steht
+    let rest = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(position, READ_CHUNK_BYTES);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (end > i + 1) yield buffer.toString('utf-8', i + 1, end);
+        end = i;
+      }
+      rest = buffer.subarray(0, end);
+    }
+
+    if (rest.length) yield rest.toString('utf-8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Vollständige Zeilen ab einem Byte-Offset lesen - visit(line, offset)
+ * Liefert den Offset hinter der letzten vollständigen Zeile (dort geht es beim nächsten Mal weiter)
+ */
+async function readLinesFrom(file, start, visit) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return start;
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    let position = start;
+    let rest = Buffer.alloc(0);
+
+    while (position < size) {
+      const length = Math.min(size - position, READ_CHUNK_BYTES);
+      const chunk = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(chunk, 0, length, position);
+      if (!bytesRead) break;
+      position += bytesRead;
+
+      const buffer = Buffer.concat([rest, chunk.subarray(0, bytesRead)]);
+      const bufferOffset = position - buffer.length;
+      let begin = 0;
+      for (let i = 0; i < buffer.length; i++) {
+        if (buffer[i] !== 0x0a) continue;
+        if (i > begin) visit(buffer.toString('utf-8', begin, i), bufferOffset + begin);
+        begin = i + 1;
+      }
+      rest = buffer.subarray(begin);
+    }
+
+    return position - rest.length;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Eine Zeile ab einem Byte-Offset lesen
+ */
+async function readLineAt(file, offset) {
+  const handle = await fs.open(file, 'r');
+  try {
+    let buffer = Buffer.alloc(0);
+    for (;;) {
+      const chunk = Buffer.alloc(4096);
+      const { bytesRead } = await handle.read(chunk, 0, chunk.length, offset + buffer.length);
+      buffer = Buffer.concat([buffer, chunk.subarray(0, bytesRead)]);
+      const end = buffer.indexOf(0x0a);
+      if (end !== -1) return buffer.toString('utf-8', 0, end);
+      if (bytesRead < chunk.length) return buffer.toString('utf-8');
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Signaturschlüssel laden oder beim ersten Start erzeugen
+ */
+async function loadSigningKey(file) {
+  try {
+    return crypto.createPrivateKey(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  try {
+    await fs.writeFile(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    // Eine andere Instanz hat gleichzeitig einen Schlüssel angelegt - deren Schlüssel verwenden
+    return readExistingSigningKey(file);
+  }
+  log.info('AUDIT', `Neuer Signaturschlüssel erzeugt: ${file}`);
+  return privateKey;
+}
+
+/**
+ * Schlüssel einer anderen Instanz lesen - sie schreibt ihn eventuell gerade noch
+ */
+async function readExistingSigningKey(file) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      return crypto.createPrivateKey(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (Date.now() > deadline) throw error;
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+}
+
+/**
+ * Audit-Log anlegen
+ * options: { file, signingKeyFile, issuer, instanceId, rotateBytes, retentionDays } (0 = nie rotieren bzw. unbegrenzt)
+ */
+export function createAuditLog({ file, signingKeyFile, issuer = 'lucid-lookup-service', instanceId = `${os.hostname()}-${process.pid}`, rotateBytes = 0, retentionDays = 0 }) {
+  const lockFile = `${file}.lock`;
+  let lastSeq = 0;
+  let lastHash = GENESIS_HASH;
+  // Stand der Datei nach dem letzten eigenen Schreiben - weicht er ab, hat eine andere Instanz
+  // angehängt oder rotiert
+  let known = { size: 0, ino: 0 };
+  // Wartende Schreibaufträge und der Schreiber, der sie gesammelt anhängt
+  let pending = [];
+  let writing = null;
+  // Index für get(): erste 32 Bit der ID, Datei (sources) und Byte-Offset der Zeile (14 Byte je Eintrag)
+  let indexPrefixes = new Uint32Array(1024);
+  let indexSlots = new Uint16Array(1024);
+  let indexOffsets = new Float64Array(1024);
+  let indexCount = 0;
+  let indexedBytes = 0;
+  let indexedIno = null;
+  let sources = [];
+  let indexing = null;
+  let privateKey = null;
+  let publicKey = null;
+  let keyId = null;
+
+  async function fileState() {
+    try {
+      const { size, ino } = await fs.stat(file);
+      return { size, ino };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { size: 0, ino: 0 };
+      throw error;
+    }
+  }
+
+  /**
+   * Kettenende von Disk übernehmen - direkt nach einer Rotation steht es im jüngsten Archiv
+   */
+  async function syncHead(state) {
+    const archives = await listArchives(file);
+    const last = await readLastEntry(file) || (archives.length ? await readLastEntry(archives.at(-1)) : null);
+    if (last) {
+      lastSeq = last.seq;
+      lastHash = last.hash;
+    }
+    known = state;
+  }
+
+  /**
+   * Schreibsperre zwischen Instanzen holen (Sperrdatei mit O_EXCL)
+   */
+  async function acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const content = JSON.stringify({ instanceId, pid: process.pid, lockedAt: new Date().toISOString() });
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockFile, content, { encoding: 'utf-8', flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      try {
+        const { mtimeMs } = await fs.stat(lockFile);
+        if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+          log.warn('AUDIT', `Verwaiste Sperrdatei entfernt: ${lockFile}`);
+          await fs.unlink(lockFile).catch(() => {});
+          continue;
+        }
+      } catch (error) {
+        // Inzwischen freigegeben
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error(`Prüfprotokoll ist seit ${LOCK_TIMEOUT_MS} ms gesperrt (${lockFile})`);
+        error.code = 'AUDIT_LOCKED';
+        throw error;
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  async function releaseLock() {
+    await fs.unlink(lockFile).catch((error) => {
+      log.warn('AUDIT', 'Sperrdatei nicht entfernbar', { error });
+    });
+  }
+
+  /**
+   * Kettenende und Schlüssel laden (beim Start)
+   */
+  async function init() {
+    await syncHead(await fileState());
+    await pruneArchives();
+
+    privateKey = await loadSigningKey(signingKeyFile);
+    publicKey = crypto.createPublicKey(privateKey);
+    keyId = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+
+    return { entries: lastSeq, keyId };
+  }
+
+  /**
+   * Abfragen protokollieren
+   * checks: [{ keyName, endpoint, lucid, result, company, details, version }]
+   * Liefert die geschriebenen Einträge (mit id) in derselben Reihenfolge
+   */
+  function record(checks) {
+    const written = new Promise((resolve, reject) => {
+      pending.push({ checks, resolve, reject });
+    });
+    writing ||= writePending();
+    return written;
+  }
+
+  /**
+   * Einziger Schreiber des Prozesses: hängt alle bis dahin gesammelten Aufträge mit einer Sperre an,
+   * bis keine mehr warten - ein fehlgeschlagener Durchgang blockiert die folgenden nicht
+   */
+  async function writePending() {
+    while (pending.length > 0) {
+      const batch = pending;
+      pending = [];
+
+      try {
+        await acquireLock();
+        let entries;
+        try {
+          entries = await append(batch.flatMap(item => item.checks));
+        } finally {
+          await releaseLock();
+        }
+
+        let start = 0;
+        for (const item of batch) {
+          item.resolve(entries.slice(start, start + item.checks.length));
+          start += item.checks.length;
+        }
+      } catch (error) {
+        for (const item of batch) item.reject(error);
+      }
+    }
+    // Im selben Schritt wie die letzte Prüfung - ein neuer Auftrag startet sonst keinen Schreiber
+    writing = null;
+  }
+
+  /**
+   * Einträge ans Kettenende hängen - nur mit gehaltener Sperre
+   */
+  async function append(checks) {
+    // Mehrere Instanzen auf einem Volume: an den Einträgen der anderen weiterketten
+    const state = await fileState();
+    if (state.size !== known.size || state.ino !== known.ino) await syncHead(state);
+    if (rotateBytes > 0 && state.size >= rotateBytes) await rotate();
+
+    const at = new Date().toISOString();
+    let seq = lastSeq;
+    let prevHash = lastHash;
+
+    const entries = checks.map((check) => {
+      const entry = {
+        seq: ++seq,
+        id: crypto.randomUUID(),
+        at,
+        keyName: check.keyName || null,
+        endpoint: check.endpoint,
+        lucid: check.lucid,
+        result: check.result,
+        company: check.company || null,
+        details: check.details || null,
+        version: check.version || null,
+        prevHash
+      };
+      entry.hash = hashEntry(prevHash, entry);
+      prevHash = entry.hash;
+      return entry;
+    });
+
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    await fs.appendFile(file, lines, 'utf-8');
+    known = await fileState();
+    lastSeq = seq;
+    lastHash = prevHash;
+    return entries;
+  }
+
+  /**
+   * Aktive Datei archivieren - nur mit gehaltener Sperre
+   * Der nächste Eintrag landet in einer neuen Datei und verweist per prevHash auf den letzten des Archivs
+   */
+  async function rotate() {
+    const archive = archivePath(file, lastSeq);
+    await fs.rename(file, archive);
+    log.info('AUDIT', `Prüfprotokoll archiviert: ${archive}`);
+    await pruneArchives();
+  }
+
+  /**
+   * Archive löschen, deren letzter Eintrag älter als retentionDays ist
+   * Liefert die Anzahl gelöschter Archive
+   */
+  async function pruneArchives() {
+    if (!retentionDays || retentionDays <= 0) return 0;
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    let pruned = 0;
+    for (const archive of await listArchives(file)) {
+      const last = await readLastEntry(archive);
+      // Archive sind zeitlich geordnet - ab dem ersten jüngeren bleibt alles erhalten
+      if (last && Date.parse(last.at) >= cutoff) break;
+
+      await fs.unlink(archive).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      log.info('AUDIT', `Archiv nach Ablauf von ${retentionDays} Tagen gelöscht: ${archive}`);
+      pruned++;
+    }
+    return pruned;
+  }
+
+  /**
+   * Einträge einer Datei zeilenweise lesen - bricht ab wenn visit(entry) false liefert (Rückgabe dann false)
+   */
+  async function scan(source, visit) {
+    try {
+      await fs.access(source);
+    } catch (error) {
+      return true;
+    }
+
+    const lines = readline.createInterface({
+      input: createReadStream(source, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        entry = { invalid: line };
+      }
+      if (visit(entry) === false) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Einträge suchen (neueste zuerst) - liest rückwärts (aktive Datei, dann die Archive) und hört auf,
+   * sobald die Seite voll ist oder die Einträge älter als since werden
+   * filter: { lucid, keyName, since, until (Date), limit, offset }
+   * Liefert { entries, hasMore }
+   */
+  async function query({ lucid = null, keyName = null, since = null, until = null, limit = 100, offset = 0 } = {}) {
+    const entries = [];
+    let skipped = 0;
+    let hasMore = false;
+    const archives = await listArchives(file);
+
+    files: for (const source of [file, ...archives.reverse()]) {
+      for await (const line of readLinesBackward(source)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+
+        const at = Date.parse(entry.at);
+        // Das Protokoll ist nach Zeit geordnet - alles Weitere ist älter
+        if (since && at < since.getTime()) break files;
+        if (until && at > until.getTime()) continue;
+        if (lucid && entry.lucid !== lucid) continue;
+        if (keyName && entry.keyName !== keyName) continue;
+
+        if (skipped < offset) {
+          skipped++;
+        } else if (entries.length < limit) {
+          entries.push(entry);
+        } else {
+          hasMore = true;
+          break files;
+        }
+      }
+    }
+
+    return { entries, hasMore };
+  }
+
+  /**
+   * Zeilen einer Datei ab start in den Index aufnehmen - liefert den Offset für das nächste Mal
+   */
+  function indexLines(source, slot, start) {
+    return readLinesFrom(source, start, (line, offset) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+      if (typeof entry.id !== 'string') return;
+
+      if (indexCount === indexPrefixes.length) {
+        const prefixes = new Uint32Array(indexCount * 2);
+        const slots = new Uint16Array(indexCount * 2);
+        const offsets = new Float64Array(indexCount * 2);
+        prefixes.set(indexPrefixes);
+        slots.set(indexSlots);
+        offsets.set(indexOffsets);
+        indexPrefixes = prefixes;
+        indexSlots = slots;
+        indexOffsets = offsets;
+      }
+      indexPrefixes[indexCount] = parseInt(entry.id.slice(0, 8), 16) >>> 0;
+      indexSlots[indexCount] = slot;
+      indexOffsets[indexCount] = offset;
+      indexCount++;
+    });
+  }
+
+  /**
+   * Index bis zum Dateiende nachziehen (eigene und fremde Einträge)
+   */
+  function updateIndex() {
+    indexing ||= (async () => {
+      // Datei rotiert, ersetzt oder gekürzt - samt Archiven neu aufbauen
+      const state = await fileState();
+      if (state.ino !== indexedIno || state.size < indexedBytes) {
+        indexCount = 0;
+        indexedBytes = 0;
+        sources = [...await listArchives(file), file];
+        for (let slot = 0; slot < sources.length - 1; slot++) {
+          await indexLines(sources[slot], slot, 0);
+        }
+        indexedIno = state.ino;
+      }
+
+      indexedBytes = await indexLines(file, sources.length - 1, indexedBytes);
+    })().finally(() => {
+      indexing = null;
+    });
+
+    return indexing;
+  }
+
+  /**
+   * Einzelnen Eintrag nach ID (über den Index, gelesen wird nur die passende Zeile)
+   */
+  async function get(id) {
+    if (!/^[0-9a-f]{8}-/i.test(id)) return null;
+
+    await updateIndex();
+    const prefix = parseInt(id.slice(0, 8), 16) >>> 0;
+
+    // Neueste zuerst - Quittungen werden meist kurz nach der Prüfung abgerufen
+    for (let i = indexCount - 1; i >= 0; i--) {
+      if (indexPrefixes[i] !== prefix) continue;
+      try {
+        const entry = JSON.parse(await readLineAt(sources[indexSlots[i]], indexOffsets[i]));
+        if (entry.id === id) return entry;
+      } catch (error) {
+        // Zeile nicht lesbar oder Archiv inzwischen gelöscht - weitersuchen
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Komplette Kette prüfen - Archive (älteste zuerst), dann die aktive Datei
+   * Liefert { ok, entries, headHash, prunedBefore, brokenAt: { file, seq, line, reason } | null }
+   * headHash ist der Hash des letzten gültigen Eintrags - extern notiert lässt sich damit
+   * auch ein abgeschnittenes Dateiende erkennen.
+   *
+   * Rotation: der erste Eintrag einer neuen Datei verweist per prevHash auf den letzten des
+   * vorherigen Archivs, die Kette läuft über alle Dateien durch. Hat die Aufbewahrungsfrist
+   * (retentionDays) die ältesten Archive gelöscht, beginnt die Prüfung beim ersten erhaltenen
+   * Eintrag - dessen seq steht in prunedBefore (alles davor ist nicht mehr nachprüfbar).
+   */
+  async function verifyChain() {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let prunedBefore = null;
+    let entries = 0;
+    let brokenAt = null;
+
+    for (const source of [...await listArchives(file), file]) {
+      let line = 0;
+
+      const complete = await scan(source, (entry) => {
+        line++;
+        let reason = null;
+
+        if (entries === 0 && !entry.invalid && entry.seq > 1) {
+          prunedBefore = entry.seq;
+          expectedSeq = entry.seq;
+          prevHash = entry.prevHash;
+        }
+
+        if (entry.invalid) {
+          reason = 'Zeile ist kein gültiges JSON';
+        } else if (entry.seq !== expectedSeq) {
+          reason = `Laufende Nummer ${entry.seq} statt ${expectedSeq} (Zeile fehlt oder eingefügt)`;
+        } else if (entry.prevHash !== prevHash) {
+          reason = 'prevHash passt nicht zum vorherigen Eintrag';
+        } else {
+          const { hash, ...rest } = entry;
+          if (hashEntry(prevHash, rest) !== hash) reason = 'Hash passt nicht zum Inhalt (Eintrag verändert)';
+        }
+
+        if (reason) {
+          brokenAt = { file: path.basename(source), seq: entry.seq ?? null, line, reason };
+          return false;
+        }
+
+        prevHash = entry.hash;
+        expectedSeq++;
+        entries++;
+      });
+      if (!complete) break;
+    }
+
+    return { ok: !brokenAt, entries, headHash: prevHash, prunedBefore, brokenAt };
+  }
+
+  /**
+   * Signierte Quittung für einen Eintrag
+   * Signiert wird JSON.stringify(receipt) - Prüfung mit dem öffentlichen Schlüssel (Ed25519)
+   */
+  function issueReceipt(entry) {
+    const receipt = {
+      type: 'lucid-verification-receipt',
+      issuer,
+      issuedAt: new Date().toISOString(),
+      auditId: entry.id,
+      seq: entry.seq,
+      checkedAt: entry.at,
+      keyName: entry.keyName,
+      endpoint: entry.endpoint,
+      lucid: entry.lucid,
+      result: entry.result,
+      company: entry.company,
+      details: entry.details,
+      datasetVersion: entry.version,
+      entryHash: entry.hash
+    };
+
+    const signature = crypto.sign(null, Buffer.from(JSON.stringify(receipt)), privateKey);
+
+    return {
+      receipt,
+      signature: {
+        algorithm: 'Ed25519',
+        keyId,
+        value: signature.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * Öffentlicher Schlüssel (PEM) zur Prüfung der Quittungen
+   */
+  function publicKeyPem() {
+    return publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  return {
+    init,
+    record,
+    query,
+    get,
+    verifyChain,
+    issueReceipt,
+    publicKeyPem,
+    // Wartet bis alle angestoßenen Schreibvorgänge auf Disk sind (beim Herunterfahren)
+    flush: () => writing || Promise.resolve(),
+    keyId: () => keyId,
+    size: () => lastSeq
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * API-Key Authentifizierung mit mehreren benannten Keys, Scopes und Rate Limit pro Key
+ *
+ * Keys kommen aus API_KEYS_FILE (JSON, wird bei Änderung neu geladen), API_KEYS (JSON)
+ * und dem bisherigen INTERNAL_API_KEY (Name "internal", alle Scopes):
+ *
+ * { "keys": [
+ *   { "name": "shop", "key": "…", "scopes": ["lookup", "search"] },
+ *   { "name": "shop", "sha256": "<hex>", "scopes": ["lookup"], "expiresAt": "2026-01-31T00:00:00Z" },
+ *   { "name": "backoffice", "key": "…", "scopes": ["admin", "export"], "rateLimitPerMinute": 60 }
+ * ] }
+ *
+ * Rotation ohne Downtime: neuen Key (gleicher Name) eintragen, Clients umstellen, alten Key
+ * entfernen oder per expiresAt auslaufen lassen - die Datei wird ohne Neustart übernommen.
+ * Übergeben wird der Key als "Authorization: Bearer <key>" oder "X-API-Key: <key>".
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { log, registerSecret } from './logger.js';
+
+export const SCOPES = ['lookup', 'search', 'admin', 'export'];
+
+const RATE_WINDOW_MS = 60000;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Key-Eintrag prüfen und vereinheitlichen (gespeichert wird nur der Hash)
+ */
+function normalizeKey(entry, origin) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name) {
+    throw new Error(`API-Key ohne Namen in ${origin}`);
+  }
+
+  const hash = entry.sha256 ? String(entry.sha256).toLowerCase() : entry.key ? sha256(String(entry.key)) : null;
+  // Klartext-Keys dürfen nie im Log landen
+  if (entry.key) registerSecret(String(entry.key));
+  if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error(`API-Key "${entry.name}" in ${origin} braucht "key" oder "sha256"`);
+  }
+
+  const scopes = entry.scopes || SCOPES;
+  if (!Array.isArray(scopes)) {
+    throw new Error(`API-Key "${entry.name}" in ${origin}: scopes muss eine Liste sein`);
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`API-Key "${entry.name}" in ${origin}: unbekannte Scopes ${unknown.join(', ')}`);
+  }
+
+  const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : null;
+  if (expiresAt !== null && isNaN(expiresAt)) {
+    throw new Error(`API-Key "${entry.name}" in ${origin}: ungültiges expiresAt`);
+  }
+
+  return {
+    name: entry.name,
+    hash: Buffer.from(hash, 'hex'),
+    scopes,
+    expiresAt,
+    rateLimitPerMinute: entry.rateLimitPerMinute ?? null,
+    origin
+  };
+}
+
+function parseKeyList(json, origin) {
+  const parsed = JSON.parse(json);
+  const list = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(`${origin} muss eine Liste von Keys oder { "keys": [...] } enthalten`);
+  }
+  return list.map(entry => normalizeKey(entry, origin));
+}
+
+/**
+ * Übergebenen Key aus dem Request lesen (Bearer oder X-API-Key)
+ * Veraltet, aber weiter gültig: der Key direkt im Authorization-Header ohne "Bearer"
+ * (so schickt ihn die bestehende Integration des Hauptsystems)
+ */
+export function extractApiKey(req) {
+  const authorization = (req.headers['authorization'] || '').trim();
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+  if (match) return match[1].trim();
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  // Andere Schemata (Basic, Digest ...) sind kein Key
+  if (authorization && !/\s/.test(authorization)) {
+    log.debug('SECURITY', `Key ohne "Bearer" im Authorization-Header (veraltet): ${req.method} ${req.path}`);
+    return authorization;
+  }
+  return null;
+}
+
+/**
+ * Fehlerantworten der bisherigen Routen (/api/lucid, /admin) - Format bleibt unverändert
+ */
+function denyV1(res, status, code, params = {}) {
+  const messages = {
+    no_api_keys: 'Unauthorized - keine API-Keys konfiguriert',
+    invalid_api_key: 'Unauthorized - Invalid API Key',
+    missing_scope: `Forbidden - Scope "${params.scope}" fehlt`,
+    rate_limited: `Rate Limit für Key "${params.key}" erreicht (${params.limit} Anfragen pro Minute)`
+  };
+  const body = { ok: false, error: messages[code] };
+  if (code === 'rate_limited') body.retryAfter = params.retryAfter;
+  return res.status(status).json(body);
+}
+
+/**
+ * Auth-Middleware anlegen
+ * options: { file, json, legacyKey, defaultRateLimitPerMinute, onDenied }
+ * onDenied(req, reason) wird bei 401/403/429 aufgerufen (z.B. für Metriken)
+ */
+export function createAuth({ file = '', json = '', legacyKey = '', defaultRateLimitPerMinute = 600, onDenied = () => {} } = {}) {
+  let fileKeys = [];
+  const staticKeys = [];
+  // Zähler pro Key-Name: { windowStart, count }
+  const usage = new Map();
+
+  if (json) staticKeys.push(...parseKeyList(json, 'API_KEYS'));
+  if (legacyKey) staticKeys.push(normalizeKey({ name: 'internal', key: legacyKey }, 'INTERNAL_API_KEY'));
+
+  function loadFile() {
+    if (!file) return;
+    fileKeys = parseKeyList(fs.readFileSync(file, 'utf-8'), file);
+  }
+
+  function allKeys() {
+    return [...staticKeys, ...fileKeys];
+  }
+
+  /**
+   * Key-Datei neu laden - eine fehlerhafte Datei behält die bisherigen Keys
+   */
+  function reload() {
+    try {
+      loadFile();
+      log.info('AUTH', `${allKeys().length} API-Key(s) aktiv`);
+      return true;
+    } catch (error) {
+      log.error('AUTH', 'API-Keys konnten nicht neu geladen werden - bisherige Keys bleiben aktiv', { error });
+      return false;
+    }
+  }
+
+  // Beim Start muss die Datei lesbar sein
+  loadFile();
+  if (file) {
+    fs.watchFile(file, { interval: 5000, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) reload();
+    });
+  }
+
+  function findKey(provided) {
+    const hash = Buffer.from(sha256(provided), 'hex');
+    const now = Date.now();
+    return allKeys().find(entry =>
+      crypto.timingSafeEqual(entry.hash, hash) && (entry.expiresAt === null || entry.expiresAt > now)
+    ) || null;
+  }
+
+  /**
+   * Fixed-Window Rate Limit pro Key-Name
+   * Liefert { allowed, limit, remaining, resetMs }
+   */
+  function consume(entry) {
+    const limit = entry.rateLimitPerMinute ?? defaultRateLimitPerMinute;
+    const now = Date.now();
+    let window = usage.get(entry.name);
+
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+      window = { windowStart: now, count: 0 };
+      usage.set(entry.name, window);
+    }
+
+    const resetMs = window.windowStart + RATE_WINDOW_MS - now;
+    if (limit > 0 && window.count >= limit) {
+      return { allowed: false, limit, remaining: 0, resetMs };
+    }
+
+    window.count++;
+    return { allowed: true, limit, remaining: limit - window.count, resetMs };
+  }
+
+  /**
+   * Middleware: gültiger Key mit dem Scope nötig
+   * Setzt req.apiKey = { name, scopes }
+   * options.deny(res, status, code, params) ersetzt die Fehlerantwort (z.B. Fehlerformat von /api/v2)
+   */
+  function requireScope(scope, { deny = denyV1 } = {}) {
+    return (req, res, next) => {
+      const provided = extractApiKey(req);
+
+      if (allKeys().length === 0) {
+        log.warn('SECURITY', 'Keine API-Keys konfiguriert - Anfrage abgelehnt');
+        onDenied(req, 'unauthorized');
+        return deny(res, 401, 'no_api_keys');
+      }
+
+      const entry = provided ? findKey(provided) : null;
+      if (!entry) {
+        log.warn('SECURITY', `Ungültiger API-Key Versuch: ${req.method} ${req.path}`);
+        onDenied(req, 'unauthorized');
+        return deny(res, 401, 'invalid_api_key');
+      }
+
+      req.apiKey = { name: entry.name, scopes: entry.scopes };
+
+      if (!entry.scopes.includes(scope)) {
+        log.warn('SECURITY', `Key "${entry.name}" ohne Scope "${scope}": ${req.method} ${req.path}`);
+        onDenied(req, 'forbidden');
+        return deny(res, 403, 'missing_scope', { scope });
+      }
+
+      const rate = consume(entry);
+      if (rate.limit > 0) {
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(rate.resetMs / 1000)));
+      }
+
+      if (!rate.allowed) {
+        onDenied(req, 'rate_limited');
+        const retryAfter = Math.ceil(rate.resetMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return deny(res, 429, 'rate_limited', { key: entry.name, limit: rate.limit, retryAfter });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Aktive Keys ohne Geheimnis (für /admin/keys)
+   */
+  function listKeys() {
+    return allKeys().map(entry => ({
+      name: entry.name,
+      scopes: entry.scopes,
+      // Die ersten Zeichen des Hashes - zum Unterscheiden alter und neuer Keys bei der Rotation
+      fingerprint: entry.hash.toString('hex').slice(0, 12),
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+      expired: entry.expiresAt !== null && entry.expiresAt <= Date.now(),
+      rateLimitPerMinute: entry.rateLimitPerMinute ?? defaultRateLimitPerMinute,
+      origin: entry.origin
+    }));
+  }
+
+  return { requireScope, reload, listKeys, keyCount: () => allKeys().length };
+}
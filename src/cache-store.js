@@ -0,0 +1,182 @@
+/**
+ * On-Disk Format des Caches: gzip-komprimiertes NDJSON
+ *
+ * Zeile 1:      { "format": "lucid-cache", "version": 2, "lastUpdate", "count", "createdAt" }
+ * Zeile 2..n:   [ "<LUCID>", { ...Produzent } ]
+ * Letzte Zeile: { "footer": true, "count", "sha256" } - Prüfsumme über alle Datenzeilen
+ *
+ * Geschrieben und gelesen wird zeilenweise als Stream, damit nie der ganze
+ * Datenbestand als ein String im Speicher liegt. Alte lucid-cache.json Dateien
+ * (ein einziges JSON-Objekt) werden weiterhin gelesen.
+ *
+ * Schlüssel werden beim Lesen mit normalizeLucid() vereinheitlicht - ältere Dateien enthalten
+ * noch Nummern mit Trennzeichen, beim nächsten Speichern stehen sie normalisiert in der Datei.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Readable, pipeline as pipelineCallback } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import readline from 'readline';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { createStoreBuilder, toRegisterStore } from './register-store.js';
+import { normalizeLucid } from './lucid-number.js';
+
+export const CACHE_FORMAT = 'lucid-cache';
+export const CACHE_FORMAT_VERSION = 2;
+
+/**
+ * Ist die Datei im alten Format (ein einziges JSON-Objekt)?
+ */
+export function isLegacyCacheFile(file) {
+  return file.endsWith('.json');
+}
+
+/**
+ * Cache-Datei schreiben - erst in eine temporäre Datei, dann atomar umbenennen
+ * Gibt den geschriebenen Header zurück
+ */
+export async function writeCacheFile(file, data, { lastUpdate }) {
+  const tmpFile = `${file}.tmp`;
+  const header = {
+    format: CACHE_FORMAT,
+    version: CACHE_FORMAT_VERSION,
+    lastUpdate,
+    count: data.size,
+    createdAt: new Date().toISOString()
+  };
+  const hash = crypto.createHash('sha256');
+  let count = 0;
+
+  function* lines() {
+    yield JSON.stringify(header) + '\n';
+
+    for (const entry of data) {
+      const line = JSON.stringify(entry) + '\n';
+      hash.update(line);
+      count++;
+      yield line;
+    }
+
+    yield JSON.stringify({ footer: true, count, sha256: hash.digest('hex') }) + '\n';
+  }
+
+  try {
+    await pipeline(
+      Readable.from(lines()),
+      zlib.createGzip({ level: 6 }),
+      createWriteStream(tmpFile)
+    );
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw error;
+  }
+
+  return header;
+}
+
+/**
+ * Cache-Datei lesen - liefert { data: RegisterStore, lastUpdate, count }
+ * Wirft einen Fehler wenn Header, Footer oder Prüfsumme nicht passen
+ */
+export async function readCacheFile(file) {
+  if (isLegacyCacheFile(file)) {
+    return readLegacyCacheFile(file);
+  }
+
+  // Fehler beim Öffnen (z.B. ENOENT) sofort melden
+  await fs.access(file);
+
+  const lines = readline.createInterface({
+    input: pipelineCallback(createReadStream(file), zlib.createGunzip(), () => {}),
+    crlfDelay: Infinity
+  });
+
+  const builder = createStoreBuilder();
+  const hash = crypto.createHash('sha256');
+  let header = null;
+  let footer = null;
+  // Datenzeilen der Datei - nach der Normalisierung können zwei Zeilen dieselbe Nummer haben
+  let rows = 0;
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    if (!header) {
+      header = JSON.parse(line);
+      if (header.format !== CACHE_FORMAT) {
+        throw new Error(`Unbekanntes Cache-Format in ${file}`);
+      }
+      continue;
+    }
+
+    if (footer) {
+      throw new Error(`Daten nach dem Footer in ${file}`);
+    }
+
+    if (line.startsWith('{')) {
+      footer = JSON.parse(line);
+      continue;
+    }
+
+    hash.update(line + '\n');
+    const [key, producer] = JSON.parse(line);
+    builder.set(normalizeLucid(key), producer);
+    rows++;
+  }
+
+  if (!header) {
+    throw new Error(`Cache-Datei ${file} ist leer`);
+  }
+
+  if (!footer || !footer.footer) {
+    throw new Error(`Cache-Datei ${file} ist unvollständig (Footer fehlt)`);
+  }
+
+  if (footer.count !== rows || footer.sha256 !== hash.digest('hex')) {
+    throw new Error(`Prüfsumme von ${file} stimmt nicht - Datei beschädigt`);
+  }
+
+  const data = builder.build();
+  return { data, lastUpdate: header.lastUpdate, count: data.size };
+}
+
+/**
+ * Altes Format lesen (lucid-cache.json / initial-cache.json)
+ */
+async function readLegacyCacheFile(file) {
+  const parsed = JSON.parse(await fs.readFile(file, 'utf-8'));
+  const data = toRegisterStore(parsed.data.map(([key, producer]) => [normalizeLucid(key), producer]));
+  return { data, lastUpdate: parsed.lastUpdate, count: data.size };
+}
+
+/**
+ * Alte lucid-cache.json ins neue Format überführen
+ * Die alte Datei wird danach in <name>.migrated umbenannt
+ * Gibt true zurück wenn migriert wurde
+ */
+export async function migrateLegacyCacheFile(legacyFile, file) {
+  try {
+    await fs.access(legacyFile);
+  } catch (error) {
+    return false;
+  }
+
+  try {
+    await fs.access(file);
+    // Neues Format existiert schon - alte Datei wird ignoriert
+    return false;
+  } catch (error) {
+    // Neues Format fehlt noch - migrieren
+  }
+
+  const { data, lastUpdate } = await readLegacyCacheFile(legacyFile);
+  await writeCacheFile(file, data, { lastUpdate });
+  await fs.rename(legacyFile, `${legacyFile}.migrated`);
+
+  log.info('CACHE', `Altes Cache-Format migriert: ${legacyFile} → ${file} (${data.size} Einträge)`);
+  return true;
+}
@@ -0,0 +1,171 @@
+/**
+ * Änderungsprotokoll zwischen zwei Register-Ständen
+ * Neue, entfernte und geänderte Produzenten werden als NDJSON in CACHE_DIR abgelegt
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import readline from 'readline';
+import { appendNdjson, readNdjson } from './ndjson.js';
+
+// Felder deren Änderung protokolliert wird
+export const TRACKED_FIELDS = [
+  'company_name',
+  'vat_number',
+  'tax_number',
+  'address',
+  'city',
+  'postal_code'
+];
+
+// Felder aus dem erweiterten Mapping - nur verglichen wenn beide Stände sie enthalten,
+// damit ältere Caches ohne diese Felder nicht als massenhafte Änderung erscheinen
+export const OPTIONAL_TRACKED_FIELDS = [
+  'registration_date',
+  'status'
+];
+
+/**
+ * Unterschiede zwischen altem und neuem Datenbestand berechnen
+ */
+export function diffDatasets(previous, next) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [key, producer] of next) {
+    const old = previous.get(key);
+
+    if (!old) {
+      added.push({ lucid: key, producer });
+      continue;
+    }
+
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      if ((old[field] || '') !== (producer[field] || '')) {
+        changes[field] = { from: old[field] || '', to: producer[field] || '' };
+      }
+    }
+
+    for (const field of OPTIONAL_TRACKED_FIELDS) {
+      if (old[field] === undefined || producer[field] === undefined) continue;
+      if (old[field] !== producer[field]) {
+        changes[field] = { from: old[field], to: producer[field] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      modified.push({ lucid: key, producer, changes });
+    }
+  }
+
+  for (const [key, producer] of previous) {
+    if (!next.has(key)) {
+      removed.push({ lucid: key, producer });
+    }
+  }
+
+  return { added, removed, modified };
+}
+
+/**
+ * Änderungen eines Refresh-Laufs an das Protokoll anhängen
+ * Jede Zeile ist ein Ereignis: { at, type, lucid, company_name, changes? }
+ */
+export async function appendChanges(file, diff, at = Date.now()) {
+  const timestamp = new Date(at).toISOString();
+  const lines = [];
+
+  for (const { lucid, producer } of diff.added) {
+    lines.push({ at: timestamp, type: 'added', lucid, company_name: producer.company_name, details: producer });
+  }
+  for (const { lucid, producer } of diff.removed) {
+    lines.push({ at: timestamp, type: 'removed', lucid, company_name: producer.company_name, details: producer });
+  }
+  for (const { lucid, producer, changes } of diff.modified) {
+    lines.push({ at: timestamp, type: 'modified', lucid, company_name: producer.company_name, changes });
+  }
+
+  await appendNdjson(file, lines);
+  return lines.length;
+}
+
+/**
+ * Protokoll lesen - filter(event) entscheidet welche Ereignisse zurückgegeben werden
+ */
+export function readChanges(file, filter) {
+  return readNdjson(file, filter);
+}
+
+/**
+ * Eine Seite des Protokolls lesen - zählt alle passenden Ereignisse (gesamt und je Art),
+ * behält aber nur die der angeforderten Seite im Speicher
+ * Liefert { total, summary: { added, removed, modified }, events }
+ */
+export async function readChangesPage(file, filter, { offset = 0, limit = 100 } = {}) {
+  const summary = { added: 0, removed: 0, modified: 0 };
+  const events = [];
+  let total = 0;
+
+  await readNdjson(file, (event) => {
+    if (!filter(event)) return false;
+    if (total >= offset && events.length < limit) events.push(event);
+    total++;
+    if (event.type in summary) summary[event.type]++;
+    return false;
+  });
+
+  return { total, summary, events };
+}
+
+/**
+ * Ereignisse älter als retentionDays entfernen (Datei wird atomar ersetzt)
+ */
+export async function pruneChanges(file, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return 0;
+
+  try {
+    await fs.access(file);
+  } catch (error) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const tmpFile = `${file}.tmp`;
+  const output = createWriteStream(tmpFile, { encoding: 'utf-8' });
+  let removed = 0;
+
+  const lines = readline.createInterface({
+    input: createReadStream(file, { encoding: 'utf-8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line) continue;
+    try {
+      if (JSON.parse(line).at < cutoff) {
+        removed++;
+        continue;
+      }
+    } catch (error) {
+      removed++;
+      continue;
+    }
+    if (!output.write(line + '\n')) {
+      await once(output, 'drain');
+    }
+  }
+
+  output.end();
+  await once(output, 'finish');
+
+  if (removed > 0) {
+    await fs.rename(tmpFile, file);
+  } else {
+    await fs.unlink(tmpFile);
+  }
+
+  return removed;
+}
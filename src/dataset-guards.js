@@ -0,0 +1,56 @@
+/**
+ * Plausibilitätsprüfung bevor ein neuer Datenbestand den Cache ersetzt
+ * Schützt vor abgeschnittenen oder leeren XML-Downloads
+ */
+
+/**
+ * Neuen Datenbestand prüfen
+ * result: { data, stats } aus downloadAndParseXML()
+ * limits: { minEntries, maxShrinkPercent }
+ * Gibt { ok, failures, checks } zurück
+ */
+export function checkDataset(result, previousSize, limits) {
+  const { data, stats } = result;
+  const failures = [];
+
+  const bytesComplete = !stats.expectedBytes || stats.bytes === stats.expectedBytes;
+  const streamComplete = stats.rootClosed && bytesComplete;
+  if (!streamComplete) {
+    failures.push({
+      check: 'stream_complete',
+      message: !stats.rootClosed ?
+        'XML-Dokument wurde nicht vollständig abgeschlossen (Root-Element fehlt)' :
+        `Nur ${stats.bytes} von ${stats.expectedBytes} Bytes empfangen`
+    });
+  }
+
+  if (data.size < limits.minEntries) {
+    failures.push({
+      check: 'min_entries',
+      message: `Nur ${data.size} Einträge, Minimum ist ${limits.minEntries}`
+    });
+  }
+
+  const shrinkPercent = previousSize > 0 ?
+    Math.max(0, (previousSize - data.size) / previousSize * 100) :
+    0;
+  if (shrinkPercent > limits.maxShrinkPercent) {
+    failures.push({
+      check: 'max_shrink',
+      message: `Datenbestand um ${shrinkPercent.toFixed(1)}% geschrumpft (${previousSize} → ${data.size}), erlaubt sind ${limits.maxShrinkPercent}%`
+    });
+  }
+
+  return {
+    ok: failures.length === 0,
+    failures,
+    checks: {
+      entries: data.size,
+      previousEntries: previousSize,
+      shrinkPercent: Math.round(shrinkPercent * 10) / 10,
+      bytes: stats.bytes,
+      expectedBytes: stats.expectedBytes,
+      rootClosed: stats.rootClosed
+    }
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * Robuster Download des Register-XML
+ * - lädt in eine temporäre Datei in CACHE_DIR (nicht direkt in den Parser)
+ * - setzt abgebrochene Downloads per HTTP Range fort
+ * - Retry mit exponentiellem Backoff, Retry-After wird beachtet
+ * - nach einem 429 gilt eine Sperrfrist, in der gar nicht angefragt wird
+ */
+
+import axios from 'axios';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+const PARTIAL_FILE = 'register.xml.partial';
+const PARTIAL_META_FILE = 'register.xml.partial.json';
+const COMPLETE_FILE = 'register.xml';
+const COOLDOWN_FILE = 'cooldown.json';
+
+/**
+ * Retry-After Header (Sekunden oder HTTP-Datum) in Millisekunden umrechnen
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value).trim())) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writeJson(file, value) {
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(value, null, 2), 'utf-8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+async function fileSize(file) {
+  try {
+    return (await fs.stat(file)).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Aktive 429-Sperrfrist lesen - { until, reason } oder null
+ */
+export async function getCooldown(dir) {
+  const cooldown = await readJson(path.join(dir, COOLDOWN_FILE));
+  return cooldown && cooldown.until > Date.now() ? cooldown : null;
+}
+
+async function setCooldown(dir, ms, reason) {
+  const cooldown = { until: Date.now() + ms, untilISO: new Date(Date.now() + ms).toISOString(), reason };
+  await writeJson(path.join(dir, COOLDOWN_FILE), cooldown);
+  return cooldown;
+}
+
+function cooldownError(cooldown) {
+  const error = new Error(`Rate-Limit-Sperre aktiv bis ${new Date(cooldown.until).toISOString()} - kein Download`);
+  error.code = 'RATE_LIMIT_COOLDOWN';
+  error.retryAfterMs = cooldown.until - Date.now();
+  return error;
+}
+
+/**
+ * Fehler eines Download-Versuchs protokollieren
+ */
+function logAttemptError(error, attempt) {
+  const status = error.response ? error.response.status : null;
+  log.warn('DOWNLOAD', `Versuch ${attempt} fehlgeschlagen: ${error.message}`, {
+    attempt,
+    status,
+    code: error.code || null
+  });
+
+  if (status === 429) {
+    log.warn('DOWNLOAD', 'Rate Limit erreicht - API blockiert weitere Anfragen', {
+      retryAfter: error.response.headers['retry-after'] || null
+    });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    log.warn('DOWNLOAD', 'Timeout - Verbindung zu lange ohne Daten');
+  }
+  if (error.code === 'ENOTFOUND') {
+    log.warn('DOWNLOAD', 'DNS-Fehler - Server nicht gefunden');
+  }
+}
+
+/**
+ * Ein Download-Versuch: startet neu oder setzt per Range fort
+ * Gibt { bytes, totalBytes } zurück, wirft bei unvollständigem Download
+ */
+async function attemptDownload(dir, { url, params, idleTimeoutMs, onProgress }, attempt) {
+  const partialFile = path.join(dir, PARTIAL_FILE);
+  const metaFile = path.join(dir, PARTIAL_META_FILE);
+  const meta = await readJson(metaFile);
+  let offset = await fileSize(partialFile);
+
+  // Nur fortsetzen wenn der Teil-Download zur selben URL gehört
+  if (offset > 0 && (!meta || meta.url !== url)) {
+    offset = 0;
+  }
+
+  const headers = { 'Accept': 'application/xml', 'Accept-Encoding': 'identity' };
+  if (offset > 0) {
+    headers['Range'] = `bytes=${offset}-`;
+    // If-Range: Server liefert die komplette Datei falls sie sich inzwischen geändert hat
+    if (meta.etag || meta.lastModified) headers['If-Range'] = meta.etag || meta.lastModified;
+    log.info('DOWNLOAD', `Setze Download bei ${offset.toLocaleString()} Bytes fort (Versuch ${attempt})`);
+  } else {
+    log.info('DOWNLOAD', `Starte Download (Versuch ${attempt})`);
+  }
+
+  const controller = new AbortController();
+  const response = await axios({
+    method: 'GET',
+    url,
+    params,
+    headers,
+    responseType: 'stream',
+    // Gilt bis zum Eintreffen der Header, danach überwacht der Idle-Timer den Body
+    timeout: idleTimeoutMs,
+    signal: controller.signal,
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    validateStatus: (status) => status === 200 || status === 206 || status === 416
+  });
+
+  if (response.status === 416) {
+    response.data.destroy();
+
+    // Teil-Download war bereits vollständig (Content-Range: bytes */<Gesamtgröße>)
+    const match = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+    if (match && parseInt(match[1]) === offset) {
+      return { bytes: offset, totalBytes: offset };
+    }
+
+    // Range passt nicht (mehr) - Teil-Download verwerfen und neu beginnen
+    await fs.rm(partialFile, { force: true });
+    await fs.rm(metaFile, { force: true });
+    const error = new Error('Range nicht erfüllbar - Download startet neu');
+    error.code = 'RANGE_NOT_SATISFIABLE';
+    throw error;
+  }
+
+  const resumed = response.status === 206;
+  if (!resumed) offset = 0;
+
+  let totalBytes = null;
+  if (resumed) {
+    const match = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+    totalBytes = match ? parseInt(match[1]) : null;
+  } else {
+    totalBytes = parseInt(response.headers['content-length']) || null;
+  }
+
+  await writeJson(metaFile, {
+    url,
+    etag: response.headers['etag'] || null,
+    lastModified: response.headers['last-modified'] || null,
+    totalBytes,
+    startedAt: meta?.startedAt && resumed ? meta.startedAt : new Date().toISOString()
+  });
+
+  log.info('DOWNLOAD', `Status ${response.status}, ${resumed ? 'fortgesetzt' : 'komplette Datei'}, Gesamtgröße: ${totalBytes ?? 'unbekannt'} Bytes`);
+
+  let bytes = offset;
+  const output = createWriteStream(partialFile, { flags: resumed ? 'a' : 'w' });
+
+  await new Promise((resolve, reject) => {
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        const error = new Error(`Keine Daten seit ${idleTimeoutMs / 1000}s - Verbindung abgebrochen`);
+        error.code = 'ETIMEDOUT';
+        controller.abort();
+        response.data.destroy(error);
+      }, idleTimeoutMs);
+    };
+
+    const finish = (error) => {
+      clearTimeout(idleTimer);
+      if (error) {
+        output.destroy();
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    resetIdleTimer();
+    response.data.on('data', (chunk) => {
+      bytes += chunk.length;
+      resetIdleTimer();
+      if (onProgress) onProgress({ bytes, totalBytes, attempt, resumed });
+    });
+    response.data.on('error', finish);
+    response.data.on('aborted', () => finish(Object.assign(new Error('Verbindung vom Server abgebrochen'), { code: 'ECONNRESET' })));
+    output.on('error', finish);
+    output.on('finish', () => finish());
+    response.data.pipe(output);
+  });
+
+  bytes = await fileSize(partialFile);
+  const complete = totalBytes === null || bytes === totalBytes;
+
+  if (!complete) {
+    const error = new Error(`Download unvollständig: ${bytes} von ${totalBytes} Bytes`);
+    error.code = 'INCOMPLETE_DOWNLOAD';
+    throw error;
+  }
+
+  return { bytes, totalBytes };
+}
+
+/**
+ * Register-XML vollständig in eine Datei laden
+ * options: { dir, url, params, maxAttempts, baseDelayMs, maxDelayMs, idleTimeoutMs, cooldownMs, onProgress }
+ * Gibt { file, bytes, totalBytes, attempts } zurück - file ist erst nach vollständigem Download vorhanden
+ */
+export async function downloadToFile(options) {
+  const { dir, maxAttempts, baseDelayMs, maxDelayMs, cooldownMs } = options;
+  await fs.mkdir(dir, { recursive: true });
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const cooldown = await getCooldown(dir);
+    if (cooldown) {
+      throw cooldownError(cooldown);
+    }
+
+    try {
+      const result = await attemptDownload(dir, options, attempt);
+      const file = path.join(dir, COMPLETE_FILE);
+
+      await fs.rename(path.join(dir, PARTIAL_FILE), file);
+      await fs.rm(path.join(dir, PARTIAL_META_FILE), { force: true });
+      log.info('DOWNLOAD', `Vollständig: ${result.bytes.toLocaleString()} Bytes nach ${attempt} Versuch(en)`);
+
+      return { file, ...result, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      logAttemptError(error, attempt);
+      // Body der Fehlerantwort wird nicht gelesen - Verbindung freigeben
+      error.response?.data?.destroy?.();
+
+      const status = error.response?.status;
+      const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+      if (status === 429) {
+        // Sperrfrist merken - gilt auch für spätere Refresh-Versuche (Cron, /admin/refresh)
+        const waitMs = retryAfterMs ?? cooldownMs;
+        const newCooldown = await setCooldown(dir, waitMs, `HTTP 429 (Retry-After: ${error.response.headers['retry-after'] ?? 'fehlt'})`);
+        log.error('DOWNLOAD', `Sperrfrist bis ${newCooldown.untilISO}`);
+
+        // Kurze Sperrfrist abwarten und weitermachen, lange Sperrfrist bricht ab
+        if (waitMs > maxDelayMs || attempt === maxAttempts) {
+          throw cooldownError(newCooldown);
+        }
+        await sleep(waitMs);
+        await fs.rm(path.join(dir, COOLDOWN_FILE), { force: true });
+        continue;
+      }
+
+      // Client-Fehler (401, 403, 404, ...) werden nicht wiederholt
+      if (status && status >= 400 && status < 500 && status !== 408) {
+        throw error;
+      }
+
+      if (attempt === maxAttempts) break;
+
+      const backoffMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+      const delayMs = Math.max(backoffMs, retryAfterMs || 0);
+      log.info('DOWNLOAD', `Nächster Versuch in ${Math.round(delayMs / 1000)}s`);
+      await sleep(delayMs);
+    }
+  }
+
+  throw lastError;
+}
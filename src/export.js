@@ -0,0 +1,164 @@
+/**
+ * Export des Registers als CSV, NDJSON oder XLSX (GET /api/lucid/export)
+ * Die Zeilen werden in Blöcken erzeugt und als Stream geschrieben - der Datenbestand
+ * wird nie als Ganzes in einen String oder Buffer kopiert
+ */
+
+import { Readable } from 'stream';
+import yazl from 'yazl';
+import { normalizePostalCode, normalizeText } from './normalize.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Zeilen pro Block - hält die Zahl der Stream-Chunks klein
+const CHUNK_ROWS = 500;
+
+/**
+ * Datensätze nach den Filtern auswählen
+ * filter: { postalCodePrefix, city, lucids (Set oder null) }
+ */
+function* matchingRecords(dataMap, { postalCodePrefix = null, city = null, lucids = null }) {
+  const prefix = postalCodePrefix ? normalizePostalCode(postalCodePrefix) : null;
+  const cityNormalized = city ? normalizeText(city) : null;
+
+  for (const [lucid, producer] of dataMap) {
+    if (lucids && !lucids.has(lucid)) continue;
+    if (prefix && !normalizePostalCode(producer.postal_code).startsWith(prefix)) continue;
+    if (cityNormalized && normalizeText(producer.city) !== cityNormalized) continue;
+    yield producer;
+  }
+}
+
+/**
+ * Zellwert für CSV/XLSX: Listen kommasepariert, Objekte (extra) als JSON
+ */
+function cellValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * CSV-Feld quoten - Werte mit =, +, -, @, Tab oder CR am Anfang werden entschärft (Formel-Injection in Excel)
+ */
+function csvField(value, delimiter) {
+  let text = cellValue(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function* csvChunks(records, fields, { delimiter, excel }) {
+  const newline = excel ? '\r\n' : '\n';
+  // BOM damit Excel die Datei als UTF-8 erkennt
+  let chunk = (excel ? '\uFEFF' : '') + fields.join(delimiter) + newline;
+  let rows = 0;
+
+  for (const record of records) {
+    chunk += fields.map(field => csvField(record[field], delimiter)).join(delimiter) + newline;
+    if (++rows % CHUNK_ROWS === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  if (chunk) yield chunk;
+}
+
+function* ndjsonChunks(records, fields) {
+  let chunk = '';
+  let rows = 0;
+
+  for (const record of records) {
+    chunk += JSON.stringify(Object.fromEntries(fields.map(field => [field, record[field] ?? null]))) + '\n';
+    if (++rows % CHUNK_ROWS === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  if (chunk) yield chunk;
+}
+
+function xmlEscape(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // In XML nicht erlaubte Steuerzeichen entfernen
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function xlsxRow(values) {
+  const cells = values.map(value => `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(cellValue(value))}</t></is></c>`);
+  return `<row>${cells.join('')}</row>`;
+}
+
+function* sheetChunks(records, fields) {
+  let chunk = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>' + xlsxRow(fields);
+  let rows = 0;
+
+  for (const record of records) {
+    chunk += xlsxRow(fields.map(field => record[field]));
+    if (++rows % CHUNK_ROWS === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  yield chunk + '</sheetData></worksheet>';
+}
+
+// Feste Bestandteile einer minimalen XLSX-Datei (ein Tabellenblatt, Inline-Strings)
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets><sheet name="LUCID" sheetId="1" r:id="rId1"/></sheets>' +
+    '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>'
+};
+
+function xlsxStream(records, fields) {
+  const zip = new yazl.ZipFile();
+  for (const [name, content] of Object.entries(XLSX_PARTS)) {
+    zip.addBuffer(Buffer.from(content, 'utf-8'), name);
+  }
+  zip.addReadStream(Readable.from(sheetChunks(records, fields)), 'xl/worksheets/sheet1.xml');
+  zip.end();
+  return zip.outputStream;
+}
+
+/**
+ * Export-Stream erzeugen
+ * options: { format, fields, filter, delimiter, excel }
+ * Der Generator läuft erst, wenn der Stream gelesen wird (Backpressure über pipe)
+ */
+export function createExportStream(dataMap, { format, fields, filter = {}, delimiter = ',', excel = false }) {
+  const records = matchingRecords(dataMap, filter);
+
+  if (format === 'xlsx') return xlsxStream(records, fields);
+  if (format === 'ndjson') return Readable.from(ndjsonChunks(records, fields));
+  return Readable.from(csvChunks(records, fields, { delimiter, excel }));
+}
@@ -0,0 +1,245 @@
+/**
+ * Deklaratives Mapping vom Register-XML auf Produzenten-Datensätze
+ *
+ * {
+ *   "recordElements": ["Producer", "producer"],        // Elemente die einen Datensatz bilden
+ *   "keepUnmapped": true,                               // nicht gemappte Elemente unter "extra" behalten
+ *   "fields": {
+ *     "city": ["City", "Address.City"],                 // Aliase bzw. Pfade - der erste Treffer gewinnt
+ *     "status": ["Status", "Status.$.code"],            // "$" = XML-Attribute des Elements
+ *     "brand_names": { "paths": ["BrandNames.BrandName"], "list": true }
+ *   }
+ * }
+ *
+ * Eigene Mappings (FIELD_MAPPING_FILE / FIELD_MAPPING) werden über das Standard-Mapping gelegt,
+ * ein Feld mit null entfernt den Standard-Eintrag.
+ */
+
+import fs from 'fs';
+import { log } from './logger.js';
+
+export const DEFAULT_MAPPING = {
+  recordElements: ['Producer', 'producer'],
+  keepUnmapped: true,
+  fields: {
+    registration_number: ['RegistrationNumber', 'registrationNumber', 'registration_number', 'RegNr'],
+    company_name: ['ProducerName', 'Name', 'CompanyName', 'name'],
+    vat_number: ['VATNumber', 'UstIdNr', 'vat_number'],
+    tax_number: ['TaxNumber', 'Steuernummer', 'tax_number'],
+    address: ['Address', 'address', 'Address.Street', 'Street'],
+    city: ['City', 'city', 'Address.City'],
+    postal_code: ['PostalCode', 'postal_code', 'Address.PostalCode', 'Address.ZipCode'],
+    registration_date: ['RegistrationDate', 'registrationDate', 'registration_date', 'Registrierungsdatum'],
+    status: ['Status', 'status', 'RegistrationStatus', 'Registrierungsstatus'],
+    brand_names: { paths: ['BrandNames.BrandName', 'Brands.Brand', 'BrandName', 'brand_names'], list: true },
+    packaging_types: { paths: ['PackagingTypes.PackagingType', 'Packagings.Packaging', 'PackagingType', 'packaging_types'], list: true }
+  }
+};
+
+// Pflichtfeld - ohne Registrierungsnummer wird ein Datensatz verworfen
+export const KEY_FIELD = 'registration_number';
+
+/**
+ * Feld-Definition vereinheitlichen: ["A", "B.C"] oder { paths, list }
+ */
+function normalizeFieldSpec(name, spec) {
+  const paths = Array.isArray(spec) ? spec : spec?.paths;
+  if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string' && p)) {
+    throw new Error(`Mapping für Feld "${name}" braucht eine Liste von Pfaden`);
+  }
+
+  return {
+    name,
+    paths: paths.map(p => p.split('.')),
+    list: !Array.isArray(spec) && spec.list === true
+  };
+}
+
+/**
+ * Eigenes Mapping über das Standard-Mapping legen und prüfen
+ */
+export function compileMapping(custom = {}) {
+  const recordElements = custom.recordElements || DEFAULT_MAPPING.recordElements;
+  if (!Array.isArray(recordElements) || recordElements.length === 0) {
+    throw new Error('Mapping: recordElements muss eine nicht-leere Liste sein');
+  }
+
+  const merged = { ...DEFAULT_MAPPING.fields, ...(custom.fields || {}) };
+  const fields = Object.entries(merged)
+    .filter(([, spec]) => spec !== null)
+    .map(([name, spec]) => normalizeFieldSpec(name, spec));
+
+  if (!fields.some(field => field.name === KEY_FIELD)) {
+    throw new Error(`Mapping: Feld "${KEY_FIELD}" darf nicht entfernt werden`);
+  }
+
+  const listElements = new Set();
+  for (const field of fields) {
+    if (field.list) {
+      for (const segments of field.paths) listElements.add(segments[segments.length - 1]);
+    }
+  }
+
+  return {
+    recordElements,
+    keepUnmapped: custom.keepUnmapped ?? DEFAULT_MAPPING.keepUnmapped,
+    fields,
+    // Wiederholte Elemente die xml-stream als Liste sammeln muss
+    listElements: [...listElements],
+    // Elemente die von mindestens einem Pfad gelesen werden
+    mappedElements: new Set(fields.flatMap(field => field.paths.map(segments => segments[0])))
+  };
+}
+
+/**
+ * Mapping aus Datei oder Umgebungsvariable laden
+ * options: { file, json } - die Datei hat Vorrang
+ */
+export function loadFieldMapping({ file = '', json = '' } = {}) {
+  let custom = {};
+  let source = 'default';
+
+  if (file) {
+    custom = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    source = file;
+  } else if (json) {
+    custom = JSON.parse(json);
+    source = 'FIELD_MAPPING';
+  }
+
+  return { ...compileMapping(custom), source };
+}
+
+/**
+ * Textinhalt eines Knotens: String direkt, Element mit Attributen über $text
+ * Verschachtelte Elemente ohne Text liefern undefined
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'string') return node.trim();
+  if (typeof node === 'object' && typeof node.$text === 'string') return node.$text.trim();
+  return undefined;
+}
+
+/**
+ * Wert über einen Pfad lesen - Listen unterwegs werden aufgefächert
+ */
+function resolvePath(node, segments) {
+  let current = [node];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const item of current) {
+      const child = item && typeof item === 'object' ? item[segment] : undefined;
+      if (Array.isArray(child)) next.push(...child);
+      else if (child !== undefined) next.push(child);
+    }
+    current = next;
+    if (current.length === 0) return [];
+  }
+
+  return current.map(textOf).filter(value => value !== undefined && value !== '');
+}
+
+/**
+ * Roh-Wert eines nicht gemappten Elements für "extra" aufbereiten
+ */
+function plainValue(node) {
+  const text = textOf(node);
+  if (text !== undefined) return text;
+  return node;
+}
+
+/**
+ * Datensatz aus einem XML-Element erzeugen
+ * Gibt null zurück wenn keine Registrierungsnummer vorhanden ist
+ */
+export function extractRecord(element, mapping) {
+  const record = {};
+
+  for (const field of mapping.fields) {
+    let value = field.list ? [] : '';
+
+    for (const segments of field.paths) {
+      const values = resolvePath(element, segments);
+      if (values.length === 0) continue;
+      value = field.list ? values : values[0];
+      break;
+    }
+
+    record[field.name] = value;
+  }
+
+  if (!record[KEY_FIELD]) {
+    return null;
+  }
+
+  if (mapping.keepUnmapped) {
+    const extra = {};
+    for (const [name, node] of Object.entries(element)) {
+      if (name === '$' || mapping.mappedElements.has(name)) continue;
+      const value = plainValue(node);
+      if (value !== '') extra[name] = value;
+    }
+    if (Object.keys(extra).length > 0) record.extra = extra;
+  }
+
+  return record;
+}
+
+/**
+ * Stichprobe von XML-Elementen gegen das Mapping prüfen
+ * Liefert { sampled, fields: { name: Treffer }, missingFields, unmappedElements: { name: Anzahl } }
+ */
+export function analyzeMapping(elements, mapping) {
+  const fields = Object.fromEntries(mapping.fields.map(field => [field.name, 0]));
+  const unmappedElements = {};
+
+  for (const element of elements) {
+    for (const field of mapping.fields) {
+      if (field.paths.some(segments => resolvePath(element, segments).length > 0)) {
+        fields[field.name]++;
+      }
+    }
+
+    for (const name of Object.keys(element)) {
+      if (name === '$' || mapping.mappedElements.has(name)) continue;
+      unmappedElements[name] = (unmappedElements[name] || 0) + 1;
+    }
+  }
+
+  return {
+    sampled: elements.length,
+    fields,
+    missingFields: elements.length > 0 ? Object.keys(fields).filter(name => fields[name] === 0) : [],
+    unmappedElements
+  };
+}
+
+/**
+ * Ergebnis der Mapping-Prüfung protokollieren
+ */
+export function logMappingReport(report, label = 'MAPPING') {
+  if (report.sampled === 0) {
+    log.warn(label, 'Keine Datensätze in der Stichprobe gefunden - stimmen die recordElements?');
+    return;
+  }
+
+  log.info(label, `Stichprobe: ${report.sampled} Datensätze`, { sampled: report.sampled });
+
+  if (report.missingFields.includes(KEY_FIELD)) {
+    log.error(label, `Feld "${KEY_FIELD}" in keinem Datensatz gefunden - Mapping prüfen`);
+  }
+
+  const missing = report.missingFields.filter(name => name !== KEY_FIELD);
+  if (missing.length > 0) {
+    log.warn(label, `Nicht im Feed gefunden: ${missing.join(', ')}`, { missingFields: missing });
+  }
+
+  const unmapped = Object.entries(report.unmappedElements);
+  if (unmapped.length > 0) {
+    log.info(label, `Nicht gemappte Elemente: ${unmapped.map(([name, count]) => `${name} (${count}×)`).join(', ')}`, {
+      unmappedElements: report.unmappedElements
+    });
+  }
+}
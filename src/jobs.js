@@ -0,0 +1,169 @@
+/**
+ * Refresh-Jobs: jeder Refresh (Cron, Admin, Test-Load, Start, Import) wird als Job erfasst
+ * Abgeschlossene Jobs werden als NDJSON in CACHE_DIR protokolliert, laufende Jobs melden
+ * ihren Fortschritt an Abonnenten (Server-Sent Events unter /admin/jobs/:id/events)
+ *
+ * Job: { id, trigger, source, status, startedAt, finishedAt, durationMs, phase, attempt,
+ *        bytes, totalBytes, percent, producers, entries, outcome, reason, error }
+ * trigger: cron | admin | test-load | startup | auto | upload
+ * outcome: accepted | rejected | failed | skipped
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { EventEmitter } from 'events';
+import { appendNdjson, readNdjson } from './ndjson.js';
+import { log } from './logger.js';
+
+/**
+ * Job-Verwaltung anlegen
+ * options: { historyFile, keep } - keep = Anzahl aufbewahrter abgeschlossener Jobs
+ */
+export function createJobManager({ historyFile, keep = 200 }) {
+  const events = new EventEmitter();
+  // Viele gleichzeitige SSE-Verbindungen sind erlaubt
+  events.setMaxListeners(0);
+
+  let current = null;
+  let history = [];
+
+  /**
+   * Bisherige Jobs von Disk laden (beim Start, Follower nach jedem neuen Datenbestand)
+   * trim: Datei kürzen - nur die Instanz, die auch Jobs schreibt
+   */
+  async function load({ trim = true } = {}) {
+    const all = await readNdjson(historyFile);
+    history = all.slice(-keep);
+
+    // Datei kürzen wenn sie deutlich mehr als `keep` Jobs enthält
+    if (trim && all.length > keep * 2) {
+      await fs.writeFile(`${historyFile}.tmp`, history.map(job => JSON.stringify(job) + '\n').join(''), 'utf-8');
+      await fs.rename(`${historyFile}.tmp`, historyFile);
+    }
+
+    return history.length;
+  }
+
+  function emit(job, type) {
+    events.emit(job.id, { type, job: { ...job } });
+  }
+
+  function createJob(trigger, source) {
+    return {
+      id: crypto.randomUUID(),
+      trigger,
+      source,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      phase: 'queued',
+      attempt: null,
+      bytes: 0,
+      totalBytes: null,
+      percent: null,
+      producers: 0,
+      entries: null,
+      outcome: null,
+      reason: null,
+      error: null
+    };
+  }
+
+  /**
+   * Neuen Job beginnen - es läuft immer höchstens einer
+   */
+  function start({ trigger, source }) {
+    current = createJob(trigger, source);
+
+    log.info('JOB', `${current.id} gestartet (Auslöser: ${trigger}, Quelle: ${source})`);
+    emit(current, 'started');
+    return current;
+  }
+
+  /**
+   * Fortschritt eines laufenden Jobs aktualisieren
+   */
+  function update(job, fields) {
+    Object.assign(job, fields);
+    if (job.totalBytes) {
+      job.percent = Math.floor(job.bytes / job.totalBytes * 100);
+    }
+    emit(job, 'progress');
+  }
+
+  /**
+   * Job abschließen und in die Historie schreiben
+   * reason: Begründung bei skipped (z.B. Mindestabstand nicht erreicht)
+   */
+  async function finish(job, outcome, { error = null, entries = null, reason = null } = {}) {
+    const finishedAt = Date.now();
+    Object.assign(job, {
+      status: 'finished',
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - Date.parse(job.startedAt),
+      phase: outcome === 'failed' ? 'failed' : 'done',
+      outcome,
+      reason,
+      error: error ? error.message : null,
+      entries
+    });
+
+    if (current === job) current = null;
+    history = [...history, { ...job }].slice(-keep);
+
+    log.info('JOB', `${job.id} beendet: ${outcome}${job.error || reason ? ` (${job.error || reason})` : ''} nach ${Math.round(job.durationMs / 1000)}s`);
+    emit(job, 'finished');
+
+    try {
+      await appendNdjson(historyFile, [job]);
+    } catch (diskError) {
+      log.error('JOB', 'Historie konnte nicht gespeichert werden', { error: diskError });
+    }
+  }
+
+  /**
+   * Übersprungenen Lauf protokollieren - ein laufender Job bleibt unberührt
+   */
+  function skip({ trigger, source, reason }) {
+    return finish(createJob(trigger, source), 'skipped', { reason });
+  }
+
+  /**
+   * Job nach ID - laufend oder aus der Historie
+   */
+  function get(id) {
+    if (current && current.id === id) return current;
+    return history.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Jobs auflisten (neueste zuerst), optional nach Auslöser bzw. Ergebnis gefiltert
+   */
+  function list({ limit = 50, offset = 0, trigger = null, outcome = null } = {}) {
+    const all = [...(current ? [current] : []), ...[...history].reverse()]
+      .filter(job => (!trigger || job.trigger === trigger) && (!outcome || job.outcome === outcome));
+    return { total: all.length, jobs: all.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Ereignisse eines Jobs abonnieren - gibt die Abmelde-Funktion zurück
+   */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  return {
+    load,
+    start,
+    update,
+    finish,
+    skip,
+    get,
+    list,
+    subscribe,
+    current: () => current,
+    last: () => history[history.length - 1] || null
+  };
+}
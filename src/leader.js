@@ -0,0 +1,181 @@
+/**
+ * Leader-Wahl über eine Lock-Datei im gemeinsamen CACHE_DIR (mehrere Instanzen, ein Volume)
+ *
+ * Nur der Leader lädt von der LUCID API und schreibt den Cache. Die Lock-Datei enthält
+ * { instanceId, hostname, pid, acquiredAt, renewedAt, expiresAt } und wird regelmäßig erneuert.
+ * Läuft sie ab (Instanz abgestürzt oder hängt), übernimmt die nächste Instanz.
+ *
+ * Ohne Leader-Wahl (LEADER_ELECTION=false) verhält sich jede Instanz wie bisher (standalone).
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { log } from './logger.js';
+
+function isExpired(lock) {
+  return !(Date.parse(lock?.expiresAt) > Date.now());
+}
+
+/**
+ * Lock-Datei lesen - null wenn keine existiert, {} wenn sie unlesbar ist (gilt als abgelaufen)
+ */
+async function readLock(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    if (error instanceof SyntaxError) return {};
+    throw error;
+  }
+}
+
+/**
+ * Leader-Wahl anlegen
+ * options: { file, instanceId, ttlMs, enabled, onChange(role, previousRole) }
+ */
+export function createLeaderElection({ file, instanceId, ttlMs = 60000, enabled = true, onChange = () => {} }) {
+  let role = enabled ? 'follower' : 'standalone';
+  let since = new Date().toISOString();
+  // Zuletzt gesehener Inhalt der Lock-Datei (eigener oder fremder Leader)
+  let lock = null;
+  let timer = null;
+
+  function setRole(next) {
+    if (next === role) return;
+    const previous = role;
+    role = next;
+    since = new Date().toISOString();
+    onChange(next, previous);
+  }
+
+  function lockContent(acquiredAt) {
+    const now = Date.now();
+    return {
+      instanceId,
+      hostname: os.hostname(),
+      pid: process.pid,
+      acquiredAt: acquiredAt || new Date(now).toISOString(),
+      renewedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+  }
+
+  /**
+   * Lock-Datei ersetzen (temporäre Datei, dann atomar umbenennen)
+   */
+  async function replaceLock(content) {
+    await fs.writeFile(`${file}.${instanceId}.tmp`, JSON.stringify(content), 'utf-8');
+    await fs.rename(`${file}.${instanceId}.tmp`, file);
+    lock = content;
+  }
+
+  /**
+   * Lock-Datei neu anlegen - schlägt fehl wenn sie schon existiert (O_EXCL)
+   */
+  async function createLock() {
+    const content = lockContent();
+    try {
+      await fs.writeFile(file, JSON.stringify(content), { encoding: 'utf-8', flag: 'wx' });
+      lock = content;
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Ein Durchgang: eigenen Lock erneuern, freien oder abgelaufenen Lock übernehmen
+   */
+  async function tick() {
+    if (!enabled) return role;
+
+    try {
+      const current = await readLock(file);
+
+      if (current?.instanceId === instanceId) {
+        await replaceLock(lockContent(current.acquiredAt));
+        setRole('leader');
+      } else if (!current) {
+        setRole(await createLock() ? 'leader' : 'follower');
+      } else if (isExpired(current)) {
+        log.info('LEADER', `Lock von ${current.instanceId || 'unbekannt'} abgelaufen - übernehme`);
+        await replaceLock(lockContent());
+        // Zwei Instanzen können gleichzeitig übernehmen - die letzte Umbenennung gewinnt
+        const confirmed = await readLock(file);
+        lock = confirmed;
+        setRole(confirmed?.instanceId === instanceId ? 'leader' : 'follower');
+      } else {
+        lock = current;
+        setRole('follower');
+      }
+    } catch (error) {
+      log.error('LEADER', 'Lock-Datei nicht erreichbar', { error });
+      // Ohne Erneuerung ist der eigene Lock nach Ablauf nicht mehr gültig
+      if (role === 'leader' && isExpired(lock)) {
+        setRole('follower');
+      }
+    }
+
+    return role;
+  }
+
+  /**
+   * Erste Wahl durchführen und danach regelmäßig erneuern (alle ttl/3)
+   */
+  async function start() {
+    await tick();
+    if (enabled) {
+      timer = setInterval(tick, Math.max(Math.floor(ttlMs / 3), 1000));
+      timer.unref();
+    }
+    return role;
+  }
+
+  /**
+   * Lock freigeben (beim Herunterfahren) - ein Follower übernimmt dann ohne die TTL abzuwarten
+   */
+  async function release() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (role !== 'leader') return;
+
+    try {
+      const current = await readLock(file);
+      if (current?.instanceId === instanceId) await fs.unlink(file);
+      log.info('LEADER', 'Lock freigegeben');
+    } catch (error) {
+      log.error('LEADER', 'Lock konnte nicht freigegeben werden', { error });
+    }
+    setRole('follower');
+  }
+
+  /**
+   * Zustand für /healthz und /api/stats
+   */
+  function status() {
+    return {
+      enabled,
+      instanceId,
+      role,
+      since,
+      leader: lock ? {
+        instanceId: lock.instanceId || null,
+        hostname: lock.hostname || null,
+        acquiredAt: lock.acquiredAt || null,
+        renewedAt: lock.renewedAt || null,
+        expiresAt: lock.expiresAt || null
+      } : null
+    };
+  }
+
+  return {
+    start,
+    tick,
+    release,
+    status,
+    role: () => role,
+    // Standalone-Instanzen dürfen alles, was sonst nur der Leader darf
+    isLeader: () => role !== 'follower'
+  };
+}
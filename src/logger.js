@@ -0,0 +1,142 @@
+/**
+ * Strukturiertes Logging: eine JSON-Zeile pro Eintrag (info/debug auf stdout, warn/error auf stderr)
+ * { time, level, tag, msg, requestId | jobId, ...Felder }
+ *
+ * LOG_LEVEL: debug | info | warn | error (Standard: info)
+ * Tokens, API-Keys und Secrets werden vor der Ausgabe geschwärzt - nach Feldname
+ * (token, secret, apiKey, authorization, ...), als URL-Parameter (?token=...) und als
+ * bekannter Wert (registerSecret). Fehler werden nur mit name, message, code und Status
+ * ausgegeben, nie mit der axios-Konfiguration.
+ *
+ * Die Request-ID (Header X-Request-Id) hängt über AsyncLocalStorage an allen Zeilen,
+ * die während einer Anfrage geschrieben werden - auch in aufgerufenen Modulen.
+ * Hintergrund-Jobs laufen in einem eigenen Kontext (runInJobContext) und tragen stattdessen ihre jobId.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Feldnamen deren Werte nie ins Log gehören
+const SECRET_FIELD = /token|secret|passw|api[-_]?key|authorization|cookie|signature|private/i;
+// Geheimnisse in Texten: URL-Parameter und Authorization-Header
+const SECRET_PATTERNS = [
+  [/([?&](?:token|access_token|api[-_]?key|key|secret)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`]
+];
+// Angenommene Request-IDs (z.B. von Traefik oder dem Hauptsystem)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Tiefe bis zu der Objekte ausgegeben werden
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+let threshold = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+/**
+ * Log-Level setzen (debug, info, warn, error) - unbekannte Werte werden ignoriert
+ */
+export function setLogLevel(level) {
+  const value = LEVELS[String(level).toLowerCase()];
+  if (value !== undefined) threshold = value;
+}
+
+/**
+ * Wert, der nie im Log erscheinen darf (ZSVR-Token, API-Keys, ...)
+ * Sehr kurze Werte werden ignoriert, sonst würde jedes Vorkommen im Text geschwärzt
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 8) secrets.add(value);
+}
+
+function redactString(value) {
+  let text = value;
+  for (const secret of secrets) {
+    if (text.includes(secret)) text = text.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    text = text.replace(pattern, replacement);
+  }
+  return text;
+}
+
+function serializeError(error) {
+  const result = { name: error.name, message: redactString(String(error.message)) };
+  if (error.code) result.code = error.code;
+  const status = error.response?.status ?? error.status;
+  if (status) result.status = status;
+  if (threshold <= LEVELS.debug && error.stack) result.stack = redactString(error.stack);
+  return result;
+}
+
+/**
+ * Werte für die Ausgabe schwärzen (rekursiv, Fehler ohne Konfiguration)
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[…]';
+  if (value instanceof Map || value instanceof Set) return `[${value.constructor.name} (${value.size})]`;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_FIELD.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, tag, msg, fields) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, tag, msg: redactString(String(msg)) };
+  const { requestId, jobId } = context.getStore() || {};
+  if (requestId) entry.requestId = requestId;
+  if (jobId) entry.jobId = jobId;
+  if (fields) Object.assign(entry, redact(fields));
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Logger: log.info('CACHE', 'Von Disk geladen', { entries: 123 })
+ * tag entspricht dem bisherigen [TAG]-Präfix, Felder sind optional
+ */
+export const log = {
+  debug: (tag, msg, fields) => write('debug', tag, msg, fields),
+  info: (tag, msg, fields) => write('info', tag, msg, fields),
+  warn: (tag, msg, fields) => write('warn', tag, msg, fields),
+  error: (tag, msg, fields) => write('error', tag, msg, fields)
+};
+
+/**
+ * Express-Middleware: Request-ID übernehmen (X-Request-Id) oder erzeugen,
+ * im Response-Header zurückgeben und für alle Logzeilen der Anfrage setzen
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  context.run({ requestId }, next);
+}
+
+/**
+ * fn in einem eigenen Kontext für einen Hintergrund-Job ausführen - die Request-ID der Anfrage,
+ * die ihn gestartet hat, gilt dort nicht mehr, alle Zeilen tragen die jobId
+ */
+export function runInJobContext(jobId, fn) {
+  return context.run({ jobId }, fn);
+}
@@ -0,0 +1,122 @@
+/**
+ * Syntax von LUCID-Registrierungsnummern: "DE" gefolgt von 13 Ziffern (z.B. DE1234567890123)
+ *
+ * Eingaben werden vereinheitlicht (Groß-/Kleinschreibung, Leerzeichen, Bindestriche, Punkte),
+ * danach geprüft. Ungültige Eingaben bekommen einen Grund und - wenn sich eine gültige Nummer
+ * ableiten lässt - einen Korrekturvorschlag. Für Nummern die knapp daneben liegen (ein Tippfehler)
+ * liefert suggestSimilar() vorhandene Nummern aus dem Cache.
+ */
+
+export const LUCID_PATTERN = /^DE\d{13}$/;
+
+const COUNTRY = 'DE';
+const DIGITS = 13;
+// Höchstzahl der "Meinten Sie"-Vorschläge
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Eingabe vereinheitlichen: Großschreibung, Trenn- und Leerzeichen entfernen
+ */
+export function normalizeLucid(input) {
+  return String(input ?? '').toUpperCase().replace(/[\s\-–._/]+/g, '');
+}
+
+/**
+ * Naheliegende Korrektur einer ungültigen Nummer (O statt 0, I/L statt 1, fehlendes "DE")
+ * Liefert die korrigierte Nummer oder null
+ */
+function correct(compact) {
+  let rest = compact.startsWith(COUNTRY) ? compact.slice(COUNTRY.length) : compact;
+  rest = rest.replace(/O/g, '0').replace(/[IL]/g, '1');
+  const candidate = COUNTRY + rest;
+  return LUCID_PATTERN.test(candidate) ? candidate : null;
+}
+
+/**
+ * Grund für eine ungültige Nummer: Code plus deutscher Text für API-Antworten
+ */
+function invalidReason(compact) {
+  if (!compact) return { code: 'empty', message: 'LUCID-Nummer ist leer' };
+  if (!compact.startsWith(COUNTRY)) {
+    return { code: 'country_prefix', message: `LUCID-Nummer muss mit "${COUNTRY}" beginnen` };
+  }
+
+  const rest = compact.slice(COUNTRY.length);
+  if (/\D/.test(rest)) return { code: 'non_digits', message: `Nach "${COUNTRY}" sind nur Ziffern erlaubt` };
+  return {
+    code: 'digit_count',
+    message: `Nach "${COUNTRY}" müssen genau ${DIGITS} Ziffern folgen (gefunden: ${rest.length})`
+  };
+}
+
+/**
+ * Eingabe prüfen
+ * Liefert { input, normalized, valid, reason, reasonCode, suggestion }
+ *   normalized - vereinheitlichte Eingabe (Schlüssel für den Cache)
+ *   reasonCode - empty | country_prefix | non_digits | digit_count (für übersetzte Texte in /api/v2)
+ *   suggestion - gültige Nummer die sich aus einer ungültigen Eingabe ableiten lässt
+ */
+export function parseLucid(input) {
+  const normalized = normalizeLucid(input);
+
+  if (LUCID_PATTERN.test(normalized)) {
+    return { input, normalized, valid: true, reason: null, reasonCode: null, suggestion: null };
+  }
+
+  const { code, message } = invalidReason(normalized);
+  return {
+    input,
+    normalized,
+    valid: false,
+    reason: message,
+    reasonCode: code,
+    suggestion: correct(normalized)
+  };
+}
+
+/**
+ * Alle Nummern mit genau einem Tippfehler (Ziffer vertauscht, falsch, zu viel oder zu wenig)
+ */
+function* singleEdits(digits) {
+  for (let i = 0; i < digits.length; i++) {
+    // Ziffer falsch
+    for (let d = 0; d <= 9; d++) {
+      if (String(d) !== digits[i]) yield digits.slice(0, i) + d + digits.slice(i + 1);
+    }
+    // Ziffer zu viel
+    yield digits.slice(0, i) + digits.slice(i + 1);
+    // Nachbarn vertauscht
+    if (i < digits.length - 1 && digits[i] !== digits[i + 1]) {
+      yield digits.slice(0, i) + digits[i + 1] + digits[i] + digits.slice(i + 2);
+    }
+  }
+  // Ziffer fehlt
+  for (let i = 0; i <= digits.length; i++) {
+    for (let d = 0; d <= 9; d++) yield digits.slice(0, i) + d + digits.slice(i);
+  }
+}
+
+/**
+ * "Meinten Sie": vorhandene Nummern im Cache, die einen Tippfehler von der Eingabe entfernt sind
+ * has(lucid) prüft die Existenz (z.B. dataMap.has) - es werden nur Kandidaten nachgeschlagen,
+ * nicht der ganze Cache durchsucht
+ */
+export function suggestSimilar(parsed, has) {
+  const base = parsed.suggestion || parsed.normalized;
+  const digits = base.startsWith(COUNTRY) ? base.slice(COUNTRY.length) : base;
+
+  // Nur Ziffern mit ungefähr passender Länge lohnen die Suche
+  if (!/^\d+$/.test(digits) || Math.abs(digits.length - DIGITS) > 1) return [];
+
+  const matches = new Set();
+  if (parsed.suggestion && has(parsed.suggestion)) matches.add(parsed.suggestion);
+
+  for (const candidate of singleEdits(digits)) {
+    if (candidate.length !== DIGITS) continue;
+    const lucid = COUNTRY + candidate;
+    if (lucid !== parsed.normalized && has(lucid)) matches.add(lucid);
+    if (matches.size >= MAX_SUGGESTIONS) break;
+  }
+
+  return [...matches];
+}
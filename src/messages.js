@@ -0,0 +1,234 @@
+/**
+ * Texte der /api/v2 in Deutsch und Englisch
+ *
+ * Fehler und Gründe haben einen festen Code (Vertrag mit den Aufrufern), der Text wird
+ * über Accept-Language gewählt und darf sich ändern. Ohne passende Sprache: Deutsch.
+ */
+
+export const LANGUAGES = ['de', 'en'];
+const DEFAULT_LANGUAGE = 'de';
+
+// Feldnamen für Texte (Prüfung der Verkäufer-Angaben, Validierungsfehler)
+const FIELD_LABELS = {
+  de: {
+    lucid: 'LUCID-Nummer',
+    vat_number: 'USt-IdNr',
+    tax_number: 'Steuernummer',
+    company_name: 'Firmenname',
+    address: 'Anschrift',
+    postal_code: 'PLZ',
+    city: 'Ort'
+  },
+  en: {
+    lucid: 'LUCID number',
+    vat_number: 'VAT ID',
+    tax_number: 'tax number',
+    company_name: 'company name',
+    address: 'address',
+    postal_code: 'postal code',
+    city: 'city'
+  }
+};
+
+const MESSAGES = {
+  // Fehler (error.code)
+  no_api_keys: {
+    de: () => 'Keine API-Keys konfiguriert',
+    en: () => 'No API keys configured'
+  },
+  invalid_api_key: {
+    de: () => 'API-Key fehlt oder ist ungültig',
+    en: () => 'API key missing or invalid'
+  },
+  missing_scope: {
+    de: p => `Dem API-Key fehlt der Scope "${p.scope}"`,
+    en: p => `API key lacks scope "${p.scope}"`
+  },
+  rate_limited: {
+    de: p => `Rate Limit erreicht (${p.limit} Anfragen pro Minute)`,
+    en: p => `Rate limit exceeded (${p.limit} requests per minute)`
+  },
+  validation_failed: {
+    de: () => 'Anfrage ist ungültig',
+    en: () => 'Request is invalid'
+  },
+  invalid_json: {
+    de: () => 'Request-Body ist kein gültiges JSON',
+    en: () => 'Request body is not valid JSON'
+  },
+  payload_too_large: {
+    de: () => 'Request-Body ist zu groß',
+    en: () => 'Request body is too large'
+  },
+  cache_loading: {
+    de: () => 'Register wird gerade geladen, bitte später versuchen',
+    en: () => 'Register is being loaded, please retry later'
+  },
+  cache_unavailable: {
+    de: () => 'Register nicht verfügbar, bitte später versuchen',
+    en: () => 'Register unavailable, please retry later'
+  },
+  receipt_not_found: {
+    de: () => 'Prüfung nicht gefunden',
+    en: () => 'Check not found'
+  },
+  changelog_unavailable: {
+    de: () => 'Änderungsprotokoll nicht lesbar',
+    en: () => 'Change log could not be read'
+  },
+  not_found: {
+    de: () => 'Endpunkt nicht gefunden',
+    en: () => 'Endpoint not found'
+  },
+  internal_error: {
+    de: () => 'Interner Fehler',
+    en: () => 'Internal error'
+  },
+
+  // Gründe für ungültige LUCID-Nummern (parseLucid reasonCode)
+  'lucid.empty': {
+    de: () => 'LUCID-Nummer ist leer',
+    en: () => 'LUCID number is empty'
+  },
+  'lucid.country_prefix': {
+    de: () => 'LUCID-Nummer muss mit "DE" beginnen',
+    en: () => 'LUCID number must start with "DE"'
+  },
+  'lucid.non_digits': {
+    de: () => 'Nach "DE" sind nur Ziffern erlaubt',
+    en: () => 'Only digits are allowed after "DE"'
+  },
+  'lucid.digit_count': {
+    de: p => `Nach "DE" müssen genau 13 Ziffern folgen (gefunden: ${p.found})`,
+    en: p => `Exactly 13 digits must follow "DE" (found: ${p.found})`
+  },
+  'lucid.not_registered': {
+    de: () => 'LUCID-Nummer ist nicht im Register',
+    en: () => 'LUCID number is not in the register'
+  },
+
+  // Gründe der Verkäufer-Prüfung (verifyProducer reasons[].code)
+  'verify.mismatch': {
+    de: p => `${p.label} passt nicht zum Register-Eintrag`,
+    en: p => `${capitalize(p.label)} does not match the register entry`
+  },
+  'verify.fuzzy': {
+    de: p => `${p.label} nur ähnlich (Score ${p.score})`,
+    en: p => `${capitalize(p.label)} only similar (score ${p.score})`
+  },
+  'verify.not_in_register': {
+    de: p => `${p.label} ist im Register nicht hinterlegt`,
+    en: p => `${capitalize(p.label)} is not recorded in the register`
+  },
+  'verify.legal_form_mismatch': {
+    de: p => `Rechtsform weicht ab (angegeben: ${p.legalForm.provided}, Register: ${p.legalForm.registered})`,
+    en: p => `Legal form differs (provided: ${p.legalForm.provided}, register: ${p.legalForm.registered})`
+  },
+  'verify.insufficient': {
+    de: () => 'Keine Kennnummer (USt-IdNr, Steuernummer) bzw. Firmenname mit Anschrift bestätigt',
+    en: () => 'Neither an identifier (VAT ID, tax number) nor company name with address confirmed'
+  },
+
+  // Gründe fehlender Bereitschaft (/api/v2/health)
+  'health.shutdown': {
+    de: () => 'Service wird beendet',
+    en: () => 'Service is shutting down'
+  },
+  'health.cache_empty': {
+    de: () => 'Register ist leer',
+    en: () => 'Register is empty'
+  },
+  'health.cache_age': {
+    de: p => `Register ist älter als erlaubt (${p.maxAgeSeconds} Sekunden)`,
+    en: p => `Register is older than allowed (${p.maxAgeSeconds} seconds)`
+  },
+  'health.refresh_rejected': {
+    de: () => 'Letzter Refresh wurde abgelehnt',
+    en: () => 'Last refresh was rejected'
+  },
+
+  // Validierungsfehler einzelner Felder (Ajv keyword)
+  'validation.required': {
+    de: p => `Pflichtfeld "${p.missingProperty}" fehlt`,
+    en: p => `Required field "${p.missingProperty}" is missing`
+  },
+  'validation.type': {
+    de: p => `Erwartet: ${p.type}`,
+    en: p => `Expected: ${p.type}`
+  },
+  'validation.minLength': {
+    de: () => 'Darf nicht leer sein',
+    en: () => 'Must not be empty'
+  },
+  'validation.pattern': {
+    de: () => 'Darf nicht leer sein',
+    en: () => 'Must not be empty'
+  },
+  'validation.maxLength': {
+    de: p => `Höchstens ${p.limit} Zeichen`,
+    en: p => `At most ${p.limit} characters`
+  },
+  'validation.minimum': {
+    de: p => `Mindestens ${p.limit}`,
+    en: p => `At least ${p.limit}`
+  },
+  'validation.maximum': {
+    de: p => `Höchstens ${p.limit}`,
+    en: p => `At most ${p.limit}`
+  },
+  'validation.minItems': {
+    de: p => `Mindestens ${p.limit} ${p.limit === 1 ? 'Eintrag' : 'Einträge'}`,
+    en: p => `At least ${p.limit} ${p.limit === 1 ? 'item' : 'items'}`
+  },
+  'validation.maxItems': {
+    de: p => `Höchstens ${p.limit} Einträge`,
+    en: p => `At most ${p.limit} items`
+  },
+  'validation.enum': {
+    de: p => `Erlaubt: ${p.allowedValues.join(', ')}`,
+    en: p => `Allowed: ${p.allowedValues.join(', ')}`
+  },
+  'validation.format': {
+    de: p => p.format === 'date-time' ? 'ISO-Zeitpunkt erwartet (z.B. 2024-09-20T00:00:00Z)' : `Format ${p.format} erwartet`,
+    en: p => p.format === 'date-time' ? 'ISO timestamp expected (e.g. 2024-09-20T00:00:00Z)' : `Expected format ${p.format}`
+  },
+  'validation.additionalProperties': {
+    de: p => `Unbekanntes Feld "${p.additionalProperty}"`,
+    en: p => `Unknown field "${p.additionalProperty}"`
+  },
+  'validation.anyOf': {
+    de: p => `Mindestens eines der Felder fehlt (${p.fields.join(', ')})`,
+    en: p => `At least one of these fields is required (${p.fields.join(', ')})`
+  }
+};
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Sprache der Anfrage (Accept-Language, mit q-Werten) - Deutsch wenn nichts passt
+ */
+export function negotiateLanguage(req) {
+  return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Text zu einem Code - unbekannte Codes liefern den Code selbst
+ */
+export function message(code, language, params = {}) {
+  const entry = MESSAGES[code];
+  if (!entry) return code;
+  return (entry[language] || entry[DEFAULT_LANGUAGE])(params);
+}
+
+export function hasMessage(code) {
+  return code in MESSAGES;
+}
+
+/**
+ * Bezeichnung eines Feldes in der Sprache der Anfrage
+ */
+export function fieldLabel(field, language) {
+  return FIELD_LABELS[language]?.[field] || FIELD_LABELS[DEFAULT_LANGUAGE][field] || field;
+}
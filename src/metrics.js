@@ -0,0 +1,151 @@
+/**
+ * Prometheus-Metriken für GET /metrics
+ * Lookups, Latenz pro Route, Cache-Zustand, Refresh-Läufe und Prozess-Speicher
+ */
+
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+// Standard-Metriken von Node.js (u.a. nodejs_heap_size_used_bytes, process_resident_memory_bytes)
+client.collectDefaultMetrics({ register: registry });
+
+const lookups = new client.Counter({
+  name: 'lucid_lookups_total',
+  help: 'LUCID-Abfragen nach Ergebnis (registered, not_found, invalid_format, invalid, unauthorized, rate_limited, unavailable)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const requestDuration = new client.Histogram({
+  name: 'lucid_http_request_duration_seconds',
+  help: 'Dauer der HTTP-Anfragen pro Route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const refreshDuration = new client.Histogram({
+  name: 'lucid_refresh_duration_seconds',
+  help: 'Dauer eines Refresh-Laufs (Download bzw. Import, Parsen, Prüfung, Speichern)',
+  labelNames: ['source'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [registry]
+});
+
+const refreshes = new client.Counter({
+  name: 'lucid_refreshes_total',
+  help: 'Refresh-Läufe nach Ergebnis (accepted, rejected, failed)',
+  labelNames: ['source', 'result'],
+  registers: [registry]
+});
+
+const lastRefreshSuccess = new client.Gauge({
+  name: 'lucid_refresh_last_success_timestamp_seconds',
+  help: 'Zeitpunkt des letzten erfolgreichen Refresh (Unix-Zeit)',
+  registers: [registry]
+});
+
+const producersParsed = new client.Gauge({
+  name: 'lucid_refresh_producers_parsed',
+  help: 'Anzahl gelesener Produzenten-Elemente im letzten Refresh-Lauf',
+  labelNames: ['source'],
+  registers: [registry]
+});
+
+/**
+ * Cache-Metriken werden beim Abruf aus dem aktuellen Zustand gelesen
+ * getCache() liefert { entries, lastUpdate, memoryBytes }
+ */
+export function registerCacheMetrics(getCache) {
+  new client.Gauge({
+    name: 'lucid_cache_entries',
+    help: 'Anzahl LUCID-Nummern im Cache',
+    registers: [registry],
+    collect() {
+      this.set(getCache().entries);
+    }
+  });
+
+  new client.Gauge({
+    name: 'lucid_cache_memory_bytes',
+    help: 'Gemessener Speicherbedarf des Datenbestands im Cache',
+    registers: [registry],
+    collect() {
+      this.set(getCache().memoryBytes);
+    }
+  });
+
+  new client.Gauge({
+    name: 'lucid_cache_age_seconds',
+    help: 'Alter des Register-Stands im Cache (-1 wenn noch kein Cache geladen ist)',
+    registers: [registry],
+    collect() {
+      const { lastUpdate } = getCache();
+      this.set(lastUpdate ? (Date.now() - lastUpdate) / 1000 : -1);
+    }
+  });
+
+  new client.Gauge({
+    name: 'lucid_cache_last_update_timestamp_seconds',
+    help: 'Stand des Registers im Cache (Unix-Zeit, 0 wenn noch kein Cache geladen ist)',
+    registers: [registry],
+    collect() {
+      const { lastUpdate } = getCache();
+      this.set(lastUpdate ? lastUpdate / 1000 : 0);
+    }
+  });
+}
+
+/**
+ * Rolle der Instanz bei mehreren Replikas (1 = Leader bzw. standalone, 0 = Follower)
+ * getRole() liefert leader | follower | standalone
+ */
+export function registerInstanceMetrics(getRole) {
+  new client.Gauge({
+    name: 'lucid_instance_leader',
+    help: 'Instanz lädt selbst von der LUCID API (1 = Leader/standalone, 0 = Follower)',
+    registers: [registry],
+    collect() {
+      this.set(getRole() === 'follower' ? 0 : 1);
+    }
+  });
+}
+
+/**
+ * Ergebnis einer Abfrage zählen
+ */
+export function countLookup(result, count = 1) {
+  if (count > 0) lookups.inc({ result }, count);
+}
+
+/**
+ * Refresh-Lauf erfassen
+ * run: { source, result: 'accepted'|'rejected'|'failed', durationMs, producers }
+ */
+export function observeRefresh({ source, result, durationMs, producers }) {
+  refreshes.inc({ source, result });
+  refreshDuration.observe({ source }, durationMs / 1000);
+
+  if (producers !== undefined) {
+    producersParsed.set({ source }, producers);
+  }
+  if (result === 'accepted') {
+    lastRefreshSuccess.set(Date.now() / 1000);
+  }
+}
+
+/**
+ * Express-Middleware: Latenz pro Route messen
+ * Als Label dient das Routen-Muster (z.B. /api/lucid/history/:lucid), nicht der konkrete Pfad
+ */
+export function requestMetrics(req, res, next) {
+  const end = requestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    end({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
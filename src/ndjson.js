@@ -0,0 +1,46 @@
+/**
+ * Hilfsfunktionen für NDJSON-Dateien (eine JSON-Zeile pro Eintrag)
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+
+/**
+ * Einträge anhängen
+ */
+export async function appendNdjson(file, records) {
+  if (records.length === 0) return;
+  await fs.appendFile(file, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf-8');
+}
+
+/**
+ * Datei zeilenweise lesen (ohne die ganze Datei in den Speicher zu laden)
+ * filter(record) entscheidet welche Einträge zurückgegeben werden
+ */
+export async function readNdjson(file, filter = () => true) {
+  const records = [];
+
+  try {
+    await fs.access(file);
+  } catch (error) {
+    return records;
+  }
+
+  const lines = readline.createInterface({
+    input: createReadStream(file, { encoding: 'utf-8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line) continue;
+    try {
+      const record = JSON.parse(line);
+      if (filter(record)) records.push(record);
+    } catch (error) {
+      // Defekte Zeile (z.B. abgebrochener Schreibvorgang) überspringen
+    }
+  }
+
+  return records;
+}
@@ -0,0 +1,214 @@
+/**
+ * Normalisierung von Produzenten-Feldern
+ * Gemeinsame Basis für Suche und Abgleich von Firmendaten
+ */
+
+// Rechtsformen die beim Namensvergleich ignoriert werden
+const LEGAL_FORM_PHRASES = [
+  /\bgmbh\s*(?:&|\+|und)\s*co\.?\s*kgaa\b/g,
+  /\bgmbh\s*(?:&|\+|und)\s*co\.?\s*(?:ohg|kg)\b/g,
+  /\bag\s*(?:&|\+|und)\s*co\.?\s*(?:ohg|kg)\b/g,
+  /\bgesellschaft mit beschraenkter haftung\b/g,
+  /\baktiengesellschaft\b/g,
+  /\bkommanditgesellschaft\b/g,
+  /\beingetragene[rs]? (?:kaufmann|kauffrau|verein)\b/g,
+  /\(haftungsbeschraenkt\)/g,
+  /\bsp\.?\s*z\s*o\.?\s*o\.?/g
+];
+
+const LEGAL_FORM_TOKENS = new Set([
+  'gmbh', 'mbh', 'ggmbh', 'ag', 'ug', 'kg', 'kgaa', 'ohg', 'gbr', 'ek', 'ekfm', 'ekfr', 'ev',
+  'se', 'partg', 'partgmbb', 'haftungsbeschraenkt', 'ltd', 'limited', 'inc', 'llc', 'plc',
+  'bv', 'nv', 'sarl', 'sas', 'sa', 'srl', 'spa', 'sro', 'oy', 'ab', 'as', 'aps'
+]);
+
+// Rechtsformen für den Abgleich von Verkäufer-Angaben: Schreibweisen und Langformen → einheitliche Bezeichnung
+// (nur eindeutige Kürzel - "Spa" oder "AS" können auch Teil des Namens sein)
+const LEGAL_FORMS = [
+  [/\bgmbh\s*(?:&|\+|und|u\.)\s*co\.?\s*kgaa\b/g, 'GmbH & Co. KGaA'],
+  [/\bgmbh\s*(?:&|\+|und|u\.)\s*co\.?\s*kg\b/g, 'GmbH & Co. KG'],
+  [/\bgmbh\s*(?:&|\+|und|u\.)\s*co\.?\s*ohg\b/g, 'GmbH & Co. OHG'],
+  [/\bug\s*(?:\(haftungsbeschraenkt\)\s*)?(?:&|\+|und|u\.)\s*co\.?\s*kg\b/g, 'UG & Co. KG'],
+  [/\bag\s*(?:&|\+|und|u\.)\s*co\.?\s*kg\b/g, 'AG & Co. KG'],
+  [/\bag\s*(?:&|\+|und|u\.)\s*co\.?\s*ohg\b/g, 'AG & Co. OHG'],
+  [/\bgesellschaft mit beschraenkter haftung\b|\bg?mbh\b/g, 'GmbH'],
+  [/\bggmbh\b/g, 'gGmbH'],
+  [/\bug\b(?:\s*\(haftungsbeschraenkt\))?|\(haftungsbeschraenkt\)/g, 'UG (haftungsbeschränkt)'],
+  [/\bkommanditgesellschaft auf aktien\b|\bkgaa\b/g, 'KGaA'],
+  [/\baktiengesellschaft\b|\bag\b/g, 'AG'],
+  [/\bkommanditgesellschaft\b|\bkg\b/g, 'KG'],
+  [/\boffene handelsgesellschaft\b|\bohg\b/g, 'OHG'],
+  [/\bgesellschaft buergerlichen rechts\b|\bgbr\b/g, 'GbR'],
+  [/\beingetragene[rs]? (?:kaufmann|kauffrau)\b|\be\.\s*(?:k|kfm|kfr)\.|\be(?:k|kfm|kfr)\b/g, 'e.K.'],
+  [/\beingetragener verein\b|\be\.\s*v\.|\bev\b/g, 'e.V.'],
+  [/\bpartg\s*mbb\b|\bpartgmbb\b/g, 'PartG mbB'],
+  [/\bpartg\b/g, 'PartG'],
+  [/\bse\b/g, 'SE'],
+  [/\b(?:ltd|limited)\b/g, 'Ltd'],
+  [/\binc\b/g, 'Inc'],
+  [/\bllc\b/g, 'LLC'],
+  [/\bplc\b/g, 'PLC'],
+  [/\bb\.?\s*v\b/g, 'B.V.'],
+  [/\bsarl\b|\bs\.\s*a\s*r\.?\s*l\b/g, 'S.à r.l.'],
+  [/\bs\.?\s*r\.?\s*l\b/g, 'S.r.l.'],
+  [/\bs\.?\s*r\.?\s*o\b/g, 's.r.o.'],
+  [/\baps\b/g, 'ApS'],
+  [/\bsp\.?\s*z\s*o\.?\s*o\b/g, 'Sp. z o.o.']
+];
+
+/**
+ * Umlaute und Sonderzeichen transliterieren (ä → ae, ß → ss, é → e)
+ */
+export function transliterate(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Firmennamen vergleichbar machen: Kleinschreibung, Umlaute,
+ * Rechtsformen (GmbH, AG, ...) und Satzzeichen entfernen
+ */
+export function normalizeCompanyName(name) {
+  let value = transliterate(name);
+
+  for (const phrase of LEGAL_FORM_PHRASES) {
+    value = value.replace(phrase, ' ');
+  }
+
+  const tokens = value
+    .replace(/\./g, '')
+    .replace(/&/g, ' und ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  const withoutLegalForms = tokens.filter(token => !LEGAL_FORM_TOKENS.has(token));
+
+  // Name besteht nur aus Rechtsform? Dann lieber nichts wegwerfen
+  return (withoutLegalForms.length > 0 ? withoutLegalForms : tokens).join(' ');
+}
+
+/**
+ * Rechtsform eines Firmennamens in einheitlicher Schreibweise (z.B. "Aktiengesellschaft" → "AG")
+ * Maßgeblich ist die letzte im Namen ("Bau AG Holding GmbH" → GmbH), null wenn keine erkannt wird
+ */
+export function extractLegalForm(name) {
+  const value = transliterate(name);
+  let found = null;
+
+  for (const [pattern, legalForm] of LEGAL_FORMS) {
+    for (const match of value.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      // Gleiches Ende: die längere Form gewinnt ("GmbH & Co. KG" statt "KG")
+      if (!found || end > found.end || (end === found.end && match.index < found.start)) {
+        found = { start: match.index, end, legalForm };
+      }
+    }
+  }
+
+  return found?.legalForm || null;
+}
+
+/**
+ * Firmennamen in Suchwörter zerlegen
+ */
+export function tokenizeCompanyName(name) {
+  const normalized = normalizeCompanyName(name);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * USt-IdNr normalisieren: Leerzeichen/Punkte entfernen, Großschreibung,
+ * fehlendes "DE" bei 9-stelligen deutschen Nummern ergänzen
+ */
+export function normalizeVatNumber(vat) {
+  const value = String(vat || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (/^\d{9}$/.test(value)) {
+    return 'DE' + value;
+  }
+  return value;
+}
+
+/**
+ * Steuernummer normalisieren: nur Ziffern vergleichen (123/456/78910 = 12345678910)
+ */
+export function normalizeTaxNumber(taxNumber) {
+  return String(taxNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * Ortsnamen und Adressen vergleichbar machen
+ */
+export function normalizeText(value) {
+  return transliterate(value)
+    // "Str." auch als Endung ("Hauptstr. 1" = "Hauptstraße 1")
+    .replace(/str\.?(?=\s|\d|$)/g, 'strasse')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Postleitzahl normalisieren (nur Ziffern/Buchstaben)
+ */
+export function normalizePostalCode(postalCode) {
+  return String(postalCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Levenshtein-Distanz mit Abbruch sobald maxDistance überschritten ist
+ */
+export function levenshtein(a, b, maxDistance = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = current[0];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Ähnlichkeit zweier Zeichenketten zwischen 0 und 1 (auf Basis Levenshtein)
+ */
+export function similarity(a, b) {
+  if (!a && !b) return 1;
+  if (!a || !b) return 0;
+  const longest = Math.max(a.length, b.length);
+  return 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Trigramme eines Wortes (mit Randmarkierung) für unscharfe Suche
+ */
+export function trigrams(token) {
+  const padded = ` ${token} `;
+  if (padded.length <= 3) return [padded];
+
+  const result = new Set();
+  for (let i = 0; i <= padded.length - 3; i++) {
+    result.add(padded.substring(i, i + 3));
+  }
+  return Array.from(result);
+}
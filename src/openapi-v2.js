@@ -0,0 +1,426 @@
+/**
+ * OpenAPI-3.1-Dokument der /api/v2
+ *
+ * Das Dokument ist zugleich die Quelle der Request-Validierung: api-v2.js legt die Routen
+ * anhand von paths an und prüft Query-, Pfad-Parameter und Body gegen die Schemas hier.
+ * Eigene Erweiterungen:
+ *   x-scope        - benötigter Scope des API-Keys (fehlt = öffentlich)
+ *   x-require-one-of - mindestens einer dieser Query-Parameter muss gesetzt sein
+ */
+
+import { VERIFY_FIELDS } from './verify.js';
+
+const nonEmptyString = { type: 'string', minLength: 1, pattern: '\\S' };
+const nullableString = { type: ['string', 'null'] };
+const timestamp = { type: 'string', format: 'date-time' };
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function queryParameter(name, schema, description, required = false) {
+  return { name, in: 'query', required, description, schema };
+}
+
+function pathParameter(name, schema, description) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+// Fehlerantworten, die jeder geschützte Endpunkt liefern kann
+const PROTECTED_ERRORS = {
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  429: { $ref: '#/components/responses/RateLimited' }
+};
+
+function ok(description, schema, extra = {}) {
+  return {
+    200: { description, content: jsonContent(schema) },
+    ...extra
+  };
+}
+
+/**
+ * Dokument erzeugen - Grenzen (Batch-Größe, Seitengröße) kommen aus der Konfiguration
+ */
+export function buildOpenApiDocument({ version = '2.0.0', batchMaxSize = 5000, searchMaxLimit = 100 } = {}) {
+  const badRequest = { 400: { $ref: '#/components/responses/BadRequest' } };
+  const unavailable = { 503: { $ref: '#/components/responses/Unavailable' } };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'LUCID Lookup Service',
+      version,
+      description: [
+        'Prüfung von LUCID-Registrierungsnummern gegen das Verpackungsregister (ZSVR).',
+        '',
+        'Alle Zeitpunkte sind ISO 8601 (UTC), alle Dauern in Sekunden. Fehler haben immer die Form',
+        '`{ ok: false, error: { code, message, details?, requestId } }` - `code` ist stabil,',
+        '`message` folgt `Accept-Language` (de, en; Standard de).'
+      ].join('\n')
+    },
+    servers: [{ url: '/api/v2' }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: {
+      '/openapi.json': {
+        get: {
+          operationId: 'getOpenApi',
+          summary: 'Dieses Dokument',
+          security: [],
+          responses: ok('OpenAPI-Dokument', { type: 'object' })
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'getHealth',
+          summary: 'Zustand der Instanz und des Datenbestands',
+          security: [],
+          responses: ok('Zustand', ref('Health'))
+        }
+      },
+      '/lucid/validate': {
+        get: {
+          operationId: 'validateLucid',
+          summary: 'Eine LUCID-Nummer prüfen',
+          'x-scope': 'lookup',
+          parameters: [
+            queryParameter('lucid', nonEmptyString, 'LUCID-Nummer (Leer- und Trennzeichen erlaubt)', true)
+          ],
+          responses: ok('Ergebnis', ref('LookupResult'), { ...badRequest, ...PROTECTED_ERRORS, ...unavailable })
+        }
+      },
+      '/lucid/validate-batch': {
+        post: {
+          operationId: 'validateLucidBatch',
+          summary: 'Viele LUCID-Nummern in einem Aufruf prüfen',
+          'x-scope': 'lookup',
+          requestBody: {
+            required: true,
+            content: jsonContent({
+              type: 'object',
+              required: ['lucids'],
+              additionalProperties: false,
+              properties: {
+                lucids: { type: 'array', minItems: 1, maxItems: batchMaxSize, items: nonEmptyString }
+              }
+            })
+          },
+          responses: ok('Ergebnisse in Reihenfolge der Eingabe', ref('BatchResult'), {
+            ...badRequest, ...PROTECTED_ERRORS, ...unavailable
+          })
+        }
+      },
+      '/lucid/verify': {
+        post: {
+          operationId: 'verifyLucid',
+          summary: 'Gehört die LUCID-Nummer zu diesem Verkäufer?',
+          'x-scope': 'lookup',
+          requestBody: {
+            required: true,
+            content: jsonContent({
+              type: 'object',
+              required: ['lucid'],
+              additionalProperties: false,
+              properties: {
+                lucid: nonEmptyString,
+                ...Object.fromEntries(VERIFY_FIELDS.map(name => [name, { type: 'string' }]))
+              },
+              anyOf: VERIFY_FIELDS.map(name => ({ required: [name], properties: { [name]: nonEmptyString } }))
+            })
+          },
+          responses: ok('Urteil mit Ergebnis pro Feld', ref('VerifyResult'), {
+            ...badRequest, ...PROTECTED_ERRORS, ...unavailable
+          })
+        }
+      },
+      '/lucid/search': {
+        get: {
+          operationId: 'search',
+          summary: 'Produzenten suchen (USt-IdNr, Steuernummer, Firmenname, PLZ)',
+          'x-scope': 'search',
+          'x-require-one-of': ['vat', 'tax', 'name', 'postal_code'],
+          parameters: [
+            queryParameter('vat', nonEmptyString, 'USt-IdNr (exakt)'),
+            queryParameter('tax', nonEmptyString, 'Steuernummer (exakt)'),
+            queryParameter('name', nonEmptyString, 'Firmenname (unscharf)'),
+            queryParameter('postal_code', nonEmptyString, 'PLZ oder PLZ-Präfix'),
+            queryParameter('city', nonEmptyString, 'Ort (nur zusätzlich zu einem anderen Kriterium)'),
+            queryParameter('limit', { type: 'integer', minimum: 1, maximum: searchMaxLimit, default: 20 }, 'Seitengröße'),
+            queryParameter('offset', { type: 'integer', minimum: 0, default: 0 }, 'Überspringen')
+          ],
+          responses: ok('Treffer nach Score sortiert', ref('SearchResult'), {
+            ...badRequest, ...PROTECTED_ERRORS, ...unavailable
+          })
+        }
+      },
+      '/lucid/changes': {
+        get: {
+          operationId: 'listChanges',
+          summary: 'Änderungen im Register seit einem Zeitpunkt',
+          'x-scope': 'lookup',
+          parameters: [
+            queryParameter('since', timestamp, 'Beginn (Standard: vor 24 Stunden)'),
+            queryParameter('until', timestamp, 'Ende'),
+            queryParameter('type', { type: 'string', enum: ['added', 'removed', 'modified'] }, 'Art der Änderung'),
+            queryParameter('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Seitengröße'),
+            queryParameter('offset', { type: 'integer', minimum: 0, default: 0 }, 'Überspringen')
+          ],
+          responses: ok('Änderungen', ref('ChangesResult'), { ...badRequest, ...PROTECTED_ERRORS })
+        }
+      },
+      '/lucid/history/{lucid}': {
+        get: {
+          operationId: 'getHistory',
+          summary: 'Verlauf einer LUCID-Nummer',
+          'x-scope': 'lookup',
+          parameters: [pathParameter('lucid', nonEmptyString, 'LUCID-Nummer')],
+          responses: ok('Verlauf', ref('HistoryResult'), { ...badRequest, ...PROTECTED_ERRORS })
+        }
+      },
+      '/lucid/receipts/{auditId}': {
+        get: {
+          operationId: 'getReceipt',
+          summary: 'Signierte Quittung einer Prüfung (öffentlicher Schlüssel: /api/lucid/receipts/public-key)',
+          'x-scope': 'lookup',
+          parameters: [pathParameter('auditId', { type: 'string', format: 'uuid' }, 'Audit-ID aus der Prüfung')],
+          responses: ok('Quittung', ref('Receipt'), {
+            ...badRequest,
+            ...PROTECTED_ERRORS,
+            404: { $ref: '#/components/responses/NotFound' }
+          })
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      responses: {
+        BadRequest: { description: 'Anfrage ungültig (validation_failed, invalid_json)', content: jsonContent(ref('Error')) },
+        Unauthorized: { description: 'API-Key fehlt oder ungültig (invalid_api_key, no_api_keys)', content: jsonContent(ref('Error')) },
+        Forbidden: { description: 'Scope fehlt (missing_scope)', content: jsonContent(ref('Error')) },
+        NotFound: { description: 'Nicht gefunden (receipt_not_found)', content: jsonContent(ref('Error')) },
+        RateLimited: {
+          description: 'Rate Limit erreicht (rate_limited)',
+          headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Sekunden' } },
+          content: jsonContent(ref('Error'))
+        },
+        Unavailable: {
+          description: 'Register noch nicht geladen (cache_loading, cache_unavailable)',
+          headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Sekunden' } },
+          content: jsonContent(ref('Error'))
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['ok', 'error'],
+          properties: {
+            ok: { const: false },
+            error: {
+              type: 'object',
+              required: ['code', 'message', 'requestId'],
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: [
+                    'validation_failed', 'invalid_json', 'payload_too_large', 'no_api_keys', 'invalid_api_key',
+                    'missing_scope', 'rate_limited', 'cache_loading', 'cache_unavailable', 'receipt_not_found',
+                    'changelog_unavailable', 'not_found', 'internal_error'
+                  ]
+                },
+                message: { type: 'string' },
+                details: { type: 'array', items: ref('ErrorDetail') },
+                retryAfterSeconds: { type: 'integer' },
+                requestId: { type: 'string' }
+              }
+            }
+          }
+        },
+        ErrorDetail: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['query', 'path', 'body'] },
+            field: nullableString,
+            rule: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        Reason: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            field: nullableString,
+            code: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        Dataset: {
+          type: 'object',
+          description: 'Stand des Registers, gegen den geprüft wurde',
+          properties: {
+            version: nullableString,
+            updatedAt: { type: ['string', 'null'], format: 'date-time' },
+            ageSeconds: { type: ['integer', 'null'] }
+          }
+        },
+        Producer: {
+          type: 'object',
+          description: 'Register-Eintrag (Feldnamen laut Feld-Mapping, z.B. company_name, vat_number)',
+          additionalProperties: true
+        },
+        LookupResult: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            lucid: { type: 'string' },
+            normalized: { type: 'string' },
+            status: { type: 'string', enum: ['registered', 'not_found', 'invalid_format'] },
+            registered: { type: 'boolean' },
+            company: nullableString,
+            producer: { oneOf: [ref('Producer'), { type: 'null' }] },
+            reason: { oneOf: [ref('Reason'), { type: 'null' }] },
+            suggestion: nullableString,
+            didYouMean: { type: 'array', items: { type: 'string' } },
+            auditId: nullableString,
+            checkedAt: timestamp,
+            dataset: ref('Dataset')
+          }
+        },
+        BatchResult: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            summary: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                registered: { type: 'integer' },
+                notFound: { type: 'integer' },
+                invalidFormat: { type: 'integer' }
+              }
+            },
+            results: { type: 'array', items: ref('LookupResult') },
+            checkedAt: timestamp,
+            dataset: ref('Dataset')
+          }
+        },
+        VerifyResult: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            lucid: { type: 'string' },
+            registered: { type: 'boolean' },
+            verdict: { type: 'string', enum: ['verified', 'review', 'mismatch', 'not_registered', 'invalid_format'] },
+            reasons: { type: 'array', items: ref('Reason') },
+            fields: { type: 'object', additionalProperties: { type: 'object' } },
+            company: nullableString,
+            suggestion: nullableString,
+            didYouMean: { type: 'array', items: { type: 'string' } },
+            auditId: nullableString,
+            checkedAt: timestamp,
+            dataset: ref('Dataset')
+          }
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            total: { type: 'integer' },
+            offset: { type: 'integer' },
+            limit: { type: 'integer' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  lucid: { type: 'string' },
+                  score: { type: 'number' },
+                  company: { type: 'string' },
+                  producer: ref('Producer')
+                }
+              }
+            },
+            checkedAt: timestamp,
+            dataset: ref('Dataset')
+          }
+        },
+        Change: {
+          type: 'object',
+          properties: {
+            at: timestamp,
+            type: { type: 'string', enum: ['added', 'removed', 'modified'] },
+            lucid: { type: 'string' },
+            company: nullableString,
+            producer: ref('Producer'),
+            changes: { type: 'object', additionalProperties: { type: 'object', properties: { from: {}, to: {} } } }
+          }
+        },
+        ChangesResult: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            since: timestamp,
+            until: { type: ['string', 'null'], format: 'date-time' },
+            total: { type: 'integer' },
+            summary: {
+              type: 'object',
+              properties: { added: { type: 'integer' }, removed: { type: 'integer' }, modified: { type: 'integer' } }
+            },
+            offset: { type: 'integer' },
+            limit: { type: 'integer' },
+            changes: { type: 'array', items: ref('Change') }
+          }
+        },
+        HistoryResult: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            lucid: { type: 'string' },
+            normalized: { type: 'string' },
+            registered: { type: 'boolean' },
+            producer: { oneOf: [ref('Producer'), { type: 'null' }] },
+            firstSeenAt: { type: ['string', 'null'], format: 'date-time' },
+            lastChangeAt: { type: ['string', 'null'], format: 'date-time' },
+            history: { type: 'array', items: ref('Change') },
+            dataset: ref('Dataset')
+          }
+        },
+        Receipt: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            receipt: { type: 'object', description: 'Signierter Inhalt (unverändert wie in /api/lucid/receipts)' },
+            signature: {
+              type: 'object',
+              properties: { algorithm: { type: 'string' }, keyId: { type: 'string' }, value: { type: 'string' } }
+            }
+          }
+        },
+        Health: {
+          type: 'object',
+          properties: {
+            ok: { const: true },
+            ready: { type: 'boolean' },
+            failures: { type: 'array', items: ref('Reason') },
+            uptimeSeconds: { type: 'integer' },
+            instance: {
+              type: 'object',
+              properties: { id: { type: 'string' }, role: { type: 'string', enum: ['leader', 'follower', 'standalone'] } }
+            },
+            dataset: {
+              allOf: [ref('Dataset')],
+              properties: { entries: { type: 'integer' }, loading: { type: 'boolean' } }
+            }
+          }
+        }
+      }
+    }
+  };
+}
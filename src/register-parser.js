@@ -0,0 +1,200 @@
+/**
+ * Streaming-Parser für das LUCID Register-XML
+ * Gemeinsame Pipeline für alle Datenquellen (HTTP, lokale Datei, Upload)
+ */
+
+import XmlStream from 'xml-stream';
+import { Transform } from 'stream';
+import { log } from './logger.js';
+import { DEFAULT_MAPPING, analyzeMapping, compileMapping, extractRecord } from './field-mapping.js';
+import { createStoreBuilder } from './register-store.js';
+import { normalizeLucid } from './lucid-number.js';
+
+const defaultMapping = compileMapping(DEFAULT_MAPPING);
+
+// Anzahl Datensätze, die bei jedem Parse-Lauf gegen das Mapping geprüft werden
+const MAPPING_SAMPLE_SIZE = 1000;
+
+/**
+ * XML-Parser mit den Sammel-Regeln des Mappings anlegen
+ * Ruft onRecord(element) für jedes Datensatz-Element auf
+ */
+function createRecordStream(input, mapping, onRecord) {
+  const xml = new XmlStream(input);
+
+  // Wiederholte Elemente (z.B. mehrere Markennamen) als Liste sammeln
+  for (const name of new Set([...mapping.recordElements, ...mapping.listElements])) {
+    xml.collect(name);
+  }
+
+  for (const name of mapping.recordElements) {
+    xml.on(`endElement: ${name}`, onRecord);
+  }
+
+  return xml;
+}
+
+/**
+ * XML-Stream parsen und den Datenbestand (RegisterStore, siehe register-store.js) aufbauen
+ * options: { expectedBytes, label, onProgress, mapping }
+ * onProgress({ producerCount, bytes }) wird alle 1.000 Produzenten aufgerufen
+ * Liefert { data: RegisterStore, stats } - stats beschreibt die Vollständigkeit des Streams
+ */
+export function parseRegisterStream(stream, { expectedBytes = null, label = 'LUCID', onProgress = null, mapping = defaultMapping } = {}) {
+  return new Promise((resolve, reject) => {
+    // Produzenten-Daten - kompakt statt einem Objekt pro Produzent
+    const builder = createStoreBuilder();
+    let producerCount = 0;
+    const startTime = Date.now();
+
+    // Vollständigkeit des Streams: empfangene Bytes und geschlossenes Root-Element
+    let bytes = 0;
+    let depth = 0;
+    let rootClosed = false;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      reject(error);
+    };
+
+    // Bytes zählen während sie zum Parser durchgereicht werden
+    const byteCounter = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    stream.pipe(byteCounter);
+
+    // Erste Datensätze für die Mapping-Prüfung aufheben
+    const sample = [];
+
+    const onProducer = (producer) => {
+      producerCount++;
+
+      if (sample.length < MAPPING_SAMPLE_SIZE) {
+        sample.push(producer);
+      }
+
+      const record = extractRecord(producer, mapping);
+      if (record) {
+        // Gleiche Normalisierung wie bei der Abfrage - sonst sind Nummern mit Trennzeichen nicht auffindbar
+        builder.set(normalizeLucid(record.registration_number), record);
+      }
+
+      if (onProgress && producerCount % 1000 === 0) {
+        onProgress({ producerCount, bytes });
+      }
+
+      // Progress-Log alle 10.000 Einträge
+      if (producerCount % 10000 === 0) {
+        const elapsed = Math.floor((Date.now() - startTime) / 1000);
+        log.debug(label, `Verarbeitet: ${producerCount.toLocaleString()} Produzenten (${elapsed}s)`, { producerCount, bytes });
+      }
+    };
+
+    // XML Stream Parser erstellen - Datensatz-Elemente laut Mapping (Standard: Producer / producer)
+    const xml = createRecordStream(byteCounter, mapping, onProducer);
+
+    xml.on('startElement', (name) => {
+      if (typeof name === 'string') depth++;
+    });
+    xml.on('endElement', (name) => {
+      if (typeof name === 'string' && --depth === 0) rootClosed = true;
+    });
+
+    // Stream Ende - Erfolg!
+    xml.on('end', () => {
+      if (failed) return;
+
+      const dataMap = builder.build();
+      const duration = Math.floor((Date.now() - startTime) / 1000);
+      log.info(label, `Stream abgeschlossen: ${producerCount.toLocaleString()} Produzenten, ${dataMap.size.toLocaleString()} Einträge in ${duration}s`, {
+        producerCount,
+        entries: dataMap.size,
+        bytes,
+        durationMs: Date.now() - startTime
+      });
+
+      if (dataMap.size > 0) {
+        // Ersten Eintrag als Beispiel (nur bei LOG_LEVEL=debug)
+        const [lucid, firstEntry] = dataMap.entries().next().value;
+        log.debug(label, 'Beispiel-Eintrag', { lucid, entry: firstEntry });
+      }
+
+      if (onProgress) onProgress({ producerCount, bytes });
+
+      if (!rootClosed) {
+        log.warn(label, 'XML-Dokument nicht vollständig - Root-Element wurde nicht geschlossen');
+      }
+      if (expectedBytes && bytes !== expectedBytes) {
+        log.warn(label, `Nur ${bytes} von ${expectedBytes} Bytes empfangen`, { bytes, expectedBytes });
+      }
+
+      resolve({
+        data: dataMap,
+        stats: {
+          producerCount,
+          bytes,
+          expectedBytes,
+          rootClosed,
+          durationMs: Date.now() - startTime,
+          mapping: analyzeMapping(sample, mapping)
+        }
+      });
+    });
+
+    // Fehler-Handling - XML Parse Fehler
+    xml.on('error', (error) => {
+      log.error(label, 'XML Parse Fehler', { error });
+      fail(error);
+    });
+
+    // Fehler-Handling - Quell-Stream (HTTP, Datei, Upload)
+    stream.on('error', (error) => {
+      log.error(label, 'Stream Fehler', { error });
+      fail(error);
+    });
+  });
+}
+
+/**
+ * Nur die ersten `size` Datensätze lesen und gegen das Mapping prüfen (Start-Check)
+ * Der Quell-Stream wird danach geschlossen - ein abgeschnittenes XML ist hier kein Fehler
+ */
+export function sampleRegisterStream(stream, { mapping = defaultMapping, size = 200 } = {}) {
+  return new Promise((resolve, reject) => {
+    const sample = [];
+    let done = false;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      stream.destroy();
+      resolve(analyzeMapping(sample, mapping));
+    };
+
+    const xml = createRecordStream(stream, mapping, (element) => {
+      if (done) return;
+      sample.push(element);
+      if (sample.length >= size) finish();
+    });
+
+    xml.on('end', finish);
+    xml.on('error', (error) => {
+      if (sample.length > 0) return finish();
+      if (!done) {
+        done = true;
+        reject(error);
+      }
+    });
+    stream.on('error', (error) => {
+      if (!done) {
+        done = true;
+        reject(error);
+      }
+    });
+  });
+}
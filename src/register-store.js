@@ -0,0 +1,388 @@
+/**
+ * Kompakter Datenbestand im Speicher (ersetzt Map<LUCID, Produzent>)
+ *
+ * Statt einem JS-Objekt pro Produzent liegen die Werte spaltenweise in typisierten Arrays:
+ * - Spalten mit wenigen verschiedenen Werten (Ort, PLZ, Status, ...) als Index in eine
+ *   Tabelle eindeutiger Strings (interniert) - jeder Ort liegt nur einmal im Speicher
+ * - alle übrigen Spalten (Firmenname, Adresse, extra, ...) UTF-8-gepackt in einem Buffer
+ * - LUCID-Nummern "DE" + 13 Ziffern als Zahl in einem sortierten Float64Array (binäre Suche),
+ *   abweichende Schlüssel in einer kleinen Map
+ * Welche Spalten interniert werden, ergibt sich beim Aufbau aus der Zahl verschiedener Werte.
+ *
+ * Die Schnittstelle entspricht einer nur lesbaren Map (get, has, size, Iteration über
+ * [LUCID, Produzent]) - get() erzeugt den Datensatz bei jedem Aufruf neu, Änderungen daran
+ * wirken nicht auf den Bestand zurück. Datensätze behalten Felder und Reihenfolge der Felder.
+ */
+
+import { LUCID_PATTERN } from './lucid-number.js';
+
+// Spalten bleiben interniert, solange sie höchstens so viele verschiedene Werte haben ...
+const INTERN_MAX_VALUES = 65536;
+// ... und (ab INTERN_MIN_ROWS Zeilen) weniger als dieser Anteil der Zeilen verschieden ist
+const INTERN_MAX_RATIO = 0.75;
+const INTERN_MIN_ROWS = 10000;
+const INITIAL_ROWS = 1024;
+// Kennung vor jedem gespeicherten Wert: Text oder JSON (Listen, Objekte, Zahlen)
+const TAG_STRING = 0x73;
+const TAG_JSON = 0x6a;
+// Geschätzter Overhead eines JS-Strings bzw. Map-Eintrags (für memoryUsage)
+const STRING_OVERHEAD = 16;
+const MAP_ENTRY_OVERHEAD = 40;
+
+function encode(value) {
+  return typeof value === 'string'
+    ? String.fromCharCode(TAG_STRING) + value
+    : String.fromCharCode(TAG_JSON) + JSON.stringify(value);
+}
+
+function decode(encoded) {
+  return encoded.charCodeAt(0) === TAG_STRING ? encoded.slice(1) : JSON.parse(encoded.slice(1));
+}
+
+function grow(array, minLength) {
+  if (array.length >= minLength) return array;
+  const next = new array.constructor(Math.max(minLength, array.length * 2));
+  next.set(array);
+  return next;
+}
+
+function stringBytes(value) {
+  return STRING_OVERHEAD + value.length * 2;
+}
+
+/**
+ * Spalte mit internierten Werten: pro Zeile ein Index in die Werte-Tabelle (0 = kein Wert)
+ */
+function createInternedColumn(name) {
+  const values = [null];
+  const lookup = new Map();
+  let ids = new Uint32Array(INITIAL_ROWS);
+
+  return {
+    name,
+    type: 'interned',
+    distinct: () => values.length - 1,
+    set(row, value) {
+      const encoded = encode(value);
+      let id = lookup.get(encoded);
+      if (id === undefined) {
+        id = values.length;
+        values.push(encoded);
+        lookup.set(encoded, id);
+      }
+      ids = grow(ids, row + 1);
+      ids[row] = id;
+    },
+    get: row => decode(values[ids[row]]),
+    encodedAt: row => (ids[row] ? values[ids[row]] : null),
+    finish(rows) {
+      ids = ids.slice(0, rows);
+      lookup.clear();
+    },
+    bytes: () => ids.byteLength + values.reduce((sum, value) => sum + (value ? stringBytes(value) : 0), 0)
+  };
+}
+
+/**
+ * Spalte mit gepackten Werten: UTF-8 hintereinander in einem Buffer, pro Zeile das Ende
+ */
+function createPackedColumn(name) {
+  let buffer = Buffer.alloc(INITIAL_ROWS * 32);
+  let ends = new Uint32Array(INITIAL_ROWS);
+  let length = 0;
+  // Letzte beschriebene Zeile - übersprungene Zeilen bekommen einen leeren Bereich
+  let lastRow = -1;
+
+  function start(row) {
+    return row > 0 ? ends[row - 1] : 0;
+  }
+
+  return {
+    name,
+    type: 'packed',
+    set(row, value) {
+      const encoded = encode(value);
+      const size = Buffer.byteLength(encoded);
+      if (length + size > buffer.length) {
+        const next = Buffer.alloc(Math.max(length + size, buffer.length * 2));
+        buffer.copy(next, 0, 0, length);
+        buffer = next;
+      }
+      buffer.write(encoded, length, 'utf-8');
+      length += size;
+
+      ends = grow(ends, row + 1);
+      ends.fill(ends[lastRow] ?? 0, lastRow + 1, row);
+      ends[row] = length;
+      lastRow = row;
+    },
+    get(row) {
+      const from = start(row);
+      const tag = buffer[from];
+      const text = buffer.toString('utf-8', from + 1, ends[row]);
+      return tag === TAG_STRING ? text : JSON.parse(text);
+    },
+    finish(rows) {
+      ends = grow(ends, rows);
+      ends.fill(length, lastRow + 1, rows);
+      ends = ends.slice(0, rows);
+      buffer = Buffer.from(buffer.subarray(0, length));
+    },
+    bytes: () => ends.byteLength + buffer.length
+  };
+}
+
+/**
+ * Internierte Spalte in eine gepackte umwandeln (zu viele verschiedene Werte)
+ */
+function packColumn(column, rows) {
+  const packed = createPackedColumn(column.name);
+  for (let row = 0; row < rows; row++) {
+    const encoded = column.encodedAt(row);
+    if (encoded !== null) packed.set(row, decode(encoded));
+  }
+  return packed;
+}
+
+function tooManyValues(distinct, rows) {
+  return distinct > INTERN_MAX_VALUES || (rows >= INTERN_MIN_ROWS && distinct > rows * INTERN_MAX_RATIO);
+}
+
+function lucidToNumber(key) {
+  return LUCID_PATTERN.test(key) ? Number(key.slice(2)) : NaN;
+}
+
+function numberToLucid(value) {
+  return 'DE' + String(value).padStart(13, '0');
+}
+
+/**
+ * Datenbestand schrittweise aufbauen (Parser, Cache-Datei)
+ * builder.set(lucid, produzent) - ein späterer Eintrag mit derselben Nummer ersetzt den früheren
+ * builder.build() liefert den fertigen, nur lesbaren Bestand
+ */
+export function createStoreBuilder() {
+  const columns = [];
+  const columnByName = new Map();
+  // Feldreihenfolgen der Datensätze (fast immer nur eine oder zwei)
+  const shapes = [];
+  const shapeIds = new Map();
+  let rowShapes = new Uint16Array(INITIAL_ROWS);
+  let keyNumbers = new Float64Array(INITIAL_ROWS);
+  const otherKeys = new Map();
+  let rows = 0;
+
+  function columnFor(name) {
+    let index = columnByName.get(name);
+    if (index === undefined) {
+      index = columns.length;
+      columns.push(createInternedColumn(name));
+      columnByName.set(name, index);
+    }
+    return index;
+  }
+
+  function shapeFor(names) {
+    const signature = names.join('\u0000');
+    let id = shapeIds.get(signature);
+    if (id === undefined) {
+      if (shapes.length > 0xffff) throw new Error('Zu viele verschiedene Feldkombinationen im Datenbestand');
+      id = shapes.length;
+      shapes.push(names.map(columnFor));
+      shapeIds.set(signature, id);
+    }
+    return id;
+  }
+
+  function set(key, record) {
+    const row = rows++;
+    const names = Object.keys(record).filter(name => record[name] !== undefined);
+    const shape = shapeFor(names);
+
+    rowShapes = grow(rowShapes, rows);
+    rowShapes[row] = shape;
+
+    keyNumbers = grow(keyNumbers, rows);
+    keyNumbers[row] = lucidToNumber(key);
+    if (Number.isNaN(keyNumbers[row])) otherKeys.set(key, row);
+
+    for (const index of shapes[shape]) {
+      const column = columns[index];
+      column.set(row, record[column.name]);
+      if (column.type === 'interned' && tooManyValues(column.distinct(), rows)) {
+        columns[index] = packColumn(column, rows);
+      }
+    }
+  }
+
+  function build() {
+    for (const column of columns) column.finish(rows);
+
+    // Sortierte Nummern mit Zeile - bei doppelten Nummern gilt der letzte Eintrag
+    const order = new Uint32Array(rows);
+    let count = 0;
+    for (let row = 0; row < rows; row++) {
+      if (!Number.isNaN(keyNumbers[row])) order[count++] = row;
+    }
+    const sortedRows = order.subarray(0, count).sort((a, b) => keyNumbers[a] - keyNumbers[b] || a - b);
+
+    const dead = new Uint8Array(rows);
+    let unique = 0;
+    for (let i = 0; i < sortedRows.length; i++) {
+      if (i + 1 < sortedRows.length && keyNumbers[sortedRows[i]] === keyNumbers[sortedRows[i + 1]]) {
+        dead[sortedRows[i]] = 1;
+      } else {
+        sortedRows[unique++] = sortedRows[i];
+      }
+    }
+    const rowByKey = sortedRows.slice(0, unique);
+    const sortedKeys = new Float64Array(unique);
+    for (let i = 0; i < unique; i++) sortedKeys[i] = keyNumbers[rowByKey[i]];
+
+    // Abweichende Schlüssel: Map.set hat frühere Zeilen schon ersetzt
+    const keyByRow = new Map();
+    for (const [key, row] of otherKeys) keyByRow.set(row, key);
+    for (let row = 0; row < rows; row++) {
+      if (Number.isNaN(keyNumbers[row]) && !keyByRow.has(row)) dead[row] = 1;
+    }
+
+    return createRegisterStore({
+      rows,
+      size: unique + otherKeys.size,
+      columns,
+      shapes,
+      rowShapes: rowShapes.slice(0, rows),
+      keyNumbers: keyNumbers.slice(0, rows),
+      sortedKeys,
+      rowByKey,
+      otherKeys,
+      keyByRow,
+      dead: unique + otherKeys.size < rows ? dead : null
+    });
+  }
+
+  return {
+    set,
+    build,
+    get size() {
+      return rows;
+    }
+  };
+}
+
+/**
+ * Fertiger Bestand - nur über createStoreBuilder() bzw. toRegisterStore() erzeugen
+ */
+function createRegisterStore({ rows, size, columns, shapes, rowShapes, keyNumbers, sortedKeys, rowByKey, otherKeys, keyByRow, dead }) {
+  /**
+   * Zeile zu einer LUCID-Nummer (-1 wenn nicht vorhanden)
+   */
+  function rowOf(key) {
+    if (typeof key !== 'string') return -1;
+    const value = lucidToNumber(key);
+    if (Number.isNaN(value)) return otherKeys.get(key) ?? -1;
+
+    let low = 0;
+    let high = sortedKeys.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (sortedKeys[mid] === value) return rowByKey[mid];
+      if (sortedKeys[mid] < value) low = mid + 1; else high = mid - 1;
+    }
+    return -1;
+  }
+
+  function keyAt(row) {
+    const value = keyNumbers[row];
+    return Number.isNaN(value) ? keyByRow.get(row) : numberToLucid(value);
+  }
+
+  function recordAt(row) {
+    const record = {};
+    for (const index of shapes[rowShapes[row]]) {
+      record[columns[index].name] = columns[index].get(row);
+    }
+    return record;
+  }
+
+  /**
+   * Einzelnes Feld einer Zeile, ohne den ganzen Datensatz zu erzeugen
+   */
+  function valueAt(row, name) {
+    for (const index of shapes[rowShapes[row]]) {
+      if (columns[index].name === name) return columns[index].get(row);
+    }
+    return undefined;
+  }
+
+  function* liveRows() {
+    for (let row = 0; row < rows; row++) {
+      if (!dead || !dead[row]) yield row;
+    }
+  }
+
+  function* entries() {
+    for (const row of liveRows()) yield [keyAt(row), recordAt(row)];
+  }
+
+  /**
+   * Gemessener Speicherbedarf (typisierte Arrays und Buffer exakt, Strings geschätzt)
+   */
+  function memoryUsage() {
+    const columnUsage = {};
+    let bytes = rowShapes.byteLength + keyNumbers.byteLength + sortedKeys.byteLength + rowByKey.byteLength +
+      (dead ? dead.byteLength : 0);
+    for (const [key] of otherKeys) bytes += 2 * (MAP_ENTRY_OVERHEAD + stringBytes(key));
+
+    for (const column of columns) {
+      const columnBytes = column.bytes();
+      columnUsage[column.name] = column.type === 'interned'
+        ? { type: column.type, bytes: columnBytes, distinct: column.distinct() }
+        : { type: column.type, bytes: columnBytes };
+      bytes += columnBytes;
+    }
+
+    return {
+      bytes,
+      bytesPerEntry: size > 0 ? Math.round(bytes / size) : 0,
+      columns: columnUsage
+    };
+  }
+
+  return {
+    get size() {
+      return size;
+    },
+    get(key) {
+      const row = rowOf(key);
+      return row === -1 ? undefined : recordAt(row);
+    },
+    has: key => rowOf(key) !== -1,
+    rowOf,
+    keyAt,
+    recordAt,
+    valueAt,
+    rows: liveRows,
+    entries,
+    *keys() {
+      for (const row of liveRows()) yield keyAt(row);
+    },
+    *values() {
+      for (const row of liveRows()) yield recordAt(row);
+    },
+    forEach(callback) {
+      for (const [key, record] of entries()) callback(record, key, this);
+    },
+    [Symbol.iterator]: entries,
+    memoryUsage
+  };
+}
+
+/**
+ * Bestand aus [LUCID, Produzent]-Paaren erzeugen (Map, Array, altes Cache-Format)
+ */
+export function toRegisterStore(entries = []) {
+  const builder = createStoreBuilder();
+  for (const [key, record] of entries) builder.set(key, record);
+  return builder.build();
+}
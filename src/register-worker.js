@@ -0,0 +1,95 @@
+/**
+ * Worker-Thread für Download und Parsen des Register-XML
+ * Hält den Haupt-Thread (Lookups) frei: der fertige Datenbestand wird als Cache-Datei
+ * (gzip NDJSON, siehe cache-store.js) abgelegt und nur der Dateiname zurückgemeldet.
+ * Der XML-Parser (node-expat) wird ausschließlich hier geladen - das native Modul kann
+ * nicht gleichzeitig im Haupt-Thread und in einem Worker geladen werden.
+ *
+ * workerData: { task, outputFile, label, mapping, download }
+ *   task: { source: 'http' } | { source: 'file', file } | { source: 'sample', from: 'http' | 'file', file? }
+ * Nachrichten an den Haupt-Thread:
+ *   { type: 'progress', phase, bytes, totalBytes, attempt, producers }
+ *   { type: 'done', file, stats } bzw. bei 'sample' { type: 'done', report, description }
+ *   { type: 'error', message, code }
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import fs from 'fs/promises';
+import { downloadToFile } from './downloader.js';
+import { openFileSource, openHttpSampleSource } from './sources.js';
+import { parseRegisterStream, sampleRegisterStream } from './register-parser.js';
+import { loadFieldMapping } from './field-mapping.js';
+import { writeCacheFile } from './cache-store.js';
+import { registerSecret } from './logger.js';
+
+// Fortschritt höchstens alle 500ms melden
+const PROGRESS_INTERVAL_MS = 500;
+
+let lastProgressAt = 0;
+
+function reportProgress(progress, force = false) {
+  const now = Date.now();
+  if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+  lastProgressAt = now;
+  parentPort.postMessage({ type: 'progress', ...progress });
+}
+
+/**
+ * Stichprobe für die Mapping-Prüfung (Datei oder Range-Request an die API)
+ */
+async function sample(task, mapping, download) {
+  const source = task.from === 'http'
+    ? await openHttpSampleSource({ url: download.url, params: download.params })
+    : await openFileSource(task.file);
+
+  const report = await sampleRegisterStream(source.stream, { mapping });
+  parentPort.postMessage({ type: 'done', report, description: source.description });
+}
+
+async function run() {
+  const { task, outputFile, label, download } = workerData;
+  // Eigene Logger-Instanz im Worker - das Token muss hier erneut geschwärzt werden
+  registerSecret(download?.params?.token);
+  const mapping = loadFieldMapping(workerData.mapping);
+  let file = task.file;
+
+  if (task.source === 'sample') {
+    return sample(task, mapping, download);
+  }
+
+  if (task.source === 'http') {
+    const result = await downloadToFile({
+      ...download,
+      onProgress: ({ bytes, totalBytes, attempt }) => {
+        reportProgress({ phase: 'download', bytes, totalBytes, attempt });
+      }
+    });
+    file = result.file;
+    reportProgress({ phase: 'parse', bytes: result.bytes, totalBytes: result.totalBytes, attempt: result.attempts }, true);
+  } else {
+    reportProgress({ phase: 'parse' }, true);
+  }
+
+  try {
+    const source = await openFileSource(file);
+    const result = await parseRegisterStream(source.stream, {
+      expectedBytes: source.expectedBytes,
+      label,
+      mapping,
+      onProgress: ({ producerCount }) => reportProgress({ phase: 'parse', producers: producerCount })
+    });
+    reportProgress({ phase: 'parse', producers: result.stats.producerCount }, true);
+
+    await writeCacheFile(outputFile, result.data, { lastUpdate: null });
+    parentPort.postMessage({ type: 'done', file: outputFile, stats: result.stats });
+  } finally {
+    if (task.source === 'http') {
+      // Fertig geparst (oder kaputt) - nächster Refresh lädt neu
+      await fs.rm(file, { force: true });
+    }
+  }
+}
+
+run().catch((error) => {
+  parentPort.postMessage({ type: 'error', message: error.message, code: error.code || null });
+});
@@ -0,0 +1,231 @@
+/**
+ * Sekundär-Indizes für die Produzenten-Suche
+ * USt-IdNr, Steuernummer, PLZ (exakt) und Firmenname (unscharf)
+ */
+
+import {
+  levenshtein,
+  normalizeCompanyName,
+  normalizePostalCode,
+  normalizeTaxNumber,
+  normalizeText,
+  normalizeVatNumber,
+  tokenizeCompanyName,
+  trigrams
+} from './normalize.js';
+import { log } from './logger.js';
+
+// Mindest-Score damit ein Namens-Treffer angezeigt wird
+const MIN_NAME_SCORE = 0.5;
+
+function addToIndex(index, key, value) {
+  if (!key) return;
+  const list = index.get(key);
+  if (list) {
+    list.push(value);
+  } else {
+    index.set(key, [value]);
+  }
+}
+
+/**
+ * Indizes über alle Produzenten aufbauen (RegisterStore, siehe register-store.js)
+ * Die Indizes verweisen auf Zeilen des Bestands, nicht auf LUCID-Strings
+ * Wird bei jedem Laden/Aktualisieren des Caches neu erzeugt
+ */
+export function buildSearchIndex(dataMap) {
+  const startTime = Date.now();
+
+  const index = {
+    byVat: new Map(),
+    byTax: new Map(),
+    byPostalCode: new Map(),
+    byNameToken: new Map(),
+    tokenTrigrams: new Map(),
+    sortedTokens: [],
+    size: dataMap.size,
+    builtAt: null,
+    buildMs: 0
+  };
+
+  for (const row of dataMap.rows()) {
+    addToIndex(index.byVat, normalizeVatNumber(dataMap.valueAt(row, 'vat_number')), row);
+    addToIndex(index.byTax, normalizeTaxNumber(dataMap.valueAt(row, 'tax_number')), row);
+    addToIndex(index.byPostalCode, normalizePostalCode(dataMap.valueAt(row, 'postal_code')), row);
+
+    for (const token of new Set(tokenizeCompanyName(dataMap.valueAt(row, 'company_name')))) {
+      addToIndex(index.byNameToken, token, row);
+    }
+  }
+
+  // Trigramme und sortierte Wortliste für Tippfehler- und Präfix-Suche
+  for (const token of index.byNameToken.keys()) {
+    for (const gram of trigrams(token)) {
+      addToIndex(index.tokenTrigrams, gram, token);
+    }
+  }
+  index.sortedTokens = Array.from(index.byNameToken.keys()).sort();
+
+  index.builtAt = Date.now();
+  index.buildMs = index.builtAt - startTime;
+  log.info('SEARCH', `Index aufgebaut: ${index.byNameToken.size.toLocaleString()} Namens-Wörter, ${index.byVat.size.toLocaleString()} USt-IdNr (${index.buildMs}ms)`);
+
+  return index;
+}
+
+/**
+ * Ähnliche Wörter aus dem Index finden: exakt, Präfix oder mit Tippfehlern
+ * Liefert Map<Wort, Ähnlichkeit>
+ */
+function findSimilarTokens(index, queryToken) {
+  const matches = new Map();
+
+  if (index.byNameToken.has(queryToken)) {
+    matches.set(queryToken, 1);
+  }
+
+  // Präfix-Treffer über binäre Suche in der sortierten Wortliste
+  if (queryToken.length >= 3) {
+    let low = 0;
+    let high = index.sortedTokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (index.sortedTokens[mid] < queryToken) low = mid + 1; else high = mid;
+    }
+    for (let i = low; i < index.sortedTokens.length && index.sortedTokens[i].startsWith(queryToken); i++) {
+      const token = index.sortedTokens[i];
+      if (!matches.has(token)) matches.set(token, 0.85);
+    }
+  }
+
+  // Tippfehler: Kandidaten über gemeinsame Trigramme, dann Levenshtein
+  const maxDistance = queryToken.length <= 4 ? 1 : 2;
+  const queryGrams = trigrams(queryToken);
+  const sharedGrams = new Map();
+  for (const gram of queryGrams) {
+    for (const token of index.tokenTrigrams.get(gram) || []) {
+      sharedGrams.set(token, (sharedGrams.get(token) || 0) + 1);
+    }
+  }
+
+  for (const [token, shared] of sharedGrams) {
+    if (matches.has(token) || shared < Math.max(1, queryGrams.length - 3 * maxDistance)) continue;
+    const distance = levenshtein(queryToken, token, maxDistance);
+    if (distance <= maxDistance) {
+      matches.set(token, 1 - distance / Math.max(queryToken.length, token.length));
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Unscharfe Namenssuche - liefert Map<Zeile, Score 0..1>
+ */
+function searchByName(index, dataMap, name) {
+  const queryNormalized = normalizeCompanyName(name);
+  const queryTokens = queryNormalized ? queryNormalized.split(' ') : [];
+  const scores = new Map();
+
+  if (queryTokens.length === 0) return scores;
+
+  for (const queryToken of queryTokens) {
+    const bestPerRow = new Map();
+    for (const [token, tokenScore] of findSimilarTokens(index, queryToken)) {
+      for (const row of index.byNameToken.get(token)) {
+        if ((bestPerRow.get(row) || 0) < tokenScore) bestPerRow.set(row, tokenScore);
+      }
+    }
+    for (const [row, tokenScore] of bestPerRow) {
+      scores.set(row, (scores.get(row) || 0) + tokenScore / queryTokens.length);
+    }
+  }
+
+  for (const [row, score] of scores) {
+    const producerName = normalizeCompanyName(dataMap.valueAt(row, 'company_name'));
+    const producerTokens = producerName.split(' ').length;
+
+    if (producerName === queryNormalized) {
+      scores.set(row, 1);
+    } else if (score < MIN_NAME_SCORE) {
+      scores.delete(row);
+    } else {
+      // Zusätzliche Wörter im Firmennamen leicht abwerten, aber nie auf Exakt-Niveau
+      const extraTokens = Math.max(0, producerTokens - queryTokens.length);
+      scores.set(row, Math.min(0.99, score * (1 - 0.05 * Math.min(extraTokens, 4))));
+    }
+  }
+
+  return scores;
+}
+
+function exactMatches(list) {
+  return new Map((list || []).map(row => [row, 1]));
+}
+
+function postalCodeMatches(index, postalCode) {
+  const normalized = normalizePostalCode(postalCode);
+  const matches = new Map();
+
+  for (const [code, rows] of index.byPostalCode) {
+    if (code.startsWith(normalized)) {
+      for (const row of rows) matches.set(row, 1);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Produzenten suchen
+ * query: { vat, tax, name, postal_code, city }
+ * Mehrere Kriterien werden UND-verknüpft, Ergebnis nach Score sortiert
+ */
+export function searchProducers(index, dataMap, query, { offset = 0, limit = 20 } = {}) {
+  const criteria = [];
+
+  if (query.vat) criteria.push(['vat_number', exactMatches(index.byVat.get(normalizeVatNumber(query.vat)))]);
+  if (query.tax) criteria.push(['tax_number', exactMatches(index.byTax.get(normalizeTaxNumber(query.tax)))]);
+  if (query.postal_code) criteria.push(['postal_code', postalCodeMatches(index, query.postal_code)]);
+  if (query.name) criteria.push(['company_name', searchByName(index, dataMap, query.name)]);
+
+  // Kleinste Treffermenge zuerst, dann schneiden
+  criteria.sort((a, b) => a[1].size - b[1].size);
+
+  let candidates = null;
+  for (const [, matches] of criteria) {
+    if (candidates === null) {
+      candidates = new Map(Array.from(matches, ([row, score]) => [row, [score]]));
+    } else {
+      for (const [row, scores] of candidates) {
+        if (matches.has(row)) scores.push(matches.get(row)); else candidates.delete(row);
+      }
+    }
+  }
+
+  const city = query.city ? normalizeText(query.city) : null;
+  const ranked = [];
+
+  for (const [row, scores] of candidates || []) {
+    if (city && normalizeText(dataMap.valueAt(row, 'city')) !== city) continue;
+
+    ranked.push({
+      row,
+      score: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000,
+      company: dataMap.valueAt(row, 'company_name') || ''
+    });
+  }
+
+  ranked.sort((a, b) => b.score - a.score || a.company.localeCompare(b.company));
+
+  // Vollständige Datensätze nur für die ausgegebene Seite erzeugen
+  return {
+    total: ranked.length,
+    results: ranked.slice(offset, offset + limit).map(({ row, score, company }) => ({
+      lucid: dataMap.keyAt(row),
+      score,
+      company,
+      details: dataMap.recordAt(row)
+    }))
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Aufbewahrte Cache-Stände (Snapshots) für Rollback
+ * Dateien liegen in CACHE_DIR/snapshots, Metadaten in manifest.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from './logger.js';
+
+const MANIFEST = 'manifest.json';
+
+/**
+ * Snapshot-Version aus dem Update-Zeitpunkt ableiten (sortierbar, dateinamen-tauglich)
+ */
+export function snapshotId(lastUpdate) {
+  return new Date(lastUpdate).toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Pfad zur Snapshot-Datei
+ */
+export function snapshotPath(dir, snapshot) {
+  return path.join(dir, snapshot.file);
+}
+
+/**
+ * Alle Snapshots auflisten (neueste zuerst)
+ */
+export async function listSnapshots(dir) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST), 'utf-8'));
+    return Array.isArray(manifest.snapshots) ? manifest.snapshots : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function writeManifest(dir, snapshots) {
+  const file = path.join(dir, MANIFEST);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify({ snapshots }, null, 2), 'utf-8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Gespeicherte Cache-Datei als Snapshot ablegen und nur die letzten `keep` behalten
+ * meta: { lastUpdate, count, source, checks }
+ */
+export async function saveSnapshot(dir, cacheFile, meta, keep) {
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = snapshotId(meta.lastUpdate);
+  const snapshot = {
+    id,
+    // Gleiche Endung wie die Cache-Datei (z.B. .ndjson.gz)
+    file: id + path.basename(cacheFile).replace(/^[^.]*/, ''),
+    createdAt: new Date().toISOString(),
+    lastUpdate: meta.lastUpdate,
+    count: meta.count,
+    source: meta.source || null,
+    checks: meta.checks || null
+  };
+
+  await fs.copyFile(cacheFile, path.join(dir, snapshot.file));
+  snapshot.bytes = (await fs.stat(path.join(dir, snapshot.file))).size;
+
+  const snapshots = [snapshot, ...(await listSnapshots(dir)).filter(item => item.id !== id)];
+  const kept = snapshots.slice(0, Math.max(keep, 1));
+
+  for (const old of snapshots.slice(kept.length)) {
+    await fs.unlink(snapshotPath(dir, old)).catch(() => {});
+    log.info('SNAPSHOT', `Alter Snapshot gelöscht: ${old.id}`);
+  }
+
+  await writeManifest(dir, kept);
+  return snapshot;
+}
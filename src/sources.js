@@ -0,0 +1,139 @@
+/**
+ * Datenquellen für das Register-XML
+ * - http:   Download von der LUCID API - siehe downloader.js, danach wie file
+ * - file:   lokale Datei (.xml, .xml.gz oder .zip)
+ * - upload: Request-Body von POST /admin/import - wird gespeichert und dann wie file gelesen
+ * - sample: Anfang des Register-XML von der LUCID API (Mapping-Prüfung beim Start)
+ *
+ * Die Stream-Quellen liefern { stream, expectedBytes, description } für parseRegisterStream()
+ */
+
+import axios from 'axios';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline as pipelineCallback } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import path from 'path';
+import yauzl from 'yauzl';
+import { log } from './logger.js';
+
+/**
+ * gzip-Stream entpacken - Fehler der Quelle landen im zurückgegebenen Stream
+ */
+function gunzip(stream) {
+  return pipelineCallback(stream, zlib.createGunzip(), () => {});
+}
+
+/**
+ * Erste .xml Datei aus einem ZIP-Archiv als Stream öffnen
+ */
+function openZipEntry(file) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(file, { lazyEntries: true }, (error, zip) => {
+      if (error) return reject(error);
+
+      zip.on('error', reject);
+      zip.on('end', () => reject(new Error(`Keine .xml Datei in ${path.basename(file)} gefunden`)));
+      zip.on('entry', (entry) => {
+        if (!/\.xml$/i.test(entry.fileName)) {
+          zip.readEntry();
+          return;
+        }
+
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return reject(streamError);
+          stream.on('end', () => zip.close());
+          resolve({ stream, entryName: entry.fileName, size: entry.uncompressedSize });
+        });
+      });
+
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Lokale Datei öffnen - .xml direkt, .gz entpackt, .zip erste XML-Datei darin
+ */
+export async function openFileSource(file) {
+  const stat = await fs.stat(file);
+  log.info('IMPORT', `Lese lokale Datei: ${file} (${stat.size} Bytes)`);
+
+  if (/\.zip$/i.test(file)) {
+    const { stream, entryName, size } = await openZipEntry(file);
+    return { stream, expectedBytes: size, description: `${file}#${entryName}` };
+  }
+
+  if (/\.gz$/i.test(file)) {
+    // Entpackte Größe ist unbekannt - gzip prüft die Vollständigkeit selbst (CRC)
+    return {
+      stream: gunzip(createReadStream(file)),
+      expectedBytes: null,
+      description: file
+    };
+  }
+
+  return { stream: createReadStream(file), expectedBytes: stat.size, description: file };
+}
+
+/**
+ * Hochgeladenen Request-Body in stagingDir speichern, damit der Worker-Thread ihn wie eine
+ * lokale Datei lesen kann. Die Endung richtet sich nach dem Format:
+ * ZIP (application/zip) → .zip, gzip (Content-Encoding oder application/gzip) → .xml.gz, sonst .xml
+ * Liefert { file, description, cleanup }
+ */
+export async function stageUpload(req, stagingDir) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+  const contentLength = parseInt(req.headers['content-length']) || null;
+
+  let extension = '.xml';
+  let description = 'upload';
+  if (contentType === 'application/zip' || contentType === 'application/x-zip-compressed') {
+    extension = '.zip';
+    description = 'upload (zip)';
+  } else if (req.headers['content-encoding'] === 'gzip' || contentType === 'application/gzip' || contentType === 'application/x-gzip') {
+    extension = '.xml.gz';
+    description = 'upload (gzip)';
+  }
+
+  await fs.mkdir(stagingDir, { recursive: true });
+  const file = path.join(stagingDir, `upload-${Date.now()}${extension}`);
+  const cleanup = () => fs.unlink(file).catch(() => {});
+
+  try {
+    await pipeline(req, createWriteStream(file));
+
+    const { size } = await fs.stat(file);
+    if (contentLength && size !== contentLength) {
+      throw new Error(`Upload unvollständig: ${size} von ${contentLength} Bytes`);
+    }
+
+    return { file, description, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+/**
+ * Nur den Anfang des Register-XML per Range-Request laden (für Stichproben)
+ * options: { url, params, maxBytes, timeoutMs }
+ */
+export async function openHttpSampleSource({ url, params, maxBytes = 262144, timeoutMs = 30000 }) {
+  const response = await axios({
+    method: 'GET',
+    url,
+    params,
+    headers: {
+      'Accept': 'application/xml',
+      'Accept-Encoding': 'identity',
+      'Range': `bytes=0-${maxBytes - 1}`
+    },
+    responseType: 'stream',
+    timeout: timeoutMs
+  });
+
+  // Server ohne Range-Unterstützung schicken die ganze Datei - der Sampler bricht selbst ab
+  return { stream: response.data, expectedBytes: null, description: `${url} (Stichprobe)` };
+}
@@ -0,0 +1,149 @@
+/**
+ * Abgleich von Verkäufer-Angaben mit dem Register (POST /api/lucid/verify)
+ * Prüft ob eine angegebene LUCID-Nummer zu USt-IdNr, Steuernummer, Firma und Adresse passt
+ *
+ * Ergebnis pro Feld:
+ *   exact           - identisch (ohne Leerzeichen am Rand)
+ *   normalized      - identisch nach Normalisierung (Umlaute, Schreibweise der USt-IdNr, Wortreihenfolge im Namen)
+ *   fuzzy           - ähnlich (Tippfehler, Abkürzungen) - nur für Namen und Adressen
+ *   mismatch        - passt nicht
+ *   not_in_register - im Register ist kein Wert hinterlegt
+ *
+ * Die Rechtsform zählt beim Namensvergleich nicht mit, wird aber getrennt verglichen: "Muster GmbH" und
+ * "Muster AG" sind verschiedene Firmen - das ergibt den Grund legal_form_mismatch und höchstens "review".
+ */
+
+import {
+  extractLegalForm,
+  normalizeCompanyName,
+  normalizePostalCode,
+  normalizeTaxNumber,
+  normalizeText,
+  normalizeVatNumber,
+  similarity
+} from './normalize.js';
+
+// Prüfbare Felder - Name im Request und im Register sind gleich
+const FIELDS = {
+  vat_number: { label: 'USt-IdNr', normalize: normalizeVatNumber },
+  tax_number: { label: 'Steuernummer', normalize: normalizeTaxNumber },
+  company_name: { label: 'Firmenname', normalize: normalizeCompanyName, fuzzy: 0.75, tokens: true },
+  address: { label: 'Adresse', normalize: normalizeText, fuzzy: 0.8 },
+  postal_code: { label: 'PLZ', normalize: normalizePostalCode },
+  city: { label: 'Ort', normalize: normalizeText, fuzzy: 0.85 }
+};
+
+export const VERIFY_FIELDS = Object.keys(FIELDS);
+
+function sortTokens(value) {
+  return value.split(' ').sort().join(' ');
+}
+
+/**
+ * Ähnlichkeit unabhängig von der Wortreihenfolge (Tippfehler in vertauschten Wörtern: "Müller Logistk" ≈ "Logistik Müller")
+ */
+function tokenSimilarity(a, b) {
+  return Math.max(similarity(a, b), similarity(sortTokens(a), sortTokens(b)));
+}
+
+/**
+ * Ein Feld vergleichen
+ * Liefert { provided, registered, match, score }
+ */
+function compareField(spec, provided, registered) {
+  const result = { provided, registered: registered || null, match: 'mismatch', score: 0 };
+
+  if (!registered) {
+    result.match = 'not_in_register';
+    result.score = null;
+    return result;
+  }
+
+  if (provided.trim() === String(registered).trim()) {
+    return { ...result, match: 'exact', score: 1 };
+  }
+
+  const a = spec.normalize(provided);
+  const b = spec.normalize(registered);
+  // Nur die Wortreihenfolge vertauscht ("Müller Logistik" = "Logistik Müller") zählt wie identisch
+  if (a && (a === b || (spec.tokens && sortTokens(a) === sortTokens(b)))) {
+    return { ...result, match: 'normalized', score: 1 };
+  }
+
+  if (spec.fuzzy && a && b) {
+    const score = Math.round((spec.tokens ? tokenSimilarity(a, b) : similarity(a, b)) * 1000) / 1000;
+    result.score = score;
+    if (score >= spec.fuzzy) result.match = 'fuzzy';
+  }
+
+  return result;
+}
+
+function isMatch(field) {
+  return field && (field.match === 'exact' || field.match === 'normalized');
+}
+
+/**
+ * Angaben gegen einen Register-Eintrag prüfen
+ * claim: { vat_number, tax_number, company_name, address, postal_code, city } - alle optional
+ * Liefert { verdict, reasons, fields }
+ *   verdict: verified | review | mismatch
+ */
+export function verifyProducer(producer, claim) {
+  const fields = {};
+  const reasons = [];
+
+  for (const [name, spec] of Object.entries(FIELDS)) {
+    const provided = claim[name];
+    if (typeof provided !== 'string' || provided.trim() === '') continue;
+
+    const field = compareField(spec, provided, producer[name]);
+    fields[name] = field;
+
+    if (name === 'company_name' && field.match !== 'not_in_register') {
+      field.legalForm = { provided: extractLegalForm(provided), registered: extractLegalForm(producer[name]) };
+    }
+
+    if (field.match === 'mismatch') {
+      reasons.push({ field: name, code: 'mismatch', message: `${spec.label} passt nicht zum Register-Eintrag` });
+    } else if (field.match === 'fuzzy') {
+      reasons.push({ field: name, code: 'fuzzy', message: `${spec.label} nur ähnlich (Score ${field.score})` });
+    } else if (field.match === 'not_in_register') {
+      reasons.push({ field: name, code: 'not_in_register', message: `${spec.label} ist im Register nicht hinterlegt` });
+    }
+
+    // Gleicher Name, andere Rechtsform - nur wenn beide Seiten eine nennen
+    const legalForm = field.legalForm;
+    if (field.match !== 'mismatch' && legalForm?.provided && legalForm.registered && legalForm.provided !== legalForm.registered) {
+      reasons.push({
+        field: name,
+        code: 'legal_form_mismatch',
+        message: `Rechtsform weicht ab (angegeben: ${legalForm.provided}, Register: ${legalForm.registered})`
+      });
+    }
+  }
+
+  // Abweichende Kennnummer oder ein ganz anderer Firmenname: gehört nicht zu diesem Verkäufer
+  const hardMismatch = ['vat_number', 'tax_number', 'company_name'].some(name => fields[name]?.match === 'mismatch');
+
+  // Bestätigt durch eine Kennnummer oder durch Firmenname plus Anschrift
+  const identifierMatch = isMatch(fields.vat_number) || isMatch(fields.tax_number);
+  const nameAndPlace = isMatch(fields.company_name) && (isMatch(fields.address) || isMatch(fields.postal_code));
+  const anyMismatch = Object.values(fields).some(field => field.match === 'mismatch');
+  const legalFormMismatch = reasons.some(reason => reason.code === 'legal_form_mismatch');
+
+  let verdict = 'review';
+  if (hardMismatch) {
+    verdict = 'mismatch';
+  } else if ((identifierMatch || nameAndPlace) && !anyMismatch && !legalFormMismatch && fields.company_name?.match !== 'fuzzy') {
+    verdict = 'verified';
+  } else if (!identifierMatch && !nameAndPlace) {
+    reasons.push({
+      field: null,
+      code: 'insufficient',
+      message: 'Keine Kennnummer (USt-IdNr, Steuernummer) bzw. Firmenname mit Anschrift bestätigt'
+    });
+  }
+
+  return { verdict, reasons, fields };
+}
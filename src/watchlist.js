@@ -0,0 +1,120 @@
+/**
+ * Watchlist für LUCID-Nummern
+ * Beobachtete Nummern werden in CACHE_DIR/watchlist.json gespeichert
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+/**
+ * Watchlist von Disk laden (leere Liste wenn noch keine Datei existiert)
+ */
+export async function loadWatchlist(file) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(file, 'utf-8'));
+    return Array.isArray(parsed.entries) ? parsed.entries : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('WATCHLIST', 'Datei nicht lesbar', { error });
+    }
+    return [];
+  }
+}
+
+/**
+ * Watchlist atomar speichern (erst temporäre Datei, dann umbenennen)
+ */
+export async function saveWatchlist(file, entries) {
+  const tmpFile = `${file}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify({ updatedAt: Date.now(), entries }, null, 2), 'utf-8');
+  await fs.rename(tmpFile, file);
+}
+
+/**
+ * Neuen Watchlist-Eintrag erzeugen - keyName ist der API-Key, dem der Eintrag gehört
+ */
+export function createWatchEntry({ lucid, callbackUrl, secret, label, keyName }) {
+  return {
+    id: crypto.randomUUID(),
+    keyName: keyName || null,
+    lucid,
+    callbackUrl,
+    secret: secret || null,
+    label: label || null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Darf der API-Key den Eintrag sehen und ändern? Keys mit Scope "admin" dürfen alles,
+ * Einträge ohne Besitzer (vor der Zuordnung angelegt) nur sie
+ */
+export function canAccessWatchEntry(apiKey, entry) {
+  return apiKey.scopes.includes('admin') || (!!entry.keyName && entry.keyName === apiKey.name);
+}
+
+/**
+ * Eintrag für API-Antworten aufbereiten (Secret wird nie zurückgegeben)
+ */
+export function publicWatchEntry(entry) {
+  const { secret, ...rest } = entry;
+  return { ...rest, hasSecret: !!secret };
+}
+
+/**
+ * Callback-URL prüfen - gibt Fehlermeldung zurück oder null
+ * http:// nur wenn ausdrücklich erlaubt (z.B. lokaler Test-Empfänger)
+ */
+export function validateCallbackUrl(value, allowHttp) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'callbackUrl ist keine gültige URL';
+  }
+
+  if (url.protocol === 'https:') return null;
+  if (url.protocol === 'http:' && allowHttp) return null;
+
+  return allowHttp ?
+    'callbackUrl muss http:// oder https:// verwenden' :
+    'callbackUrl muss https:// verwenden (für lokale Tests WEBHOOK_ALLOW_HTTP=true setzen)';
+}
+
+/**
+ * Webhook-Ereignisse für alle beobachteten Nummern aus einem Refresh-Diff ableiten
+ */
+export function buildWatchEvents(entries, diff, occurredAt = Date.now()) {
+  if (!diff || entries.length === 0) return [];
+
+  const changesByLucid = new Map();
+  for (const item of diff.added) changesByLucid.set(item.lucid, { type: 'registration.added', details: item.producer });
+  for (const item of diff.removed) changesByLucid.set(item.lucid, { type: 'registration.removed', details: item.producer });
+  for (const item of diff.modified) {
+    changesByLucid.set(item.lucid, { type: 'registration.modified', details: item.producer, changes: item.changes });
+  }
+
+  const events = [];
+  for (const entry of entries) {
+    const change = changesByLucid.get(entry.lucid);
+    if (!change) continue;
+
+    events.push({
+      entry,
+      event: {
+        id: crypto.randomUUID(),
+        type: change.type,
+        occurredAt: new Date(occurredAt).toISOString(),
+        lucid: entry.lucid,
+        watchId: entry.id,
+        label: entry.label,
+        registered: change.type !== 'registration.removed',
+        details: change.details,
+        changes: change.changes || null
+      }
+    });
+  }
+
+  return events;
+}
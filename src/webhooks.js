@@ -0,0 +1,358 @@
+/**
+ * Webhook-Zustellung mit HMAC-Signatur, Retry mit Backoff und Zustell-Protokoll
+ *
+ * Wartende Retries stehen zusätzlich in options.pendingFile und werden nach einem Neustart
+ * mit resumeDeliveries() fortgesetzt (gleiche X-Lucid-Delivery ID - Empfänger können doppelte erkennen).
+ * Retries plant und verschickt nur der Leader (options.isLeader) - bei Verlust der Rolle hält
+ * suspendDeliveries() sie an, der neue Leader setzt sie aus der Retry-Datei fort.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { parseRetryAfter } from './downloader.js';
+import { appendNdjson, readNdjson } from './ndjson.js';
+import { log } from './logger.js';
+
+// Zustellungen die noch auf einen Retry warten: id → { timer, delivery, options, dueAt }
+const pendingRetries = new Map();
+// Schreibvorgänge der Retry-Datei nacheinander
+let savingPending = Promise.resolve();
+// Laufende Zustellversuche inkl. Protokoll-Eintrag - werden beim Herunterfahren abgewartet
+const activeDeliveries = new Set();
+let draining = false;
+
+// Ziele im internen Netz - Callbacks dorthin nur mit WEBHOOK_ALLOW_PRIVATE oder WEBHOOK_ALLOWED_HOSTS
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+function track(promise) {
+  activeDeliveries.add(promise);
+  promise.then(() => activeDeliveries.delete(promise), () => activeDeliveries.delete(promise));
+  return promise;
+}
+
+/**
+ * HMAC-SHA256 Signatur über "<timestamp>.<body>"
+ * Empfänger prüfen X-Lucid-Signature gegen denselben Wert
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isLeader(options) {
+  return !options.isLeader || options.isLeader();
+}
+
+async function readPending(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8')).deliveries || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Änderungen in die Retry-Datei übernehmen: upsert ersetzt bzw. ergänzt Zustellungen, remove entfernt
+ * erledigte - Einträge anderer Instanzen (z.B. eines vorherigen Leaders) bleiben erhalten.
+ * Temporäre Datei, dann umbenennen - enthält das Secret, daher nur für den Besitzer lesbar
+ */
+function savePending(file, { upsert = [], remove = [] }) {
+  const records = upsert.map(({ delivery, dueAt }) => ({ ...delivery, dueAt: new Date(dueAt).toISOString() }));
+  const replaced = new Set([...remove, ...records.map(record => record.id)]);
+
+  savingPending = savingPending.then(async () => {
+    const deliveries = [...(await readPending(file)).filter(record => !replaced.has(record.id)), ...records];
+    const tmpFile = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ updatedAt: Date.now(), deliveries }), { encoding: 'utf-8', mode: 0o600 });
+    await fs.rename(tmpFile, file);
+  }).catch((error) => {
+    log.error('WEBHOOK', 'Wartende Retries nicht speicherbar', { error });
+  });
+  return savingPending;
+}
+
+/**
+ * Retry planen - beim Herunterfahren nur vormerken, zugestellt wird nach dem Neustart
+ * Ohne Leader-Rolle nichts planen: die Zustellung bleibt in der Retry-Datei für den Leader
+ */
+function scheduleRetry(delivery, options, dueAt) {
+  if (!isLeader(options)) return;
+
+  let timer = null;
+  if (!draining) {
+    timer = setTimeout(() => {
+      if (!isLeader(options)) {
+        pendingRetries.delete(delivery.id);
+        return;
+      }
+      track(runDelivery(delivery, options)).catch(error => {
+        log.error('WEBHOOK', 'Retry fehlgeschlagen', { error });
+      });
+    }, Math.max(dueAt - Date.now(), 0));
+    timer.unref();
+  }
+  pendingRetries.set(delivery.id, { timer, delivery, options, dueAt });
+}
+
+async function logAttempt(logFile, record) {
+  try {
+    await appendNdjson(logFile, [record]);
+  } catch (error) {
+    log.error('WEBHOOK', 'Zustell-Protokoll nicht schreibbar', { error });
+  }
+}
+
+/**
+ * Loopback, private, link-local, ULA und sonstige nicht öffentliche Adressen erkennen
+ */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function hostAllowed(hostname, policy) {
+  return policy.allowPrivate || (policy.allowedHosts || []).includes(hostname.toLowerCase());
+}
+
+/**
+ * Ziel einer Callback-URL prüfen (Registrierung und jeder Zustellversuch)
+ * Gibt eine Fehlermeldung zurück oder null; policy: { allowPrivate, allowedHosts }
+ */
+export async function checkCallbackTarget(value, policy = {}) {
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (hostAllowed(hostname, policy)) return null;
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return 'callbackUrl: Host nicht auflösbar';
+    }
+  }
+
+  return addresses.some(isPrivateAddress) ?
+    'callbackUrl zeigt auf eine interne Adresse (WEBHOOK_ALLOWED_HOSTS oder WEBHOOK_ALLOW_PRIVATE=true setzen)' :
+    null;
+}
+
+/**
+ * DNS-Lookup für die Verbindung selbst - verhindert, dass der Host zwischen Prüfung und
+ * Verbindungsaufbau auf eine interne Adresse umgebogen wird (DNS-Rebinding)
+ */
+function guardedLookup(policy) {
+  return (hostname, lookupOptions, callback) => {
+    dns.lookup(hostname, lookupOptions, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (!hostAllowed(hostname, policy) && addresses.some(isPrivateAddress)) {
+        const blocked = new Error(`${hostname} löst auf eine interne Adresse auf`);
+        blocked.code = 'EBLOCKEDADDRESS';
+        return callback(blocked);
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * Einen Zustellversuch durchführen
+ */
+async function attemptDelivery(delivery, options) {
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'lucid-lookup-service/webhooks',
+    'X-Lucid-Event': delivery.event.type,
+    'X-Lucid-Delivery': delivery.id,
+    'X-Lucid-Timestamp': timestamp
+  };
+
+  if (delivery.secret) {
+    headers['X-Lucid-Signature'] = signPayload(delivery.secret, timestamp, body);
+  }
+
+  const startTime = Date.now();
+  let status = null;
+  let error = null;
+  let retryAfterMs = null;
+
+  const policy = { allowPrivate: options.allowPrivate, allowedHosts: options.allowedHosts };
+  if (await checkCallbackTarget(delivery.url, policy)) {
+    // Ein internes Ziel wird auch beim nächsten Versuch nicht erlaubt sein
+    return { ok: false, status, error: 'EBLOCKEDADDRESS', retryable: false, retryAfterMs, durationMs: Date.now() - startTime };
+  }
+
+  try {
+    const lookup = guardedLookup(policy);
+    const response = await axios.post(delivery.url, body, {
+      headers,
+      timeout: options.timeoutMs,
+      maxRedirects: 0,
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup }),
+      validateStatus: () => true
+    });
+    status = response.status;
+    retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+  } catch (requestError) {
+    error = requestError.code || requestError.message;
+  }
+
+  const ok = status !== null && status >= 200 && status < 300;
+  // Client-Fehler (außer Timeout/Rate Limit) werden nicht wiederholt
+  const retryable = !ok && (status === null || status >= 500 || status === 408 || status === 429);
+
+  return { ok, status, error, retryable, retryAfterMs, durationMs: Date.now() - startTime };
+}
+
+/**
+ * Webhook zustellen - bei Fehler Retry mit exponentiellem Backoff
+ * target: { url, secret, watchId, lucid, keyName }, event: Payload
+ * options: { logFile, pendingFile, maxAttempts, baseDelayMs, timeoutMs, allowPrivate, allowedHosts, isLeader() }
+ */
+export async function deliverWebhook(target, event, options) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    url: target.url,
+    secret: target.secret,
+    watchId: target.watchId,
+    lucid: target.lucid,
+    keyName: target.keyName || null,
+    event,
+    attempt: 0
+  };
+
+  return track(runDelivery(delivery, options));
+}
+
+async function runDelivery(delivery, options) {
+  delivery.attempt++;
+  // Bleibt bis nach dem Versuch vorgemerkt - ein Absturz währenddessen verliert nichts
+  const wasPending = pendingRetries.has(delivery.id);
+
+  const result = await attemptDelivery(delivery, options);
+  pendingRetries.delete(delivery.id);
+  const willRetry = result.retryable && delivery.attempt < options.maxAttempts;
+  const delayMs = willRetry ?
+    Math.max(options.baseDelayMs * 2 ** (delivery.attempt - 1), result.retryAfterMs || 0) :
+    null;
+  const dueAt = willRetry ? Date.now() + delayMs : null;
+
+  await logAttempt(options.logFile, {
+    at: new Date().toISOString(),
+    deliveryId: delivery.id,
+    eventId: delivery.event.id,
+    eventType: delivery.event.type,
+    watchId: delivery.watchId,
+    lucid: delivery.lucid,
+    keyName: delivery.keyName,
+    url: delivery.url,
+    attempt: delivery.attempt,
+    ok: result.ok,
+    status: result.status,
+    error: result.error,
+    durationMs: result.durationMs,
+    nextRetryAt: willRetry ? new Date(dueAt).toISOString() : null
+  });
+
+  if (result.ok) {
+    log.info('WEBHOOK', `${delivery.event.type} für ${delivery.lucid} zugestellt (${result.status})`);
+  } else if (willRetry) {
+    log.info('WEBHOOK', `Zustellung an ${delivery.url} fehlgeschlagen (${result.status || result.error}), Retry ${delivery.attempt + 1}/${options.maxAttempts} in ${Math.round(delayMs / 1000)}s`);
+    scheduleRetry(delivery, options, dueAt);
+  } else {
+    log.error('WEBHOOK', `Zustellung an ${delivery.url} endgültig fehlgeschlagen (${result.status || result.error})`);
+  }
+
+  if (options.pendingFile && (wasPending || willRetry)) {
+    await savePending(options.pendingFile, willRetry ? { upsert: [{ delivery, dueAt }] } : { remove: [delivery.id] });
+  }
+
+  return { deliveryId: delivery.id, attempt: delivery.attempt, ...result, willRetry };
+}
+
+/**
+ * Anzahl der Zustellungen die noch auf einen Retry warten
+ */
+export function pendingDeliveryCount() {
+  return pendingRetries.size;
+}
+
+/**
+ * Gespeicherte Retries nach einem Neustart wieder einplanen (fällige sofort)
+ * Liefert die Anzahl eingeplanter Zustellungen
+ */
+export async function resumeDeliveries(options) {
+  if (!isLeader(options)) return 0;
+
+  let records;
+  try {
+    records = await readPending(options.pendingFile);
+  } catch (error) {
+    log.error('WEBHOOK', 'Wartende Retries nicht lesbar', { error });
+    return 0;
+  }
+
+  let resumed = 0;
+  for (const { dueAt, ...delivery } of records) {
+    if (pendingRetries.has(delivery.id)) continue;
+    scheduleRetry(delivery, options, Date.parse(dueAt) || Date.now());
+    resumed++;
+  }
+  return resumed;
+}
+
+/**
+ * Leader-Rolle verloren: geplante Retries anhalten - sie bleiben in der Retry-Datei und
+ * werden vom neuen Leader fortgesetzt. Liefert die Anzahl angehaltener Retries
+ */
+export function suspendDeliveries() {
+  const suspended = pendingRetries.size;
+  for (const { timer } of pendingRetries.values()) clearTimeout(timer);
+  pendingRetries.clear();
+  return suspended;
+}
+
+/**
+ * Beim Herunterfahren: keine Retries mehr starten und laufende Zustellversuche
+ * (samt Protokoll-Eintrag) abwarten - wartende bleiben in der Retry-Datei
+ * Liefert die Anzahl wartender Retries
+ */
+export async function drainDeliveries() {
+  draining = true;
+  for (const { timer } of pendingRetries.values()) clearTimeout(timer);
+
+  await Promise.allSettled([...activeDeliveries]);
+  await savingPending;
+  return pendingRetries.size;
+}
+
+/**
+ * Zustell-Protokoll lesen - filter(record) wählt die Versuche aus
+ */
+export function readDeliveries(logFile, filter) {
+  return readNdjson(logFile, filter);
+}